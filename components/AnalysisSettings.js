@@ -0,0 +1,68 @@
+import { ANALYSIS_RULES, resolveAnalysisSettings } from '../utils/analysis';
+
+// The range a param's input allows: its own, narrowed by the other end of
+// its min/max pair.
+function paramRange(rule, param, params) {
+  const below = rule.params.filter(p => p.notAbove === param.key).map(p => params[p.key]);
+  return {
+    min: Math.max(param.min, ...below),
+    max: param.notAbove ? Math.min(param.max, params[param.notAbove]) : param.max
+  };
+}
+
+// Per-rule switches, weights and targets for the analysis. `settings` is the
+// shape from resolveAnalysisSettings, merged with the defaults again here in
+// case a rule was registered after it was resolved; `onChange` gets a new one.
+export default function AnalysisSettings({ settings: stored, onChange }) {
+  const settings = resolveAnalysisSettings(stored);
+
+  function patchRule(id, patch) {
+    onChange(resolveAnalysisSettings({ ...settings, [id]: { ...settings[id], ...patch } }));
+  }
+
+  function setParam(rule, param, value) {
+    if (!Number.isFinite(value)) return;
+    const { min, max } = paramRange(rule, param, settings[rule.id].params);
+    patchRule(rule.id, { params: { ...settings[rule.id].params, [param.key]: Math.min(max, Math.max(min, value)) } });
+  }
+
+  const totalWeight = ANALYSIS_RULES.reduce((acc, r) => acc + (settings[r.id].enabled ? settings[r.id].weight : 0), 0);
+
+  return (
+    <div className="analysis-settings">
+      {ANALYSIS_RULES.map(rule => {
+        const s = settings[rule.id];
+        return (
+          <div key={rule.id} className="analysis-rule">
+            <label className="inline">
+              <input type="checkbox" checked={s.enabled} onChange={e => patchRule(rule.id, { enabled: e.target.checked })} />
+              <strong>{rule.label}</strong>
+              <span className="hint">
+                {s.enabled && s.weight > 0 && totalWeight ? `${Math.round((s.weight / totalWeight) * 100)}% skor` : 'saran saja'}
+              </span>
+            </label>
+            <div className="hint">{rule.explain(s.params)}</div>
+            {s.enabled && (
+              <div className="control-row">
+                <div className="control">
+                  <label>Bobot ({s.weight})</label>
+                  <input className="range" type="range" min={0} max={100} step={5} value={s.weight} onChange={e => patchRule(rule.id, { weight: parseInt(e.target.value, 10) })} />
+                </div>
+                {rule.params.map(p => {
+                  const range = paramRange(rule, p, s.params);
+                  return (
+                    <div key={p.key} className="control">
+                      <label>{p.label}</label>
+                      <input className="input" type="number" min={range.min} max={range.max} step={p.step} value={s.params[p.key]} onChange={e => setParam(rule, p, parseFloat(e.target.value))} />
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        );
+      })}
+      <button className="btn" onClick={() => onChange(resolveAnalysisSettings())}>Kembalikan Bawaan</button>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import cls from 'classnames';
+import { parseTags, searchAssets } from '../utils/assets';
+import { formatBytes } from '../utils/exportImage';
+
+// The asset library: search, favorites, tags and insertion. Files dropped on
+// the panel go to `onAdd(files)` like the file input does; pasting is handled
+// by the page. `used` holds the ids the open project and saved templates
+// refer to, which can't be deleted from here. `storage` is `{ library,
+// usage, quota }` in bytes (usage and quota may be missing).
+export default function AssetLibrary({ assets, used, storage, onAdd, onUpdate, onDelete, onRemoveUnused, onUseAsBackground, onInsert }) {
+  const [query, setQuery] = useState('');
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+  const [dragging, setDragging] = useState(false);
+  const [openId, setOpenId] = useState(null);
+  const shown = searchAssets(assets, query, { favoritesOnly });
+  const unused = assets.filter(a => !used.has(a.id));
+
+  function onDrop(e) {
+    e.preventDefault();
+    setDragging(false);
+    const files = [...e.dataTransfer.files].filter(f => f.type.startsWith('image/'));
+    if (files.length) onAdd(files);
+  }
+
+  return (
+    <div
+      className={cls('asset-library', { dragging })}
+      onDragOver={e => { e.preventDefault(); setDragging(true); }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={onDrop}
+    >
+      <div className="control">
+        <input className="input" type="file" accept="image/*" multiple onChange={e => { onAdd([...e.target.files]); e.target.value = ''; }} />
+        <div className="hint">Atau seret gambar ke sini, atau tempel (Ctrl+V) di mana saja.</div>
+      </div>
+      <div className="control-row">
+        <input className="input" placeholder="Cari nama atau tag…" value={query} onChange={e => setQuery(e.target.value)} />
+        <button className={cls('btn', { primary: favoritesOnly })} onClick={() => setFavoritesOnly(f => !f)} title="Hanya favorit">★</button>
+      </div>
+      {!shown.length && <div className="hint">{assets.length ? 'Tidak ada aset yang cocok.' : 'Pustaka masih kosong.'}</div>}
+      <div className="asset-grid">
+        {shown.map(a => (
+          <button
+            key={a.id}
+            className={cls('asset-card', { active: openId === a.id })}
+            onClick={() => setOpenId(id => (id === a.id ? null : a.id))}
+            title={`${a.name} (${a.width}×${a.height}, ${formatBytes(a.size)})${a.tags.length ? `\n${a.tags.join(', ')}` : ''}`}
+          >
+            <img src={a.thumb} alt={a.name} />
+            {a.favorite && <span className="asset-star">★</span>}
+          </button>
+        ))}
+      </div>
+      {shown.filter(a => a.id === openId).map(a => (
+        <div key={a.id} className="overlay-card">
+          <div className="inline">
+            <input className="input" value={a.name} onChange={e => onUpdate(a, { name: e.target.value })} />
+            <button className={cls('btn', { primary: a.favorite })} onClick={() => onUpdate(a, { favorite: !a.favorite })} title="Favorit">★</button>
+          </div>
+          <input
+            key={a.tags.join(',')}
+            className="input"
+            placeholder="Tag, pisahkan dengan koma"
+            defaultValue={a.tags.join(', ')}
+            onBlur={e => onUpdate(a, { tags: parseTags(e.target.value) })}
+          />
+          <div className="control-row">
+            <button className="btn" onClick={() => onUseAsBackground(a)}>Jadikan Background</button>
+            <button className="btn" onClick={() => onInsert(a)}>Sisipkan Elemen</button>
+            <button className="btn" onClick={() => { onDelete(a); setOpenId(null); }} disabled={used.has(a.id)} title={used.has(a.id) ? 'Dipakai proyek atau template' : 'Hapus dari pustaka'}>Hapus</button>
+          </div>
+        </div>
+      ))}
+      <div className="hint">
+        {assets.length} aset, {formatBytes(storage.library)}
+        {storage.quota ? ` · penyimpanan browser ${formatBytes(storage.usage)} dari ${formatBytes(storage.quota)}` : ''}
+      </div>
+      <button className="btn" onClick={onRemoveUnused} disabled={!unused.length}>Hapus {unused.length} Aset Tak Terpakai</button>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import cls from 'classnames';
+import { isRowFlagged } from '../utils/batch';
+
+// CSV rows for `{{placeholder}}` designs. Clicking a row previews it on the
+// stage; `flags` (per row index) comes from the parent's check pass.
+export default function BatchPanel({ placeholders, batch, fileNames, row, fileColumn, threshold, flags, busy, onLoad, onPreview, onFileColumn, onThreshold, onCheck, onExport, onClose }) {
+  const missing = batch ? placeholders.filter(p => !batch.headers.includes(p)) : [];
+  const flagged = batch && flags ? batch.rows.filter((_, i) => isRowFlagged(flags[i], threshold)).length : 0;
+
+  return (
+    <div>
+      <div className="hint">
+        {placeholders.length
+          ? <>Placeholder: {placeholders.map(p => <code key={p} className={cls('batch-tag', { missing: missing.includes(p) })}>{`{{${p}}}`}</code>)}</>
+          : <>Tulis <code>{'{{judul}}'}</code> di teks atau badge untuk mengisinya dari CSV.</>}
+      </div>
+      <div className="control">
+        <label>File CSV</label>
+        <input className="input" type="file" accept=".csv,text/csv" onChange={onLoad} disabled={!!busy} />
+      </div>
+      {batch && (
+        <>
+          {missing.length > 0 && <div className="hint" style={{ color: 'var(--danger)' }}>Kolom tidak ada di CSV: {missing.join(', ')}</div>}
+          <div className="control-row">
+            <div className="control">
+              <label>Nama file dari</label>
+              <select className="select" value={fileColumn} onChange={(e) => onFileColumn(e.target.value)}>
+                <option value="">(nomor baris)</option>
+                {batch.headers.map(h => <option key={h} value={h}>{h}</option>)}
+              </select>
+            </div>
+            <div className="control">
+              <label>Skor minimum ({threshold})</label>
+              <input className="range" type="range" min={0} max={100} step={5} value={threshold} onChange={(e) => onThreshold(parseInt(e.target.value, 10))} />
+            </div>
+          </div>
+          <div className="batch-rows">
+            {batch.rows.map((r, i) => {
+              const flag = flags?.[i];
+              return (
+                <button
+                  key={i}
+                  className={cls('contrast-row', { weakest: row === i, fail: isRowFlagged(flag, threshold) })}
+                  onClick={() => onPreview(row === i ? null : i)}
+                  disabled={!!busy}
+                  title={flag?.overflow.length ? `Teks terpotong: ${flag.overflow.join(', ')}` : undefined}
+                >
+                  <span className="contrast-name">{i + 1}. {fileNames[i]}</span>
+                  {flag && <span>{flag.overflow.length > 0 && '✂ '}{flag.score}</span>}
+                </button>
+              );
+            })}
+          </div>
+          <div className="hint">
+            {busy || (flags ? (flagged ? `${flagged} dari ${batch.rows.length} baris bermasalah (teks terpotong atau skor < ${threshold}).` : 'Semua baris lolos pemeriksaan.') : `${batch.rows.length} baris. Klik baris untuk pratinjau.`)}
+          </div>
+          <div className="inline" style={{ marginTop: 8 }}>
+            <button className="btn" onClick={onCheck} disabled={!!busy}>Periksa Semua</button>
+            <button className="btn warn" onClick={onExport} disabled={!!busy}>Ekspor ZIP</button>
+            <button className="btn" onClick={onClose} disabled={!!busy}>Tutup</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+import { BRAND_ROLES, LOGO_CORNERS, brandFont } from '../utils/brandKit';
+import { searchAssets } from '../utils/assets';
+import FontPicker from './FontPicker';
+
+const ROLE_LABELS = {
+  text: 'Teks',
+  outline: 'Outline teks',
+  shadow: 'Shadow teks',
+  accent: 'Aksen (kotak, badge)',
+  onAccent: 'Teks di atas aksen',
+  highlight: 'Sorotan',
+  pop: 'Pemanis',
+  marker: 'Penanda (panah, poligon, sorotan kata)'
+};
+const CORNER_LABELS = { 'top-left': 'Kiri atas', 'top-right': 'Kanan atas', 'bottom-left': 'Kiri bawah', 'bottom-right': 'Kanan bawah' };
+
+// Editor for the brand kit (utils/brandKit). `kit` is null until one is set
+// up; `onChange` receives the new kit or null to drop it. `fonts` are the
+// FontPicker choices and `projectFonts` the uploaded ones they may point at.
+export default function BrandKitPanel({ kit, assets, fonts, projectFonts, onChange, onImport, onExport, onPlaceLogo, onUploadFont, onCreate }) {
+  if (!kit) {
+    return (
+      <div className="control">
+        <div className="hint">Simpan warna, font, gaya teks dan logo channel agar elemen baru dan template langsung sesuai brand.</div>
+        <div className="control-row">
+          <button className="btn" onClick={onCreate}>Buat Brand Kit</button>
+          <label className="btn">
+            Impor
+            <input type="file" accept=".json,application/json" onChange={onImport} hidden />
+          </label>
+        </div>
+      </div>
+    );
+  }
+
+  const patch = p => onChange({ ...kit, ...p });
+  // roles follow their color when it is edited
+  const setColor = (i, p) => {
+    const before = kit.colors[i].hex;
+    const colors = kit.colors.map((c, j) => (j === i ? { ...c, ...p } : c));
+    const roles = { ...kit.roles };
+    if (p.hex) for (const role of BRAND_ROLES) if (roles[role] === before) roles[role] = p.hex;
+    patch({ colors, roles });
+  };
+  const setFont = (i, stack) => {
+    const family = fonts.find(f => f.stack === stack)?.family;
+    if (family) patch({ fonts: kit.fonts.map((f, j) => (j === i ? brandFont(family, projectFonts) : f)) });
+  };
+  const logoChoices = searchAssets(assets, '');
+
+  return (
+    <>
+      <div className="control">
+        <label>Nama</label>
+        <input className="input" value={kit.name} onChange={e => patch({ name: e.target.value })} />
+      </div>
+      <div className="control">
+        <label>Warna Brand</label>
+        {kit.colors.map((c, i) => (
+          <div key={i} className="inline">
+            <input type="color" className="swatch" value={c.hex} onChange={e => setColor(i, { hex: e.target.value })} />
+            <input className="input" value={c.name} onChange={e => setColor(i, { name: e.target.value })} />
+            <button className="btn" onClick={() => patch({ colors: kit.colors.filter((_, j) => j !== i) })} disabled={kit.colors.length <= 1} title="Hapus warna">×</button>
+          </div>
+        ))}
+        <button className="btn" onClick={() => patch({ colors: [...kit.colors, { name: `Warna ${kit.colors.length + 1}`, hex: '#888888' }] })}>+ Warna</button>
+      </div>
+      <div className="control">
+        <label>Peran Warna</label>
+        {BRAND_ROLES.map(role => (
+          <div key={role} className="inline">
+            <span className="swatch-dot" style={{ background: kit.roles[role] }} />
+            <span className="hint" style={{ flex: 1 }}>{ROLE_LABELS[role]}</span>
+            <select className="select" value={kit.roles[role]} onChange={e => patch({ roles: { ...kit.roles, [role]: e.target.value } })}>
+              {!kit.colors.some(c => c.hex === kit.roles[role]) && <option value={kit.roles[role]}>{kit.roles[role]}</option>}
+              {kit.colors.map((c, i) => <option key={i} value={c.hex}>{c.name}</option>)}
+            </select>
+          </div>
+        ))}
+      </div>
+      <div className="control">
+        <label>Font (yang pertama untuk teks baru)</label>
+        {kit.fonts.map((f, i) => (
+          <div key={i} className="inline">
+            <FontPicker value={f.stack} fonts={fonts} onChange={stack => setFont(i, stack)} onUpload={onUploadFont} />
+            <button className="btn" onClick={() => patch({ fonts: kit.fonts.filter((_, j) => j !== i) })} disabled={kit.fonts.length <= 1} title="Hapus font">×</button>
+          </div>
+        ))}
+        <button className="btn" onClick={() => patch({ fonts: [...kit.fonts, kit.fonts[kit.fonts.length - 1]] })}>+ Font</button>
+      </div>
+      <div className="control">
+        <label>Gaya Teks: outline ({kit.text.strokeWidth}) / blur shadow ({kit.text.shadowBlur}) / opacity shadow ({kit.text.shadowOpacity})</label>
+        <input className="range" type="range" min="0" max="30" step="1" value={kit.text.strokeWidth} onChange={e => patch({ text: { ...kit.text, strokeWidth: parseFloat(e.target.value) } })} />
+        <input className="range" type="range" min="0" max="40" step="1" value={kit.text.shadowBlur} onChange={e => patch({ text: { ...kit.text, shadowBlur: parseFloat(e.target.value) } })} />
+        <input className="range" type="range" min="0" max="1" step="0.05" value={kit.text.shadowOpacity} onChange={e => patch({ text: { ...kit.text, shadowOpacity: parseFloat(e.target.value) } })} />
+      </div>
+      <div className="control">
+        <label>Logo</label>
+        <select
+          className="select"
+          value={kit.logo?.asset || ''}
+          onChange={e => patch({ logo: e.target.value ? { corner: 'top-left', size: 0.14, margin: 0.03, ...kit.logo, asset: e.target.value } : null })}
+        >
+          <option value="">Tanpa logo</option>
+          {logoChoices.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+        </select>
+        {!assets.length && <div className="hint">Tambahkan logo ke Pustaka Aset dulu.</div>}
+      </div>
+      {kit.logo && (
+        <>
+          <div className="control-row">
+            <select className="select" value={kit.logo.corner} onChange={e => patch({ logo: { ...kit.logo, corner: e.target.value } })}>
+              {LOGO_CORNERS.map(c => <option key={c} value={c}>{CORNER_LABELS[c]}</option>)}
+            </select>
+            <button className="btn" onClick={onPlaceLogo}>Pasang Logo</button>
+          </div>
+          <div className="control">
+            <label>Lebar ({Math.round(kit.logo.size * 100)}%) / Jarak tepi ({Math.round(kit.logo.margin * 100)}%)</label>
+            <input className="range" type="range" min="0.04" max="0.4" step="0.01" value={kit.logo.size} onChange={e => patch({ logo: { ...kit.logo, size: parseFloat(e.target.value) } })} />
+            <input className="range" type="range" min="0" max="0.1" step="0.005" value={kit.logo.margin} onChange={e => patch({ logo: { ...kit.logo, margin: parseFloat(e.target.value) } })} />
+          </div>
+        </>
+      )}
+      <div className="control-row">
+        <button className="btn" onClick={onExport}>Ekspor</button>
+        <label className="btn">
+          Impor
+          <input type="file" accept=".json,application/json" onChange={onImport} hidden />
+        </label>
+        <button className="btn" onClick={() => { if (window.confirm(`Hapus brand kit ${kit.name}?`)) onChange(null); }}>Hapus Kit</button>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,61 @@
+import { EFFECT_TYPES, createEffect } from '../utils/effects';
+
+const TYPE_LABELS = { shadow: 'Drop Shadow', glow: 'Glow Luar', stroke: 'Outline', innerShadow: 'Shadow Dalam' };
+
+function Slider({ label, value, min, max, step = 1, onChange }) {
+  return (
+    <div className="control">
+      <label>{label} ({Math.round(value * 100) / 100})</label>
+      <input className="range" type="range" min={min} max={max} step={step} value={value} onChange={e => onChange(parseFloat(e.target.value))} />
+    </div>
+  );
+}
+
+// The effects stack of the selected element, nearest the element first.
+// `onChange` receives the new list.
+export default function EffectsPanel({ effects, onChange }) {
+  const patch = (id, p) => onChange(effects.map(fx => (fx.id === id ? { ...fx, ...p } : fx)));
+  const move = (i, d) => {
+    const next = [...effects];
+    [next[i], next[i + d]] = [next[i + d], next[i]];
+    onChange(next);
+  };
+
+  return (
+    <div className="control">
+      <label>Efek</label>
+      {effects.length > 0 && <div className="hint">Urutan dari yang paling dekat ke elemen. Outline berikutnya melingkari outline sebelumnya.</div>}
+      {effects.map((fx, i) => (
+        <div key={fx.id} className="overlay-card">
+          <div className="inline">
+            <input type="color" className="swatch" value={fx.color} onChange={e => patch(fx.id, { color: e.target.value })} />
+            <strong>{TYPE_LABELS[fx.type]}</strong>
+            <span style={{ marginLeft: 'auto' }} />
+            <button className="btn" onClick={() => move(i, -1)} disabled={i === 0} title="Lebih dekat ke elemen">↑</button>
+            <button className="btn" onClick={() => move(i, 1)} disabled={i === effects.length - 1} title="Lebih jauh dari elemen">↓</button>
+            <button className="btn" onClick={() => onChange(effects.filter(x => x.id !== fx.id))} title="Hapus efek">×</button>
+          </div>
+          {fx.type === 'stroke' && <Slider label="Tebal" value={fx.width || 0} min={1} max={60} onChange={width => patch(fx.id, { width })} />}
+          {fx.type !== 'stroke' && (
+            <div className="control-row">
+              <Slider label="Opacity" value={fx.opacity ?? 1} min={0} max={1} step={0.01} onChange={opacity => patch(fx.id, { opacity })} />
+              <Slider label="Blur" value={fx.blur || 0} min={0} max={80} onChange={blur => patch(fx.id, { blur })} />
+            </div>
+          )}
+          {fx.type === 'glow' && <Slider label="Sebaran" value={fx.spread || 0} min={0} max={40} onChange={spread => patch(fx.id, { spread })} />}
+          {(fx.type === 'shadow' || fx.type === 'innerShadow') && (
+            <div className="control-row">
+              <Slider label="Geser X" value={fx.offsetX || 0} min={-60} max={60} onChange={offsetX => patch(fx.id, { offsetX })} />
+              <Slider label="Geser Y" value={fx.offsetY || 0} min={-60} max={60} onChange={offsetY => patch(fx.id, { offsetY })} />
+            </div>
+          )}
+        </div>
+      ))}
+      <div className="control-row">
+        {EFFECT_TYPES.map(t => (
+          <button key={t} className="btn" onClick={() => onChange([...effects, createEffect(t, crypto.randomUUID())])}>+ {TYPE_LABELS[t]}</button>
+        ))}
+      </div>
+    </div>
+  );
+}
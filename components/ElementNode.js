@@ -0,0 +1,92 @@
+import { useMemo } from 'react';
+import Konva from 'konva';
+import { Group, Rect, Text as KText, Star, Arrow, Circle, Line, Shape } from 'react-konva';
+import { useLoadedImage } from '../utils/images';
+import { renderImageElement } from '../utils/imageElement';
+import { badgeAttrs, boxHitFunc, bubbleAttrs, groupAttrs, imageAttrs, imageSceneFunc, pathAttrs, ringAttrs, shapeAttrs, textAttrs } from '../utils/shapes';
+import { defaultMeasurer } from '../utils/richText';
+import { effectShapeAttrs, effectsSceneFunc } from '../utils/effects';
+
+function ImageElementNode({ el, nodeProps }) {
+  const img = useLoadedImage(el.src);
+  const { crop, mask, cornerRadius, flipX, flipY, sticker, stickerWidth, stickerColor, width, height } = el;
+  const bitmap = useMemo(
+    () => (img ? renderImageElement(img, { crop, mask, cornerRadius, flipX, flipY, sticker, stickerWidth, stickerColor, width, height }) : null),
+    [img, crop, mask, cornerRadius, flipX, flipY, sticker, stickerWidth, stickerColor, width, height]
+  );
+  // one draw function per bitmap, so effects keep their cached silhouette
+  const sceneFunc = useMemo(() => imageSceneFunc(bitmap), [bitmap]);
+  return <Shape {...imageAttrs(el)} sceneFunc={sceneFunc} hitFunc={boxHitFunc} {...nodeProps} />;
+}
+
+function ElementBody({ el, nodeProps }) {
+  if (el.type === 'text') {
+    const { group, box, highlights, segments } = textAttrs(el, defaultMeasurer());
+    return (
+      <Group {...group} {...nodeProps}>
+        <Rect {...box} />
+        {highlights.map((h, i) => <Rect key={`h-${i}`} {...h} />)}
+        {segments.map((t, i) => <KText key={`t-${i}`} {...t} />)}
+      </Group>
+    );
+  }
+  if (el.type === 'rect') {
+    return <Rect {...shapeAttrs(el)} {...nodeProps} />;
+  }
+  if (el.type === 'circle') {
+    return <Circle {...shapeAttrs(el)} {...nodeProps} />;
+  }
+  if (el.type === 'arrow') {
+    return <Arrow {...pathAttrs(el)} {...nodeProps} />;
+  }
+  if (el.type === 'line' || el.type === 'polygon') {
+    return <Line {...pathAttrs(el)} {...nodeProps} />;
+  }
+  if (el.type === 'bubble') {
+    return <Shape {...bubbleAttrs(el)} {...nodeProps} />;
+  }
+  if (el.type === 'ring') {
+    return <Shape {...ringAttrs(el)} {...nodeProps} />;
+  }
+  if (el.type === 'image') {
+    return <ImageElementNode el={el} nodeProps={nodeProps} />;
+  }
+  if (el.type === 'badge') {
+    const { group, star, text } = badgeAttrs(el);
+    return (
+      <Group {...group} {...nodeProps}>
+        <Star {...star} />
+        <KText {...text} />
+      </Group>
+    );
+  }
+  if (el.type === 'group') {
+    return (
+      <Group {...groupAttrs(el)} {...nodeProps}>
+        {el.children.filter(c => !c.hidden).map(child => (
+          <ElementNode key={child.id} el={child} nodeProps={{ id: `node-${child.id}`, draggable: false }} />
+        ))}
+      </Group>
+    );
+  }
+  return null;
+}
+
+// Draws one element of the document. `nodeProps` carries the editor wiring
+// (id, drag/transform handlers, draggable, listening) and is applied after the
+// element's own attributes so it always wins; group children get their node
+// id and `draggable: false`, and bubble their clicks to the group. Effects (see
+// utils/effects) sit in the shapes right before and after the node and find
+// it by its id.
+export default function ElementNode({ el, nodeProps = {} }) {
+  const body = <ElementBody el={el} nodeProps={nodeProps} />;
+  if (!el.effects || !el.effects.length) return body;
+  const nodeId = `node-${el.id}`;
+  return (
+    <>
+      <Shape {...effectShapeAttrs()} sceneFunc={effectsSceneFunc(Konva, el.effects, 'behind', nodeId)} />
+      {body}
+      <Shape {...effectShapeAttrs()} sceneFunc={effectsSceneFunc(Konva, el.effects, 'above', nodeId)} />
+    </>
+  );
+}
@@ -0,0 +1,116 @@
+import { useEffect, useRef, useState } from 'react';
+import { saveAs } from 'file-saver';
+import cls from 'classnames';
+import { EXPORT_FORMATS, YOUTUBE_MAX_BYTES, canvasToBlob, encodeWithinSize, formatBytes } from '../utils/exportImage';
+
+const SCALES = [1, 2];
+
+async function encodeFrame(renderFrame, { format, quality, capSize, scale }) {
+  const canvas = await renderFrame(scale);
+  if (capSize) return encodeWithinSize(canvas, format, YOUTUBE_MAX_BYTES);
+  const blob = await canvasToBlob(canvas, format.mime, format.lossy ? quality : undefined);
+  return { blob, quality: format.lossy ? quality : null, fits: !!blob && blob.size <= YOUTUBE_MAX_BYTES };
+}
+
+// Format, size and resolution choices for the download. `renderFrame(scale)`
+// resolves to the frame drawn at `scale` times its size (natively, not
+// upscaled) once its fonts are loaded; the predicted file size is recomputed
+// from it as the options change or `design` (any value that changes with
+// what is drawn) does.
+export default function ExportDialog({ frame, design, renderFrame, onClose }) {
+  const [formatId, setFormatId] = useState('png');
+  const [quality, setQuality] = useState(0.9);
+  const [capSize, setCapSize] = useState(true);
+  const [scale, setScale] = useState(1);
+  const [fileName, setFileName] = useState('thumbnail');
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+  const format = EXPORT_FORMATS.find(f => f.id === formatId);
+  const renderRef = useRef(renderFrame);
+  renderRef.current = renderFrame;
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      setWorking(true);
+      encodeFrame(renderRef.current, { format, quality, capSize, scale })
+        .then(r => { if (!cancelled) setResult(r); })
+        .catch(() => { if (!cancelled) setResult(null); })
+        .finally(() => { if (!cancelled) setWorking(false); });
+    }, 400);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [format, quality, capSize, scale, design]);
+
+  async function download() {
+    setWorking(true);
+    try {
+      const r = await encodeFrame(renderRef.current, { format, quality, capSize, scale });
+      // toBlob hands back null when the browser can't encode the canvas
+      if (!r.blob) throw new Error('browser tidak bisa menyimpan gambar sebesar ini');
+      const ext = EXPORT_FORMATS.find(f => f.mime === r.blob.type)?.ext || format.ext;
+      saveAs(r.blob, `${fileName.trim() || 'thumbnail'}.${ext}`);
+    } catch (err) {
+      window.alert(`Gagal mengekspor gambar: ${err.message || err}`);
+    } finally {
+      setWorking(false);
+    }
+  }
+
+  const fallback = result?.blob && result.blob.type !== format.mime;
+
+  return (
+    <div className="export-dialog">
+      <div className="feed-toolbar">
+        <strong>Ekspor</strong>
+        <button className="btn" onClick={onClose}>Tutup</button>
+      </div>
+      <div className="export-body">
+        <div className="control">
+          <label>Format</label>
+          <div className="inline">
+            {EXPORT_FORMATS.map(f => (
+              <button key={f.id} className={cls('btn', { primary: f.id === formatId })} onClick={() => setFormatId(f.id)}>{f.label}</button>
+            ))}
+          </div>
+        </div>
+        <div className="control">
+          <label>Resolusi</label>
+          <div className="inline">
+            {SCALES.map(s => (
+              <button key={s} className={cls('btn', { primary: s === scale })} onClick={() => setScale(s)}>{frame.width * s}×{frame.height * s}</button>
+            ))}
+          </div>
+        </div>
+        <label className="inline">
+          <input type="checkbox" checked={capSize} onChange={(e) => setCapSize(e.target.checked)} /> Maksimal 2 MB (batas YouTube)
+        </label>
+        {format.lossy && !capSize && (
+          <div className="control">
+            <label>Kualitas ({Math.round(quality * 100)}%)</label>
+            <input className="range" type="range" min={0.3} max={1} step={0.01} value={quality} onChange={(e) => setQuality(parseFloat(e.target.value))} />
+          </div>
+        )}
+        <div className="control">
+          <label>Nama file</label>
+          <input className="input" value={fileName} onChange={(e) => setFileName(e.target.value)} />
+        </div>
+        <div className="hint">
+          {working && !result ? 'Menghitung ukuran…' : result?.blob && (
+            <>
+              Perkiraan ukuran: <strong>{formatBytes(result.blob.size)}</strong>
+              {result.quality !== null && ` (kualitas ${Math.round(result.quality * 100)}%)`}
+              {working && ' …'}
+            </>
+          )}
+        </div>
+        {result && !result.fits && (
+          <div className="hint" style={{ color: 'var(--danger)' }}>
+            {format.lossy ? 'Masih di atas 2 MB walau kualitas sudah minimum; kecilkan resolusi.' : 'Di atas 2 MB; pilih JPEG atau WebP untuk foto.'}
+          </div>
+        )}
+        {fallback && <div className="hint" style={{ color: 'var(--danger)' }}>Browser ini tidak bisa menyimpan {format.label}; hasilnya {result.blob.type}.</div>}
+        <button className="btn warn" onClick={download} disabled={working}>Unduh</button>
+      </div>
+    </div>
+  );
+}
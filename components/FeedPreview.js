@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import cls from 'classnames';
+
+// Real on-screen thumbnail sizes (CSS px) on youtube.com and the mobile app.
+// The slots are 16:9; other canvas sizes are letterboxed, as YouTube does.
+export const FEED_SLOTS = [
+  { id: 'home', label: 'Beranda', width: 360, height: 202 },
+  { id: 'search', label: 'Hasil pencarian', width: 360, height: 202 },
+  { id: 'sidebar', label: 'Sidebar "Berikutnya"', width: 168, height: 94 },
+  { id: 'mobile', label: 'Mobile', width: 375, height: 211 }
+];
+
+function Thumb({ src, duration, width, height, className }) {
+  return (
+    <div className={cls('feed-thumb', className)} style={{ width, height }}>
+      {src && <img src={src} alt="" />}
+      {duration && <span className="feed-duration">{duration}</span>}
+    </div>
+  );
+}
+
+function Avatar({ name, size }) {
+  return (
+    <div className="feed-avatar" style={{ width: size, height: size, fontSize: size * 0.45 }}>
+      {(name || '?').trim().slice(0, 1).toUpperCase()}
+    </div>
+  );
+}
+
+// Mock YouTube cards drawn around a snapshot of the stage (`src`), so the
+// thumbnail is judged at the size and in the company it is actually seen.
+export default function FeedPreview({ src, onClose }) {
+  const [theme, setTheme] = useState('dark');
+  const [title, setTitle] = useState('Judul video kamu tampil di sini, maksimal dua baris di feed');
+  const [channel, setChannel] = useState('Nama Channel');
+  const [duration, setDuration] = useState('12:34');
+  const meta = '12 rb x ditonton • 2 hari yang lalu';
+  const slot = (id) => FEED_SLOTS.find(s => s.id === id);
+
+  return (
+    <div className="feed-preview">
+      <div className="feed-toolbar">
+        <strong>Pratinjau Feed</strong>
+        <div className="inline">
+          <button className={cls('btn', { primary: theme === 'light' })} onClick={() => setTheme('light')}>Terang</button>
+          <button className={cls('btn', { primary: theme === 'dark' })} onClick={() => setTheme('dark')}>Gelap</button>
+          <button className="btn" onClick={onClose}>Tutup</button>
+        </div>
+      </div>
+      <div className="feed-fields">
+        <input className="input" value={title} onChange={e => setTitle(e.target.value)} placeholder="Judul video" />
+        <input className="input" value={channel} onChange={e => setChannel(e.target.value)} placeholder="Nama channel" />
+        <input className="input" value={duration} onChange={e => setDuration(e.target.value)} placeholder="Durasi" style={{ width: 90 }} />
+      </div>
+
+      <div className={cls('feed-canvas', theme)}>
+        <div className="feed-slot">
+          <div className="feed-slot-label">{slot('home').label} · {slot('home').width}×{slot('home').height}</div>
+          <div className="feed-card home" style={{ width: slot('home').width }}>
+            <Thumb src={src} duration={duration} width={slot('home').width} height={slot('home').height} />
+            <div className="feed-info">
+              <Avatar name={channel} size={36} />
+              <div>
+                <div className="feed-title">{title}</div>
+                <div className="feed-meta">{channel}</div>
+                <div className="feed-meta">{meta}</div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="feed-slot">
+          <div className="feed-slot-label">{slot('search').label} · {slot('search').width}×{slot('search').height}</div>
+          <div className="feed-card search">
+            <Thumb src={src} duration={duration} width={slot('search').width} height={slot('search').height} />
+            <div>
+              <div className="feed-title large">{title}</div>
+              <div className="feed-meta">{meta}</div>
+              <div className="feed-channel-row"><Avatar name={channel} size={24} /><span className="feed-meta">{channel}</span></div>
+              <div className="feed-meta feed-desc">Deskripsi singkat video muncul di sini pada hasil pencarian…</div>
+            </div>
+          </div>
+        </div>
+
+        <div className="feed-slot">
+          <div className="feed-slot-label">{slot('sidebar').label} · {slot('sidebar').width}×{slot('sidebar').height}</div>
+          <div className="feed-card sidebar">
+            <Thumb src={src} duration={duration} width={slot('sidebar').width} height={slot('sidebar').height} className="small" />
+            <div>
+              <div className="feed-title small">{title}</div>
+              <div className="feed-meta">{channel}</div>
+              <div className="feed-meta">{meta}</div>
+            </div>
+          </div>
+        </div>
+
+        <div className="feed-slot">
+          <div className="feed-slot-label">{slot('mobile').label} · {slot('mobile').width}×{slot('mobile').height}</div>
+          <div className="feed-card mobile" style={{ width: slot('mobile').width }}>
+            <Thumb src={src} duration={duration} width={slot('mobile').width} height={slot('mobile').height} className="square" />
+            <div className="feed-info">
+              <Avatar name={channel} size={36} />
+              <div>
+                <div className="feed-title small">{title}</div>
+                <div className="feed-meta">{channel} · {meta}</div>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+import { useEffect, useRef, useState } from 'react';
+import cls from 'classnames';
+import { isFontAvailable, primaryFamily } from '../utils/fonts';
+
+// Font dropdown with each entry drawn in its own face. `fonts` is
+// `[{ family, stack, uploaded }]`; `onChange` receives the stack to store in
+// the element's fontFamily.
+export default function FontPicker({ value, fonts, onChange, onUpload }) {
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+  const current = fonts.find(f => f.stack === value) || { family: primaryFamily(value), stack: value };
+
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => { if (ref.current && !ref.current.contains(e.target)) setOpen(false); };
+    window.addEventListener('mousedown', onDown);
+    return () => window.removeEventListener('mousedown', onDown);
+  }, [open]);
+
+  return (
+    <div className="font-picker" ref={ref}>
+      <button className="input font-current" style={{ fontFamily: current.stack }} onClick={() => setOpen(o => !o)}>
+        {current.family}
+      </button>
+      {open && (
+        <div className="font-menu">
+          {fonts.map(f => {
+            const missing = !f.uploaded && !isFontAvailable(f.family);
+            return (
+              <button
+                key={f.stack}
+                className={cls('font-option', { active: f.stack === value })}
+                style={{ fontFamily: f.stack }}
+                onClick={() => { onChange(f.stack); setOpen(false); }}
+                title={missing ? 'Font ini tidak terpasang di komputer ini; ekspor akan memakai font pengganti.' : undefined}
+              >
+                <span>{f.family}</span>
+                <span className="hint">{f.uploaded ? 'unggahan' : missing ? 'tidak terpasang' : 'bawaan'}</span>
+              </button>
+            );
+          })}
+          <label className="font-option font-upload">
+            + Unggah font (TTF/OTF/WOFF)
+            <input type="file" accept=".ttf,.otf,.woff,.woff2,font/ttf,font/otf,font/woff,font/woff2" onChange={(e) => { onUpload(e); setOpen(false); }} hidden />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import { useState } from 'react';
+import cls from 'classnames';
+
+const TYPE_LABELS = { text: 'Teks', rect: 'Kotak', circle: 'Lingkaran', arrow: 'Arrow', line: 'Garis', polygon: 'Poligon', bubble: 'Balon Kata', ring: 'Lingkar Sorot', badge: 'Badge', group: 'Grup', image: 'Gambar' };
+
+export function layerLabel(el) {
+  if (el.label) return el.label;
+  if (el.type === 'text' && el.text) return el.text.trim().slice(0, 24) || TYPE_LABELS.text;
+  return TYPE_LABELS[el.type] || el.type;
+}
+
+// Lists `elements` front-most first. Reordering is reported in element-array
+// indices (0 = back), so the parent never has to think about the reversal.
+export default function LayersPanel({ elements, selectedIds, onSelect, onUpdate, onMove }) {
+  const [editingId, setEditingId] = useState(null);
+  const [dragId, setDragId] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const rows = elements.map((el, index) => ({ el, index })).reverse();
+
+  function handleDrop(targetIndex) {
+    if (dragId) {
+      const from = elements.findIndex(e => e.id === dragId);
+      if (from >= 0 && from !== targetIndex) onMove(dragId, targetIndex);
+    }
+    setDragId(null);
+    setDropIndex(null);
+  }
+
+  if (!elements.length) return <div className="hint">Belum ada elemen.</div>;
+
+  return (
+    <div className="layers">
+      {rows.map(({ el, index }) => (
+        <div
+          key={el.id}
+          className={cls('layer-row', { active: selectedIds.includes(el.id), muted: el.hidden, dragover: dropIndex === index && dragId !== el.id })}
+          draggable={editingId !== el.id}
+          onDragStart={(e) => { setDragId(el.id); e.dataTransfer.effectAllowed = 'move'; }}
+          onDragOver={(e) => { e.preventDefault(); setDropIndex(index); }}
+          onDragLeave={() => setDropIndex(i => (i === index ? null : i))}
+          onDrop={(e) => { e.preventDefault(); handleDrop(index); }}
+          onDragEnd={() => { setDragId(null); setDropIndex(null); }}
+          onClick={(e) => onSelect(el.id, e.shiftKey)}
+        >
+          <span className="layer-type">{(TYPE_LABELS[el.type] || el.type).slice(0, 1)}</span>
+          {editingId === el.id ? (
+            <input
+              className="input layer-name"
+              autoFocus
+              defaultValue={layerLabel(el)}
+              onClick={(e) => e.stopPropagation()}
+              onBlur={(e) => { onUpdate(el.id, { label: e.target.value.trim() || undefined }); setEditingId(null); }}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') e.currentTarget.blur();
+                if (e.key === 'Escape') setEditingId(null);
+              }}
+            />
+          ) : (
+            <span className="layer-name" title="Klik dua kali untuk mengganti nama" onDoubleClick={() => setEditingId(el.id)}>{layerLabel(el)}</span>
+          )}
+          <button className="icon-btn" title="Naik satu lapis" disabled={index === elements.length - 1} onClick={(e) => { e.stopPropagation(); onMove(el.id, index + 1); }}>↑</button>
+          <button className="icon-btn" title="Turun satu lapis" disabled={index === 0} onClick={(e) => { e.stopPropagation(); onMove(el.id, index - 1); }}>↓</button>
+          <button className={cls('icon-btn', { on: el.hidden })} title={el.hidden ? 'Tampilkan' : 'Sembunyikan'} onClick={(e) => { e.stopPropagation(); onUpdate(el.id, { hidden: !el.hidden }); }}>{el.hidden ? '◌' : '●'}</button>
+          <button className={cls('icon-btn', { on: el.locked })} title={el.locked ? 'Buka kunci' : 'Kunci'} onClick={(e) => { e.stopPropagation(); onUpdate(el.id, { locked: !el.locked }); }}>{el.locked ? '🔒' : '🔓'}</button>
+        </div>
+      ))}
+    </div>
+  );
+}
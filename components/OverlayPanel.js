@@ -0,0 +1,85 @@
+import { BLEND_MODES, OVERLAY_TYPES, createOverlay } from '../utils/overlays';
+
+const TYPE_LABELS = { linear: 'Gradasi Linear', radial: 'Gradasi Radial', vignette: 'Vignette' };
+
+function StopsEditor({ stops, onChange }) {
+  const patch = (i, p) => onChange(stops.map((s, j) => (j === i ? { ...s, ...p } : s)));
+  return (
+    <div className="control">
+      <label>Titik Warna (posisi / warna / opacity)</label>
+      {stops.map((s, i) => (
+        <div key={i} className="inline">
+          <input className="range" type="range" min="0" max="1" step="0.01" value={s.offset} onChange={e => patch(i, { offset: parseFloat(e.target.value) })} />
+          <input type="color" className="swatch" value={s.color} onChange={e => patch(i, { color: e.target.value })} />
+          <input className="range" type="range" min="0" max="1" step="0.01" value={s.alpha ?? 1} onChange={e => patch(i, { alpha: parseFloat(e.target.value) })} />
+          <button className="btn" onClick={() => onChange(stops.filter((_, j) => j !== i))} disabled={stops.length <= 2} title="Hapus titik">×</button>
+        </div>
+      ))}
+      <button className="btn" onClick={() => onChange([...stops, { offset: 0.5, color: stops[stops.length - 1].color, alpha: 0.5 }])}>+ Titik</button>
+    </div>
+  );
+}
+
+// The gradient overlay stack of the background, drawn first to last over
+// the flat overlay. `onChange` receives the new list.
+export default function OverlayPanel({ overlays, onChange }) {
+  const patch = (id, p) => onChange(overlays.map(o => (o.id === id ? { ...o, ...p } : o)));
+  const move = (i, d) => {
+    const next = [...overlays];
+    [next[i], next[i + d]] = [next[i + d], next[i]];
+    onChange(next);
+  };
+
+  return (
+    <div className="control">
+      <label>Overlay Gradasi</label>
+      {overlays.map((o, i) => (
+        <div key={o.id} className="overlay-card">
+          <div className="inline">
+            <strong>{TYPE_LABELS[o.type]}</strong>
+            <span style={{ marginLeft: 'auto' }} />
+            <button className="btn" onClick={() => move(i, -1)} disabled={i === 0} title="Ke bawah tumpukan">↑</button>
+            <button className="btn" onClick={() => move(i, 1)} disabled={i === overlays.length - 1} title="Ke atas tumpukan">↓</button>
+            <button className="btn" onClick={() => onChange(overlays.filter(x => x.id !== o.id))} title="Hapus overlay">×</button>
+          </div>
+          <div className="control-row">
+            <select className="select" value={o.blend || 'normal'} onChange={e => patch(o.id, { blend: e.target.value })}>
+              {BLEND_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+            </select>
+            <input className="range" type="range" min="0" max="1" step="0.01" value={o.opacity ?? 1} onChange={e => patch(o.id, { opacity: parseFloat(e.target.value) })} title="Opacity" />
+          </div>
+          {o.type === 'linear' && (
+            <div className="control">
+              <label>Sudut ({o.angle || 0}°)</label>
+              <input className="range" type="range" min="0" max="359" step="1" value={o.angle || 0} onChange={e => patch(o.id, { angle: parseInt(e.target.value, 10) })} />
+            </div>
+          )}
+          {o.type === 'radial' && (
+            <div className="control">
+              <label>Pusat X / Pusat Y / Radius</label>
+              <input className="range" type="range" min="0" max="1" step="0.01" value={o.cx ?? 0.5} onChange={e => patch(o.id, { cx: parseFloat(e.target.value) })} />
+              <input className="range" type="range" min="0" max="1" step="0.01" value={o.cy ?? 0.5} onChange={e => patch(o.id, { cy: parseFloat(e.target.value) })} />
+              <input className="range" type="range" min="0.05" max="1.5" step="0.01" value={o.radius ?? 0.6} onChange={e => patch(o.id, { radius: parseFloat(e.target.value) })} />
+            </div>
+          )}
+          {o.type === 'vignette' && (
+            <div className="control">
+              <label>Warna / Kekuatan / Lebar</label>
+              <div className="inline">
+                <input type="color" className="swatch" value={o.color} onChange={e => patch(o.id, { color: e.target.value })} />
+                <input className="range" type="range" min="0" max="1" step="0.01" value={o.amount ?? 0.6} onChange={e => patch(o.id, { amount: parseFloat(e.target.value) })} />
+              </div>
+              <input className="range" type="range" min="0.05" max="1" step="0.01" value={o.size ?? 0.5} onChange={e => patch(o.id, { size: parseFloat(e.target.value) })} />
+            </div>
+          )}
+          {o.type !== 'vignette' && <StopsEditor stops={o.stops} onChange={stops => patch(o.id, { stops })} />}
+        </div>
+      ))}
+      <div className="control-row">
+        {OVERLAY_TYPES.map(t => (
+          <button key={t} className="btn" onClick={() => onChange([...overlays, createOverlay(t, crypto.randomUUID())])}>+ {TYPE_LABELS[t]}</button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import { useEffect, useRef, useState } from 'react';
+import Konva from 'konva';
+import cls from 'classnames';
+import { renderProject } from '../utils/render';
+import { getImage } from '../utils/images';
+import { backgroundImage } from '../utils/project';
+import { whenFontsReady } from '../utils/fonts';
+import { isBuiltinTemplate, templateSettings } from '../utils/templates';
+
+const PREVIEW_WIDTH = 320;
+
+function createCanvas(w, h) {
+  const c = document.createElement('canvas');
+  c.width = w; c.height = h;
+  return c;
+}
+
+// Draws a template over the current photo with the headless renderer, so
+// the preview is what applying it would give.
+async function renderPreview(template, bgSrc, photoSettings) {
+  await whenFontsReady(template.elements, template.fonts);
+  const doc = {
+    canvas: template.canvas,
+    background: { image: backgroundImage(bgSrc) }
+  };
+  const variant = { settings: templateSettings(template, photoSettings), elements: template.elements };
+  const canvas = await renderProject(doc, {
+    Konva, createCanvas, loadImage: getImage, variant, pixelRatio: PREVIEW_WIDTH / template.canvas.width
+  });
+  return canvas.toDataURL('image/jpeg', 0.85);
+}
+
+// Built-in and saved templates with rendered previews. `onApply(template,
+// mode)` gets 'replace' (swap in the whole design) or 'style' (restyle the
+// existing text and background only).
+export default function TemplateGallery({ templates, bgSrc, photoSettings, onApply, onDelete, onSave, onImport, onExport, onClose }) {
+  const [mode, setMode] = useState('replace');
+  const [previews, setPreviews] = useState({});
+  // photo framing only matters for the preview once the photo changes
+  const photoRef = useRef(photoSettings);
+  photoRef.current = photoSettings;
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      for (const t of templates) {
+        try {
+          const src = await renderPreview(t, bgSrc, photoRef.current);
+          if (cancelled) return;
+          setPreviews(p => ({ ...p, [t.id]: src }));
+        } catch {
+          // no preview; the card shows its name only
+        }
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [templates, bgSrc]);
+
+  return (
+    <div className="variant-board template-gallery">
+      <div className="feed-toolbar">
+        <strong>Template</strong>
+        <div className="inline">
+          <button className={cls('btn', { primary: mode === 'replace' })} onClick={() => setMode('replace')} title="Ganti elemen dan tampilan background">Ganti Desain</button>
+          <button className={cls('btn', { primary: mode === 'style' })} onClick={() => setMode('style')} title="Pertahankan teks dan posisi, pakai gaya template">Gaya Saja</button>
+          <button className="btn" onClick={onSave}>Simpan Desain Ini</button>
+          <label className="btn">
+            Impor
+            <input type="file" accept=".json,application/json" onChange={onImport} hidden />
+          </label>
+          <button className="btn" onClick={onExport} disabled={templates.every(t => isBuiltinTemplate(t.id))}>Ekspor</button>
+          <button className="btn" onClick={onClose}>Tutup</button>
+        </div>
+      </div>
+      <div className="variant-grid">
+        {templates.map(t => (
+          <div key={t.id} className="variant-card" role="button" tabIndex={0} onClick={() => onApply(t, mode)} onKeyDown={(e) => { if (e.key === 'Enter') onApply(t, mode); }}>
+            <div className="variant-thumb" style={{ aspectRatio: `${t.canvas.width} / ${t.canvas.height}` }}>
+              {previews[t.id] && <img src={previews[t.id]} alt="" />}
+            </div>
+            <div className="score">
+              <div>{t.name}</div>
+              {isBuiltinTemplate(t.id)
+                ? <span className="hint">bawaan</span>
+                : <button className="btn" onClick={(e) => { e.stopPropagation(); onDelete(t.id); }} title="Hapus template">×</button>}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import cls from 'classnames';
+
+function scoreColor(score) {
+  return score >= 80 ? 'var(--success)' : score >= 60 ? 'var(--accent-2)' : 'var(--danger)';
+}
+
+// Side-by-side grid of every variant with its snapshot and analysis.
+// `cards` is keyed by variant id: `{ src, analysis }`, filled by the parent.
+export default function VariantBoard({ variants, cards, activeId, busy, onSelect, onRefresh, onExport, onClose }) {
+  const scored = variants.filter(v => cards[v.id]);
+  const best = scored.reduce((b, v) => (!b || cards[v.id].analysis.score > cards[b.id].analysis.score ? v : b), null);
+
+  return (
+    <div className="variant-board">
+      <div className="feed-toolbar">
+        <strong>Bandingkan Varian</strong>
+        <div className="inline">
+          {busy && <span className="hint">{busy}</span>}
+          <button className="btn" onClick={onRefresh} disabled={!!busy}>Perbarui</button>
+          <button className="btn warn" onClick={onExport} disabled={!!busy}>Ekspor Semua</button>
+          <button className="btn" onClick={onClose} disabled={!!busy}>Tutup</button>
+        </div>
+      </div>
+      <div className="variant-grid">
+        {variants.map(v => {
+          const card = cards[v.id];
+          return (
+            <button key={v.id} className={cls('variant-card', { active: v.id === activeId })} onClick={() => onSelect(v.id)} disabled={!!busy}>
+              <div className="variant-thumb">{card?.src && <img src={card.src} alt="" />}</div>
+              <div className="score">
+                <div className="dot" style={{ background: card ? scoreColor(card.analysis.score) : 'var(--border)' }} />
+                <div>{v.name}{card && `: ${card.analysis.score}/100`}{best && best.id === v.id && scored.length > 1 && ' ★'}</div>
+              </div>
+              {card && (
+                <div className="hint">
+                  Kata: {card.analysis.wordCount} | Area teks: {(card.analysis.areaRatio * 100).toFixed(1)}% | Kontras: {card.analysis.avgContrast.toFixed(2)}:1 (min {card.analysis.minContrast.toFixed(1)})
+                </div>
+              )}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import { useState } from 'react';
+import cls from 'classnames';
+
+// Tabs above the stage, one per A/B variant. Double-click renames.
+export default function VariantTabs({ variants, activeId, disabled, comparing, onSelect, onRename, onClone, onDelete, onCompare }) {
+  const [editingId, setEditingId] = useState(null);
+
+  return (
+    <div className="variant-tabs">
+      {variants.map(v => (
+        <div key={v.id} className={cls('variant-tab', { active: v.id === activeId })}>
+          {editingId === v.id ? (
+            <input
+              className="input"
+              autoFocus
+              defaultValue={v.name}
+              onBlur={(e) => { onRename(v.id, e.target.value.trim() || v.name); setEditingId(null); }}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') e.currentTarget.blur();
+                if (e.key === 'Escape') setEditingId(null);
+              }}
+            />
+          ) : (
+            <button
+              className="variant-name"
+              onClick={() => onSelect(v.id)}
+              onDoubleClick={() => setEditingId(v.id)}
+              disabled={disabled}
+              title="Klik dua kali untuk mengganti nama"
+            >
+              {v.name}
+            </button>
+          )}
+          {variants.length > 1 && (
+            <button className="icon-btn" onClick={() => onDelete(v.id)} disabled={disabled} title="Hapus varian">×</button>
+          )}
+        </div>
+      ))}
+      <button className="btn" onClick={onClone} disabled={disabled} title="Salin varian aktif">+ Duplikat</button>
+      <button className={cls('btn', { primary: comparing })} onClick={onCompare} disabled={disabled}>Bandingkan</button>
+    </div>
+  );
+}
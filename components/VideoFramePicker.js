@@ -0,0 +1,127 @@
+import { useEffect, useRef, useState } from 'react';
+import cls from 'classnames';
+import { FRAME_STEP, findCandidateFrames, grabFrame, loadVideo, seekVideo } from '../utils/videoFrames';
+
+function formatTime(t) {
+  const m = Math.floor(t / 60);
+  const s = (t % 60).toFixed(2).padStart(5, '0');
+  return `${m}:${s}`;
+}
+
+// Scrub through a local video file and pick a frame for the background.
+// The filmstrip holds the sharpest well-exposed frames of a scan, best
+// first. `onPick(canvas)` receives the chosen frame at the video's full
+// resolution; when the promise it returns rejects, the picker stays open and
+// shows why.
+export default function VideoFramePicker({ file, onPick, onClose }) {
+  const [url, setUrl] = useState(null);
+  const [duration, setDuration] = useState(0);
+  const [time, setTime] = useState(0);
+  const [candidates, setCandidates] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(file);
+    setUrl(objectUrl);
+    setCandidates(null);
+    setError(null);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [file]);
+
+  // The scan seeks its own hidden copy so the preview stays where it is.
+  useEffect(() => {
+    if (!url) return;
+    let cancelled = false;
+    setProgress([0, 1]);
+    loadVideo(url)
+      .then(video => {
+        // the preview may not know the duration of a header-less recording
+        if (!cancelled) setDuration(d => d || video.duration);
+        return findCandidateFrames(video, {
+          onProgress: (done, total) => { if (!cancelled) setProgress([done, total]); },
+          isCancelled: () => cancelled
+        });
+      })
+      .then(found => { if (!cancelled) setCandidates(found); })
+      .catch(err => { if (!cancelled) setError(err.message || String(err)); })
+      .finally(() => { if (!cancelled) setProgress(null); });
+    return () => { cancelled = true; };
+  }, [url]);
+
+  function seek(t) {
+    const video = videoRef.current;
+    if (!video || !duration) return;
+    const clamped = Math.max(0, Math.min(duration, t));
+    setTime(clamped);
+    seekVideo(video, clamped).catch(err => setError(err.message));
+  }
+
+  async function pick() {
+    const video = videoRef.current;
+    if (!video || video.readyState < 2) return;
+    setError(null);
+    try {
+      await onPick(grabFrame(video));
+    } catch (err) {
+      setError(`Frame gagal dipakai: ${err.message || err}`);
+    }
+  }
+
+  return (
+    <div className="feed-preview video-picker">
+      <div className="feed-toolbar">
+        <strong>Frame dari Video</strong>
+        <button className="btn" onClick={onClose}>Tutup</button>
+      </div>
+      <div className="export-body">
+        {error && <div className="hint" style={{ color: 'var(--danger)' }}>{error}</div>}
+        {url && (
+          <video
+            ref={videoRef}
+            className="video-preview"
+            src={url}
+            muted
+            playsInline
+            preload="auto"
+            onLoadedMetadata={e => setDuration(Number.isFinite(e.target.duration) ? e.target.duration : 0)}
+            onSeeked={e => setTime(e.target.currentTime)}
+            onError={() => setError('Video tidak bisa dibaca browser ini.')}
+          />
+        )}
+        <div className="control">
+          <label>Posisi {formatTime(time)} / {formatTime(duration)}</label>
+          <input className="range" type="range" min={0} max={duration || 0} step={FRAME_STEP} value={time} onChange={e => seek(parseFloat(e.target.value))} disabled={!duration} />
+        </div>
+        <div className="inline">
+          <button className="btn" onClick={() => seek(time - FRAME_STEP)} disabled={!duration} title="Mundur satu frame">◀ Frame</button>
+          <button className="btn" onClick={() => seek(time + FRAME_STEP)} disabled={!duration} title="Maju satu frame">Frame ▶</button>
+          <button className="btn warn" onClick={pick} disabled={!duration} style={{ marginLeft: 'auto' }}>Pakai Frame Ini</button>
+        </div>
+        <div className="hint">
+          {progress
+            ? `Mencari frame terbaik… ${progress[0]}/${progress[1]}`
+            : candidates && (candidates.length
+              ? 'Kandidat terbaik (tajam & terang cukup), diurutkan dari yang terbaik. Frame buram dilewati.'
+              : 'Tidak ada frame yang cukup tajam.')}
+        </div>
+        {candidates && candidates.length > 0 && (
+          <div className="filmstrip">
+            {candidates.map((c, i) => (
+              <button
+                key={c.time}
+                className={cls('filmstrip-frame', { active: Math.abs(c.time - time) < FRAME_STEP })}
+                onClick={() => seek(c.time)}
+                title={`${formatTime(c.time)}, skor ${Math.round(c.score * 100)}`}
+              >
+                <img src={c.thumb} alt={`Kandidat ${i + 1}`} />
+                <span className="hint">{formatTime(c.time)}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
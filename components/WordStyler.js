@@ -0,0 +1,59 @@
+import { useState } from 'react';
+import cls from 'classnames';
+import { applyWordStyle, splitWords, wordStyle } from '../utils/richText';
+
+// Word chips for styling ranges of a text element: click picks a word,
+// shift-click extends to a range, then color / outline / highlight apply to
+// just those words, starting from the brand kit's colors. Writes the
+// element's `runs`.
+export default function WordStyler({ el, kit, onChange }) {
+  const words = splitWords(el.text);
+  const [range, setRange] = useState(null);
+  const [fill, setFill] = useState(kit.roles.accent);
+  const [stroke, setStroke] = useState(kit.roles.outline);
+  const [highlight, setHighlight] = useState(kit.roles.marker);
+  const sel = range && range.to < words.length ? range : null;
+
+  function pick(i, extend) {
+    setRange(r => (extend && r ? { from: Math.min(r.anchor, i), to: Math.max(r.anchor, i), anchor: r.anchor } : { from: i, to: i, anchor: i }));
+  }
+  function apply(patch) {
+    if (!sel) return;
+    onChange({ runs: applyWordStyle(el.runs, sel.from, sel.to, patch) });
+  }
+
+  if (!words.length) return null;
+
+  return (
+    <div className="control">
+      <label>Gaya per Kata</label>
+      <div className="word-chips">
+        {words.map((w, i) => {
+          const style = wordStyle(el.runs, i);
+          return (
+            <button
+              key={i}
+              className={cls('word-chip', { active: sel && i >= sel.from && i <= sel.to })}
+              style={{ color: style.fill, background: style.highlight }}
+              onClick={(e) => pick(i, e.shiftKey)}
+              title="Shift+klik untuk memilih rentang"
+            >
+              {w}
+            </button>
+          );
+        })}
+      </div>
+      <div className="inline" style={{ marginTop: 6 }}>
+        <input type="color" className="swatch" value={fill} onChange={e => setFill(e.target.value)} />
+        <button className="btn" disabled={!sel} onClick={() => apply({ fill })}>Warna</button>
+        <input type="color" className="swatch" value={stroke} onChange={e => setStroke(e.target.value)} />
+        <button className="btn" disabled={!sel} onClick={() => apply({ stroke })}>Outline</button>
+      </div>
+      <div className="inline" style={{ marginTop: 6 }}>
+        <input type="color" className="swatch" value={highlight} onChange={e => setHighlight(e.target.value)} />
+        <button className="btn" disabled={!sel} onClick={() => apply({ highlight })}>Sorot</button>
+        <button className="btn" disabled={!sel} onClick={() => apply({ fill: null, stroke: null, highlight: null })}>Hapus Gaya</button>
+      </div>
+    </div>
+  );
+}
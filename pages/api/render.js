@@ -0,0 +1,76 @@
+// Konva 9's Node entry sets node-canvas up as its backend; Konva 10+ needs
+// `import 'konva/canvas-backend'` here as well (see README).
+import Konva from 'konva';
+import { createCanvas, deregisterAllFonts, loadImage, registerFont } from 'canvas';
+import { ProjectFormatError, parseProject, projectVariant } from '../../utils/project';
+import { renderProject } from '../../utils/render';
+import { withEmbeddedFonts } from '../../utils/serverFonts';
+
+// POST /api/render[?format=png|jpeg&quality=0.9&scale=1|2&variant=<id or name>]
+// Body: a project document (the same JSON "Simpan Proyek" writes).
+// Responds with the image of the variant (default: the one saved as open) at
+// the project's canvas size times `scale`, 422 with `details` when the
+// document doesn't validate, 400 for bad query parameters or an unknown
+// variant.
+
+export const config = {
+  api: { bodyParser: { sizeLimit: '25mb' } }
+};
+
+const FORMATS = { png: 'image/png', jpeg: 'image/jpeg', jpg: 'image/jpeg' };
+
+// Embedded images only: fetching arbitrary URLs from the server would let a
+// document make requests on the renderer's behalf. An image that doesn't
+// decode is the document's fault too.
+function loadEmbeddedImage(src) {
+  if (!src.startsWith('data:image/')) {
+    return Promise.reject(new ProjectFormatError('Gambar harus disematkan sebagai data URL untuk render API.', [`sumber tidak didukung: ${src.slice(0, 80)}`]));
+  }
+  return loadImage(src).catch(err => {
+    throw new ProjectFormatError('Gambar yang disematkan tidak bisa dibaca.', [`${src.slice(0, 40)}…: ${err.message}`]);
+  });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Gunakan POST dengan dokumen proyek sebagai body.' });
+  }
+  const format = String(req.query.format || 'png').toLowerCase();
+  if (!FORMATS[format]) {
+    return res.status(400).json({ error: `Format "${format}" tidak didukung.`, details: [`pilihan: ${Object.keys(FORMATS).join(', ')}`] });
+  }
+  const quality = req.query.quality === undefined ? 0.92 : Number(req.query.quality);
+  if (!(quality > 0 && quality <= 1)) {
+    return res.status(400).json({ error: 'quality harus di antara 0 dan 1.' });
+  }
+  const scale = req.query.scale === undefined ? 1 : Number(req.query.scale);
+  if (scale !== 1 && scale !== 2) {
+    return res.status(400).json({ error: 'scale harus 1 atau 2.' });
+  }
+  if (req.body === undefined || req.body === null || req.body === '') {
+    return res.status(400).json({ error: 'Body kosong; kirim dokumen proyek sebagai JSON.' });
+  }
+
+  try {
+    const doc = parseProject(req.body);
+    const variant = projectVariant(doc, req.query.variant);
+    if (!variant) {
+      return res.status(400).json({ error: `Varian "${req.query.variant}" tidak ada.`, details: doc.variants.map(v => `${v.id} (${v.name})`) });
+    }
+    const buffer = await withEmbeddedFonts(doc.fonts, { registerFont, deregisterAllFonts }, async () => {
+      const canvas = await renderProject(doc, { Konva, createCanvas, loadImage: loadEmbeddedImage, variant, pixelRatio: scale });
+      return FORMATS[format] === 'image/png'
+        ? canvas.toBuffer('image/png')
+        : canvas.toBuffer('image/jpeg', { quality });
+    });
+    res.setHeader('Content-Type', FORMATS[format]);
+    res.setHeader('Content-Length', buffer.length);
+    return res.status(200).send(buffer);
+  } catch (err) {
+    if (err instanceof ProjectFormatError) {
+      return res.status(422).json({ error: err.summary, details: err.details });
+    }
+    return res.status(500).json({ error: 'Render gagal.' });
+  }
+}
@@ -1,10 +1,57 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
-import { Stage, Layer, Rect, Image as KImage, Text as KText, Group, Line, Star, Arrow, Circle, Transformer } from 'react-konva';
+import { Stage, Layer, Rect, Image as KImage, Text, Group, Line, Circle, Transformer } from 'react-konva';
 import { saveAs } from 'file-saver';
 import cls from 'classnames';
+import LayersPanel, { layerLabel } from '../components/LayersPanel';
+import ElementNode from '../components/ElementNode';
+import FeedPreview from '../components/FeedPreview';
+import BatchPanel from '../components/BatchPanel';
+import VariantTabs from '../components/VariantTabs';
+import VariantBoard from '../components/VariantBoard';
+import ExportDialog from '../components/ExportDialog';
+import WordStyler from '../components/WordStyler';
+import FontPicker from '../components/FontPicker';
+import TemplateGallery from '../components/TemplateGallery';
+import OverlayPanel from '../components/OverlayPanel';
+import EffectsPanel from '../components/EffectsPanel';
+import VideoFramePicker from '../components/VideoFramePicker';
+import AnalysisSettings from '../components/AnalysisSettings';
+import AssetLibrary from '../components/AssetLibrary';
+import BrandKitPanel from '../components/BrandKitPanel';
+import { ALIGN_MODES, alignDeltas, distributeDeltas, flattenElements, makeGroup, normalizeRect, rectsIntersect, scaleElement, snapRect, ungroup, unionRect } from '../utils/geometry';
+import { BUBBLE_STYLES, PATH_STYLES, elementHandles, moveHandle, polygonPoints, polygonRadius, setPathStyle } from '../utils/paths';
+import { useHistory, isTextEditingTarget } from '../utils/history';
+import { DEFAULT_GUIDES, ProjectFormatError, assetSrc, backgroundSrc, parseProject, serializeProject } from '../utils/project';
+import { kvDelete, kvGet, kvSet, storageEstimate } from '../utils/storage';
+import { addAsset, embedAssets, importEmbeddedAssets, listAssets, removeAsset, updateAsset, usedAssetIds } from '../utils/assets';
+import { computeAnalysis, resolveAnalysisSettings } from '../utils/analysis';
+import { busynessMap, findCalmPlacement, sampleBackground } from '../utils/busyness';
+import { measureBackdrop, measureTextContrast } from '../utils/contrast';
+import { hexToRgb, imagePixels } from '../utils/color';
+import { ACCENT_MIN_RATIO, TEXT_MIN_RATIO, colorPatch, extractPalette, suggestAccents, suggestTextColors } from '../utils/palette';
+import { getImage, loadHTMLImage, peekImage, readAsDataURL } from '../utils/images';
+import { FULL_CROP, IMAGE_MASKS, sizeForCrop } from '../utils/imageElement';
+import { batchFileNames, fillPlaceholders, findPlaceholders, findTextOverflows, isRowFlagged } from '../utils/batch';
+import { parseCsv } from '../utils/csv';
+import { createZip } from '../utils/zip';
+import { canvasToBlob } from '../utils/exportImage';
+import { TEXT_ALIGNS, defaultMeasurer, remapRuns } from '../utils/richText';
+import { BUILTIN_FONTS, FONT_FORMATS, familyFromFileName, fontStack, loadProjectFonts, whenFontsReady } from '../utils/fonts';
+import { builtinTemplates, createTemplate, mergeTemplates, parseTemplatePack, restyleText, serializeTemplatePack, templateElements, templateSettings, upgradeTemplate } from '../utils/templates';
+import { CANVAS_PRESETS, DEFAULT_CANVAS, allSafeZones, canvasPreset, gridLines, safeZonesFor } from '../utils/frame';
+import { findZoneHits, nudgeOutOfZones } from '../utils/safeZones';
+import { BLEND_MODES, overlayAttrs } from '../utils/overlays';
+import { BG_FIT_MODES, DEFAULT_BG_SETTINGS, cropCenterFromPosition, renderBackground } from '../utils/background';
+import { DEFAULT_BRAND_KIT, brandProjectFonts, brandTextStyle, logoBox, parseBrandKit, restoreBrandKit, serializeBrandKit } from '../utils/brandKit';
 
-const THUMB_W = 1280;
-const THUMB_H = 720;
+const AUTOSAVE_KEY = 'autosave';
+const TEMPLATES_KEY = 'templates';
+const ANALYSIS_KEY = 'analysisRules';
+const BRAND_KIT_KEY = 'brandKit';
+const SNAP_THRESHOLD = 6;
+const PATH_STYLE_LABELS = { straight: 'Lurus', curved: 'Lengkung', sketch: 'Coretan' };
+const BUBBLE_STYLE_LABELS = { speech: 'Ucapan', thought: 'Pikiran' };
+const ALIGN_LABELS = { left: 'Kiri', center: 'Tengah', right: 'Kanan', top: 'Atas', middle: 'Tengah V', bottom: 'Bawah' };
 
 function useContainerSize() {
   const ref = useRef(null);
@@ -22,153 +69,475 @@ function useContainerSize() {
   return [ref, size];
 }
 
-function loadHTMLImage(fileOrUrl) {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    img.crossOrigin = 'anonymous';
-    img.onload = () => resolve(img);
-    img.onerror = reject;
-    if (typeof fileOrUrl === 'string') {
-      img.src = fileOrUrl;
-    } else {
-      const url = URL.createObjectURL(fileOrUrl);
-      img.onload = () => {
-        URL.revokeObjectURL(url);
-        resolve(img);
-      };
-      img.src = url;
-    }
-  });
+// Bakes the background adjustments into a bitmap. While sliders move it
+// renders at the stage's display scale on the next frame, then re-renders at
+// full frame resolution once the input settles.
+function useBackgroundBitmap(img, settings, previewRatio, frame) {
+  const [bitmap, setBitmap] = useState(null);
+  const { brightness, contrast, saturation, blur, fit, cropX, cropY, cropZoom } = settings;
+  const { width, height } = frame;
+  useEffect(() => {
+    if (!img) { setBitmap(null); return; }
+    const s = { brightness, contrast, saturation, blur, fit, cropX, cropY, cropZoom };
+    const preview = Math.min(1, previewRatio || 1);
+    let cancelled = false;
+    const raf = requestAnimationFrame(() => {
+      if (!cancelled) setBitmap(renderBackground(img, s, width, height, preview));
+    });
+    const timer = preview < 1 && setTimeout(() => {
+      if (!cancelled) setBitmap(renderBackground(img, s, width, height, 1));
+    }, 250);
+    return () => { cancelled = true; cancelAnimationFrame(raf); clearTimeout(timer); };
+  }, [img, brightness, contrast, saturation, blur, fit, cropX, cropY, cropZoom, previewRatio, width, height]);
+  return bitmap;
 }
 
-function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
-function lerp(a, b, t) { return a + (b - a) * t; }
+const FIRST_VARIANT = { id: 'varian-a', name: 'Varian A', elements: [], bgSettings: DEFAULT_BG_SETTINGS };
 
-function getContrastRatio(rgb1, rgb2) {
-  function luminance([r, g, b]) {
-    const srgb = [r, g, b].map(v => {
-      v /= 255;
-      return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
-    });
-    return 0.2126 * srgb[0] + 0.7152 * srgb[1] + 0.0722 * srgb[2];
+// "Varian A", "Varian B", … skipping names already taken
+function nextVariantName(variants) {
+  for (let i = 0; ; i++) {
+    const letter = i < 26 ? String.fromCharCode(65 + i) : String(i + 1);
+    const name = `Varian ${letter}`;
+    if (!variants.some(v => v.name === name)) return name;
   }
-  const L1 = luminance(rgb1);
-  const L2 = luminance(rgb2);
-  const bright = Math.max(L1, L2);
-  const dark = Math.min(L1, L2);
-  return (bright + 0.05) / (dark + 0.05);
 }
 
-function hexToRgb(hex) {
-  let h = hex.replace('#', '');
-  if (h.length === 3) h = h.split('').map(x => x + x).join('');
-  const bigint = parseInt(h, 16);
-  return [ (bigint >> 16) & 255, (bigint >> 8) & 255, bigint & 255 ];
-}
+function nextFrame() { return new Promise(resolve => requestAnimationFrame(() => resolve())); }
 
-function avgImageColor(img) {
+// `drawn` is a renderBackground result; null when the photo can't be read
+// back (cross-origin), which leaves the busyness checks out
+function backgroundBusyness(drawn, settings, frame) {
   try {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    const w = 64, h = 36;
-    canvas.width = w; canvas.height = h;
-    ctx.drawImage(img, 0, 0, w, h);
-    const { data } = ctx.getImageData(0, 0, w, h);
-    let r = 0, g = 0, b = 0, count = 0;
-    for (let i = 0; i < data.length; i += 4) {
-      r += data[i]; g += data[i + 1]; b += data[i + 2]; count++;
-    }
-    return [Math.round(r / count), Math.round(g / count), Math.round(b / count)];
+    return busynessMap(sampleBackground(drawn.canvas, drawn.rect, settings, frame), frame);
   } catch {
-    return [20, 20, 20];
+    return null;
   }
 }
 
-function computeAnalysis(elements, bgImg) {
-  const textEls = elements.filter(e => e.type === 'text');
-  const words = textEls.flatMap(t => (t.text || '').trim().split(/\s+/).filter(Boolean));
-  const wordCount = words.length;
-
-  const textArea = textEls.reduce((acc, t) => acc + (t.width || 0) * (t.height || 0), 0);
-  const areaRatio = textArea / (THUMB_W * THUMB_H);
-
-  const bgAvg = bgImg ? avgImageColor(bgImg) : [20, 20, 20];
-  // Approximate contrast by comparing bg average to each text fill color
-  const contrasts = textEls.map(t => getContrastRatio(hexToRgb(t.fill || '#ffffff'), bgAvg));
-  const avgContrast = contrasts.length ? (contrasts.reduce((a, b) => a + b, 0) / contrasts.length) : 8;
-
-  // Score components
-  let score = 0;
-  // Word count target 2-6
-  const wcScore = clamp(1 - Math.abs(clamp(wordCount, 0, 12) - 4) / 8, 0, 1);
-  // Area ratio target ~0.18-0.35
-  const arTarget = (areaRatio >= 0.12 && areaRatio <= 0.4) ? 1 : (areaRatio < 0.12 ? clamp(areaRatio / 0.12, 0, 1) : clamp((0.5 - areaRatio) / 0.1, 0, 1));
-  // Contrast target >= 4.5
-  const contrastScore = clamp(avgContrast / 6.5, 0, 1); // 6.5 treated as excellent
-  score = Math.round((wcScore * 0.3 + arTarget * 0.35 + contrastScore * 0.35) * 100);
-
-  const suggestions = [];
-  if (wordCount > 6) suggestions.push('Kurangi jumlah kata agar lebih punchy (? 6 kata).');
-  if (wordCount === 0) suggestions.push('Tambahkan judul singkat yang kuat.');
-  if (areaRatio < 0.12) suggestions.push('Perbesar ukuran teks/elemen penting agar lebih terbaca.');
-  if (areaRatio > 0.4) suggestions.push('Kurangi dominasi teks agar visual tetap bersih.');
-  if (avgContrast < 4.5) suggestions.push('Tingkatkan kontras teks (ganti warna, tambah outline/shadow).');
-  if (!elements.some(e => e.type === 'badge' || e.type === 'arrow')) suggestions.push('Tambahkan elemen penunjuk (badge/arrow) untuk fokus visual.');
-  return { score, wordCount, areaRatio, avgContrast, suggestions };
-}
+function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
+function lerp(a, b, t) { return a + (b - a) * t; }
 
 export default function Home() {
   const [containerRef, containerSize] = useContainerSize();
   const [stageScale, setStageScale] = useState(1);
   const [bgImg, setBgImg] = useState(null);
-  const [bgSettings, setBgSettings] = useState({ brightness: 0, contrast: 0, saturation: 0, blur: 0, overlay: '#000000', overlayAlpha: 0.0, bgColor: '#0a0e15' });
-  const [elements, setElements] = useState([]);
+  const [bgSrc, setBgSrc] = useState(null);
+  // The document is the list of A/B variants; the stage edits the active one.
+  const history = useHistory({ variants: [FIRST_VARIANT], activeId: FIRST_VARIANT.id, canvas: DEFAULT_CANVAS });
+  const { variants, activeId, canvas: frame } = history.present;
+  const { width: frameW, height: frameH } = frame;
+  const { elements, bgSettings } = variants.find(v => v.id === activeId) || variants[0];
   const [showGrid, setShowGrid] = useState(true);
   const [showThirds, setShowThirds] = useState(false);
   const [showSafeZone, setShowSafeZone] = useState(true);
-  const [selectedId, setSelectedId] = useState(null);
+  // per-zone overrides of the preset's defaults, saved as guides.zones
+  const [zoneToggles, setZoneToggles] = useState({});
+  // elements overlapping a safe zone, read off the stage: { [id]: { quad, zones } }
+  const [zoneHits, setZoneHits] = useState({});
+  const [showBusyness, setShowBusyness] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [alignTo, setAlignTo] = useState('selection');
+  const [band, setBand] = useState(null);
+  const [snapLines, setSnapLines] = useState([]);
+  const [restored, setRestored] = useState(false);
+  const [contrastReport, setContrastReport] = useState({});
+  const [showFeed, setShowFeed] = useState(false);
+  const [feedSrc, setFeedSrc] = useState(null);
+  const [batch, setBatch] = useState(null);
+  const [batchRow, setBatchRow] = useState(null);
+  const [batchFileColumn, setBatchFileColumn] = useState('');
+  const [batchThreshold, setBatchThreshold] = useState(60);
+  const [batchFlags, setBatchFlags] = useState(null);
+  // progress text while a batch or variant job drives the stage
+  const [stageBusy, setStageBusy] = useState(null);
+  const [showBoard, setShowBoard] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  // video the frame picker is open on
+  const [videoFile, setVideoFile] = useState(null);
+  const [assets, setAssets] = useState([]);
+  const [storageUse, setStorageUse] = useState(null);
+  // uploaded fonts, embedded in the project; fontEpoch bumps when a face
+  // finishes loading so text is laid out again with the real metrics
+  const [projectFonts, setProjectFonts] = useState([]);
+  const [fontEpoch, setFontEpoch] = useState(0);
+  const [boardCards, setBoardCards] = useState({});
+  // `{ color, range }` behind the selected element, for the palette suggestions
+  const [selectedBackdrop, setSelectedBackdrop] = useState(null);
+  // "Tempatkan Pintar" found no calm spot for the selected text
+  const [placeFailed, setPlaceFailed] = useState(false);
+  // saved templates (the built-ins are not stored); null until loaded
+  const [userTemplates, setUserTemplates] = useState(null);
+  const [showTemplates, setShowTemplates] = useState(false);
+  // rule switches, weights and targets; kept per browser, not per project
+  const [analysisSettings, setAnalysisSettings] = useState(() => resolveAnalysisSettings());
+  const [analysisLoaded, setAnalysisLoaded] = useState(false);
+  const [showAnalysisSettings, setShowAnalysisSettings] = useState(false);
+  // the channel's brand kit, kept per browser; null while none is set up
+  const [brandKit, setBrandKit] = useState(null);
+  const [brandKitLoaded, setBrandKitLoaded] = useState(false);
   const transformerRef = useRef(null);
   const stageRef = useRef(null);
   const layerRef = useRef(null);
+  const uiLayerRef = useRef(null);
+  const bgNodeRef = useRef(null);
+  const bandStart = useRef(null);
+  const snapTargetsRef = useRef(null);
+  const shortcutsRef = useRef(null);
+  const pasteRef = useRef(null);
+  // counts handle drags so each one is its own undo step
+  const handleDragRef = useRef(0);
+  const selectedId = selectedIds.length === 1 ? selectedIds[0] : null;
+  const zones = useMemo(() => safeZonesFor(frame, zoneToggles), [frame, zoneToggles]);
+  const bgBitmap = useBackgroundBitmap(bgImg, bgSettings, stageScale, frame);
+  // what the stage draws: the design itself, or one CSV row filled into it
+  const displayElements = useMemo(
+    () => (batch && batchRow !== null ? fillPlaceholders(elements, batch.rows[batchRow]) : elements),
+    [elements, batch, batchRow]
+  );
+  const placeholders = useMemo(() => findPlaceholders(elements), [elements]);
+  // changes whenever the export dialog's estimate is out of date
+  const exportDesign = useMemo(() => ({ displayElements, bgSettings, bgImg }), [displayElements, bgSettings, bgImg]);
+  // what new elements and the built-in templates are styled with
+  const kit = brandKit || DEFAULT_BRAND_KIT;
+  const templates = useMemo(() => [...builtinTemplates(kit), ...(userTemplates || [])], [kit, userTemplates]);
+  // assets the open project (any step undo or redo can reach, so the
+  // autosave too), a saved template or the brand kit refers to
+  const { snapshots } = history;
+  const usedAssets = useMemo(() => {
+    const lists = snapshots.flatMap(doc => doc.variants.map(v => v.elements));
+    const ids = usedAssetIds(bgSrc, [...lists, ...(userTemplates || []).map(t => t.elements)]);
+    if (brandKit?.logo) ids.add(brandKit.logo.asset);
+    return ids;
+  }, [bgSrc, snapshots, userTemplates, brandKit]);
 
   // autoscale stage to container with preserved aspect ratio
   useEffect(() => {
     const maxW = Math.max(320, containerSize.width - 40);
     const maxH = Math.max(240, containerSize.height - 80);
-    const scale = Math.min(maxW / THUMB_W, maxH / THUMB_H);
+    const scale = Math.min(maxW / frameW, maxH / frameH);
     setStageScale(scale || 1);
-  }, [containerSize]);
+  }, [containerSize, frameW, frameH]);
 
-  // keep transformer attached to selected node
+  // keep transformer attached to the selected nodes
   useEffect(() => {
     const tr = transformerRef.current;
     const stage = stageRef.current;
     if (!tr || !stage) return;
-    const node = stage.findOne(`#node-${selectedId}`);
-    if (node) {
-      tr.nodes([node]);
-      tr.getLayer()?.batchDraw();
-    } else {
-      tr.nodes([]);
+    const nodes = selectedIds
+      .filter(id => !elements.find(e => e.id === id)?.locked)
+      .map(id => stage.findOne(`#node-${id}`))
+      .filter(Boolean);
+    tr.nodes(nodes);
+    tr.getLayer()?.batchDraw();
+  }, [selectedIds, elements, stageScale]);
+
+  // what the restore below compares against once the saved session is read
+  const restoreRef = useRef(null);
+  restoreRef.current = { applyProject, doc: history.present, bgSrc };
+
+  // restore the last session once, before autosave is allowed to overwrite
+  // it; once the user has changed anything their work wins and the saved
+  // session is dropped
+  useEffect(() => {
+    const before = restoreRef.current;
+    const untouched = () => restoreRef.current.doc === before.doc && restoreRef.current.bgSrc === before.bgSrc;
+    kvGet(AUTOSAVE_KEY)
+      .then(saved => saved && untouched() && restoreRef.current.applyProject(parseProject(saved), untouched))
+      .catch(() => {})
+      .finally(() => setRestored(true));
+  }, []);
+
+  useEffect(() => {
+    if (!restored) return;
+    const timer = setTimeout(() => {
+      const guides = { grid: showGrid, thirds: showThirds, safeZone: showSafeZone, zones: zoneToggles };
+      kvSet(AUTOSAVE_KEY, serializeProject({ canvas: frame, variants, activeVariant: activeId, guides, bgSrc, fonts: projectFonts }))
+        .catch(() => {});
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [restored, frame, variants, activeId, showGrid, showThirds, showSafeZone, zoneToggles, bgSrc, projectFonts]);
+
+  useEffect(() => {
+    kvGet(TEMPLATES_KEY)
+      .then(saved => setUserTemplates(Array.isArray(saved) ? saved.map(upgradeTemplate) : []))
+      .catch(() => setUserTemplates([]));
+  }, []);
+
+  useEffect(() => {
+    if (!userTemplates) return;
+    kvSet(TEMPLATES_KEY, userTemplates).catch(() => {});
+  }, [userTemplates]);
+
+  useEffect(() => { refreshAssets(); }, []);
+
+  // images pasted anywhere but a text field go into the asset library; the
+  // listener is bound once, the ref points at this render's handler
+  pasteRef.current = (e) => {
+    if (isTextEditingTarget(e.target)) return;
+    const files = [...(e.clipboardData?.files || [])].filter(f => f.type.startsWith('image/'));
+    if (!files.length) return;
+    e.preventDefault();
+    addAssetFiles(files);
+  };
+  useEffect(() => {
+    const onPaste = (e) => pasteRef.current(e);
+    window.addEventListener('paste', onPaste);
+    return () => window.removeEventListener('paste', onPaste);
+  }, []);
+
+  useEffect(() => {
+    kvGet(ANALYSIS_KEY)
+      .then(saved => { if (saved) setAnalysisSettings(resolveAnalysisSettings(saved)); })
+      .catch(() => {}) // keep the defaults
+      .finally(() => setAnalysisLoaded(true));
+  }, []);
+
+  useEffect(() => {
+    if (!analysisLoaded) return;
+    kvSet(ANALYSIS_KEY, analysisSettings).catch(() => {});
+  }, [analysisLoaded, analysisSettings]);
+
+  useEffect(() => {
+    kvGet(BRAND_KIT_KEY)
+      .then(saved => { if (saved) setBrandKit(restoreBrandKit(saved)); })
+      .catch(() => {}) // work without a kit
+      .finally(() => setBrandKitLoaded(true));
+  }, []);
+
+  useEffect(() => {
+    if (!brandKitLoaded) return;
+    kvSet(BRAND_KIT_KEY, brandKit).catch(() => {});
+  }, [brandKitLoaded, brandKit]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadProjectFonts(projectFonts).then(() => { if (!cancelled) setFontEpoch(e => e + 1); });
+    return () => { cancelled = true; };
+  }, [projectFonts]);
+
+  // faces named in a stack (e.g. a web font pulled in by CSS) can also
+  // arrive late; measurements taken before that are stale
+  useEffect(() => {
+    if (!document.fonts) return;
+    const onDone = () => {
+      defaultMeasurer().clear();
+      setFontEpoch(e => e + 1);
+    };
+    document.fonts.addEventListener('loadingdone', onDone);
+    return () => document.fonts.removeEventListener('loadingdone', onDone);
+  }, []);
+
+  // Contrast is read back from the rendered content layer, so it runs after
+  // Konva has the current props and the fonts it uses, and is debounced while
+  // things are moving.
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      whenFontsReady(displayElements, projectFonts).then(() => {
+        const stage = stageRef.current;
+        const layer = layerRef.current;
+        if (cancelled || !stage || !layer) return;
+        try {
+          setContrastReport(measureTextContrast(stage, layer, displayElements));
+        } catch {
+          // a cross-origin background taints the canvas; keep the estimate
+          setContrastReport({});
+        }
+      });
+    }, 300);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [displayElements, projectFonts, fontEpoch, bgBitmap, bgSettings.overlay, bgSettings.overlayAlpha, bgSettings.overlays, bgSettings.bgColor, stageScale]);
+
+  // Safe-zone overlaps are read from the nodes' rotated boxes once the stage
+  // has the current props.
+  useEffect(() => {
+    const timer = setTimeout(() => setZoneHits(findZoneHits(stageRef.current, displayElements, zones)), 150);
+    return () => clearTimeout(timer);
+  }, [displayElements, zones, fontEpoch, stageScale]);
+
+  // Text has its backdrop from the contrast pass; other elements are sampled
+  // here once the stage has settled.
+  useEffect(() => {
+    const el = displayElements.find(e => e.id === selectedId);
+    if (!el || el.type === 'group' || el.type === 'image') { setSelectedBackdrop(null); return; }
+    const measured = contrastReport[el.id];
+    if (measured) { setSelectedBackdrop({ color: measured.backdrop, range: measured.backdropRange }); return; }
+    const timer = setTimeout(() => {
+      const stage = stageRef.current;
+      const layer = layerRef.current;
+      if (!stage || !layer) return;
+      try {
+        setSelectedBackdrop(measureBackdrop(stage, layer, displayElements, el.id));
+      } catch {
+        setSelectedBackdrop(null); // no suggestions rather than wrong ones
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [selectedId, displayElements, contrastReport, bgBitmap, bgSettings.overlay, bgSettings.overlayAlpha, bgSettings.overlays, bgSettings.bgColor, stageScale]);
+
+  // feed cards show a 720px-wide snapshot of the content layer (sharp at 2x
+  // for the largest 360px slot); refreshed while the preview is open
+  useEffect(() => {
+    if (!showFeed) return;
+    const timer = setTimeout(() => {
+      try {
+        const src = frameSnapshot(720, 0.9);
+        if (src) setFeedSrc(src);
+      } catch {
+        // a cross-origin photo taints the layer; the cards keep the last snapshot
+      }
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [showFeed, displayElements, bgBitmap, bgSettings, stageScale, frame]);
+
+  // a field focused before a job started would still take typing
+  useEffect(() => {
+    if (stageBusy) document.activeElement?.blur?.();
+  }, [stageBusy]);
+
+  // row checks describe the design they were run against
+  useEffect(() => { setBatchFlags(null); }, [elements, bgSettings, bgImg, analysisSettings, zones]);
+
+  // only what is painted counts, not photo framing (already in bgBitmap)
+  const { overlay, overlayAlpha, overlays, bgColor } = bgSettings;
+  const busyMap = useMemo(
+    () => (bgBitmap ? backgroundBusyness(bgBitmap, { overlay, overlayAlpha, overlays, bgColor }, frame) : null),
+    [bgBitmap, overlay, overlayAlpha, overlays, bgColor, frame]
+  );
+  useEffect(() => { setPlaceFailed(false); }, [selectedId, busyMap]);
+  const analysis = useMemo(
+    () => computeAnalysis(displayElements, bgImg, contrastReport, frame, { busyness: busyMap, zoneHits, brandKit }, analysisSettings),
+    [displayElements, bgImg, contrastReport, frame, busyMap, zoneHits, brandKit, analysisSettings]
+  );
+  const contrastRows = displayElements
+    .filter(el => contrastReport[el.id])
+    .map(el => ({ el, ...contrastReport[el.id] }));
+  const weakest = contrastRows.reduce((w, row) => (!w || row.effective < w.effective ? row : w), null);
+
+  // dominant colors of the photo, or the plain background color without one
+  const palette = useMemo(() => {
+    if (!bgImg) return [{ rgb: hexToRgb(bgSettings.bgColor), hex: bgSettings.bgColor, share: 1 }];
+    try {
+      return extractPalette(imagePixels(bgImg));
+    } catch {
+      // a cross-origin photo can't be read back
+      return [];
     }
-  }, [selectedId, elements, stageScale]);
+  }, [bgImg, bgSettings.bgColor]);
+  const textSuggestions = selectedBackdrop ? suggestTextColors(selectedBackdrop.range, palette) : [];
 
-  const analysis = useMemo(() => computeAnalysis(elements, bgImg), [elements, bgImg]);
+  // the listener is bound once; the ref always points at this render's handler
+  shortcutsRef.current = (e) => {
+    if (stageBusy || !(e.ctrlKey || e.metaKey) || isTextEditingTarget(e.target)) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      history.undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      history.redo();
+    } else if (key === 'g') {
+      e.preventDefault();
+      if (e.shiftKey) ungroupSelected();
+      else groupSelected();
+    } else if (key === 'a') {
+      e.preventDefault();
+      setSelectedIds(elements.filter(el => !el.hidden && !el.locked).map(el => el.id));
+    }
+  };
+  useEffect(() => {
+    const onKeyDown = (e) => shortcutsRef.current(e);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
 
+  function updateActiveVariant(doc, fn) {
+    return { ...doc, variants: doc.variants.map(v => (v.id === doc.activeId ? fn(v) : v)) };
+  }
+  function activeSettings(doc) {
+    return doc.variants.find(v => v.id === doc.activeId).bgSettings;
+  }
+  // Both setters accept a value or an updater like useState's, apply it to
+  // the active variant and record an undo step. `key` groups repeated edits
+  // of the same thing into one step.
+  function setElements(updater, key) {
+    history.set(doc => updateActiveVariant(doc, v => ({ ...v, elements: typeof updater === 'function' ? updater(v.elements) : updater })), key);
+  }
+  // Background edits are keyed by the fields they touch, so dragging a slider
+  // collapses into one step without every call site naming itself.
+  function setBgSettings(updater) {
+    history.set(
+      doc => updateActiveVariant(doc, v => ({ ...v, bgSettings: typeof updater === 'function' ? updater(v.bgSettings) : updater })),
+      (prev, next) => {
+        const a = activeSettings(prev);
+        const b = activeSettings(next);
+        return 'bg:' + Object.keys(b).filter(k => b[k] !== a[k]).join(',');
+      }
+    );
+  }
+
+  // Switching tabs isn't an undo step; undoing an edit reopens the variant it
+  // was made in.
+  function switchVariant(id) {
+    if (id === activeId) return;
+    history.replace(doc => ({ ...doc, activeId: id }));
+    setSelectedIds([]);
+  }
+  function cloneVariant() {
+    const copy = { ...variants.find(v => v.id === activeId), id: crypto.randomUUID(), name: nextVariantName(variants) };
+    history.set(doc => {
+      const at = doc.variants.findIndex(v => v.id === doc.activeId) + 1;
+      return { ...doc, variants: [...doc.variants.slice(0, at), copy, ...doc.variants.slice(at)], activeId: copy.id };
+    });
+    setSelectedIds([]);
+  }
+  function renameVariant(id, name) {
+    history.set(doc => ({ ...doc, variants: doc.variants.map(v => (v.id === id ? { ...v, name } : v)) }), `variant:${id}:name`);
+  }
+  function deleteVariant(id) {
+    if (variants.length < 2) return;
+    const v = variants.find(x => x.id === id);
+    if (!window.confirm(`Hapus ${v.name}?`)) return;
+    history.set(doc => {
+      const at = doc.variants.findIndex(x => x.id === id);
+      const rest = doc.variants.filter(x => x.id !== id);
+      return { ...doc, variants: rest, activeId: doc.activeId === id ? rest[Math.max(0, at - 1)].id : doc.activeId };
+    });
+    setBoardCards(cards => {
+      const { [id]: _removed, ...rest } = cards;
+      return rest;
+    });
+    setSelectedIds([]);
+  }
+
+  function setSelectedId(id) {
+    setSelectedIds(id ? [id] : []);
+  }
+  // shift adds to / removes from the selection, a plain click replaces it
+  function selectElement(id, additive) {
+    if (additive) setSelectedIds(ids => (ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]));
+    else setSelectedIds(ids => (ids.includes(id) ? ids : [id]));
+  }
+
+  // new elements take their colors, font and text style from the brand kit
   function addText(preset) {
     const id = crypto.randomUUID();
+    const style = brandTextStyle(kit);
     const text = preset?.text || 'JUDUL BESAR';
-    const fill = preset?.fill || '#ffffff';
-    const stroke = preset?.stroke || '#000000';
-    const shadowColor = preset?.shadowColor || '#000000';
+    const fill = preset?.fill || style.fill;
+    const stroke = preset?.stroke || style.stroke;
     const fontSize = preset?.fontSize || 120;
     const fontStyle = preset?.fontStyle || 'bold';
-    const width = 1000;
+    const width = Math.min(1000, Math.round(frameW * 0.8));
     const height = fontSize * 1.3;
+    // land in the calmest part of the photo rather than on a face
+    const spot = busyMap && findCalmPlacement(busyMap, { sizes: [{ width, height }], avoid: zones });
+    if (!preset?.fontFamily) addMissingFonts(brandProjectFonts(kit));
     setElements(prev => [...prev, {
-      id, type: 'text', x: 80, y: 400, rotation: 0, draggable: true,
-      text, fontSize, fontFamily: 'Impact, Anton, Arial Black, sans-serif', fontStyle,
-      fill, stroke, strokeWidth: 8, shadowColor, shadowBlur: 10, shadowOpacity: 0.6,
+      id, type: 'text', x: spot ? spot.x : 80, y: spot ? spot.y : 400, rotation: 0, draggable: true,
+      text, fontSize, fontFamily: preset?.fontFamily || style.fontFamily, fontStyle,
+      fill, stroke, strokeWidth: style.strokeWidth, effects: style.effects,
       align: 'left', width, height
     }]);
     setSelectedId(id);
@@ -178,7 +547,7 @@ export default function Home() {
     const id = crypto.randomUUID();
     setElements(prev => [...prev, {
       id, type: 'rect', x: 60, y: 60, width: 500, height: 220, rotation: 0, draggable: true,
-      fill: '#ffce33', opacity: 0.9, stroke: '#000000', strokeWidth: 0, cornerRadius: 16
+      fill: kit.roles.accent, opacity: 0.9, stroke: kit.roles.outline, strokeWidth: 0, cornerRadius: 16
     }]);
     setSelectedId(id);
   }
@@ -194,8 +563,43 @@ export default function Home() {
     const id = crypto.randomUUID();
     setElements(prev => [...prev, {
       id, type: 'arrow', x: 950, y: 540, rotation: -20, draggable: true,
-      points: [0, 0, -180, -80], pointerLength: 26, pointerWidth: 26,
-      fill: '#ff5b6e', stroke: '#ff5b6e', strokeWidth: 18, opacity: 1
+      points: [0, 0, -180, -80], pathStyle: 'straight', pointerLength: 26, pointerWidth: 26,
+      fill: kit.roles.marker, stroke: kit.roles.marker, strokeWidth: 18, opacity: 1
+    }]);
+    setSelectedId(id);
+  }
+  function addLine() {
+    const id = crypto.randomUUID();
+    setElements(prev => [...prev, {
+      id, type: 'line', x: 440, y: 600, rotation: 0, draggable: true,
+      points: [0, 0, 400, 0], pathStyle: 'straight',
+      stroke: '#ffffff', strokeWidth: 12, opacity: 1
+    }]);
+    setSelectedId(id);
+  }
+  function addPolygon() {
+    const id = crypto.randomUUID();
+    setElements(prev => [...prev, {
+      id, type: 'polygon', x: 640, y: 360, rotation: 0, draggable: true,
+      points: polygonPoints(6, 140),
+      fill: kit.roles.marker, stroke: kit.roles.outline, strokeWidth: 0, opacity: 0.9
+    }]);
+    setSelectedId(id);
+  }
+  function addBubble() {
+    const id = crypto.randomUUID();
+    setElements(prev => [...prev, {
+      id, type: 'bubble', x: 760, y: 60, width: 420, height: 240, rotation: 0, draggable: true,
+      bubbleStyle: 'speech', tail: { x: 80, y: 330 },
+      fill: '#ffffff', stroke: '#000000', strokeWidth: 8, opacity: 1
+    }]);
+    setSelectedId(id);
+  }
+  function addRing() {
+    const id = crypto.randomUUID();
+    setElements(prev => [...prev, {
+      id, type: 'ring', x: 460, y: 200, width: 360, height: 260, rotation: 0, draggable: true,
+      sketch: true, stroke: '#ff3b3b', strokeWidth: 14, opacity: 1
     }]);
     setSelectedId(id);
   }
@@ -204,148 +608,907 @@ export default function Home() {
     setElements(prev => [...prev, {
       id, type: 'badge', x: 1080, y: 120, rotation: 8, draggable: true,
       innerRadius: 38, outerRadius: 90, numPoints: 12,
-      fill: '#ffce33', stroke: '#000000', strokeWidth: 10, opacity: 1,
-      text: 'NEW', textFill: '#000000', textSize: 48
+      fill: kit.roles.accent, stroke: kit.roles.outline, strokeWidth: 10, opacity: 1,
+      text: 'NEW', textFill: kit.roles.onAccent, textSize: 48
     }]);
     setSelectedId(id);
   }
+  async function addImage(ev) {
+    const file = ev.target.files?.[0];
+    ev.target.value = '';
+    if (!file) return;
+    await insertImage(await storeImage(file, []));
+  }
+  function imageElement(id, src, box, cornerRadius) {
+    return {
+      id, type: 'image', ...box, rotation: 0, draggable: true,
+      src, crop: FULL_CROP, mask: 'none', cornerRadius, flipX: false, flipY: false, opacity: 1,
+      sticker: false, stickerWidth: 10, stickerColor: '#ffffff'
+    };
+  }
+  async function insertImage(src) {
+    const img = await getImage(src);
+    const fit = Math.min(1, 480 / img.naturalWidth, 480 / img.naturalHeight);
+    const width = img.naturalWidth * fit;
+    const height = img.naturalHeight * fit;
+    const id = crypto.randomUUID();
+    setElements(prev => [...prev, imageElement(id, src, { x: (frameW - width) / 2, y: (frameH - height) / 2, width, height }, 24)]);
+    setSelectedId(id);
+  }
+  // puts the kit's logo in its corner, moving it back there if the design
+  // already has it
+  async function placeBrandLogo() {
+    const { logo } = brandKit;
+    const src = assetSrc(logo.asset);
+    let img;
+    try {
+      img = await getImage(src);
+    } catch (err) {
+      window.alert(`Logo tidak bisa dimuat: ${err.message || err}`);
+      return;
+    }
+    const existing = elements.find(e => e.type === 'image' && e.src === src);
+    const crop = existing?.crop || FULL_CROP;
+    const box = logoBox(logo, img.naturalWidth * crop.width, img.naturalHeight * crop.height, frame);
+    if (existing) {
+      updateElement(existing.id, { ...box, rotation: 0, hidden: false });
+      setSelectedId(existing.id);
+      return;
+    }
+    const id = crypto.randomUUID();
+    setElements(prev => [...prev, imageElement(id, src, box, 0)]);
+    setSelectedId(id);
+  }
+  // crop edges are fractions of the source; the box keeps its width and
+  // follows the cropped aspect ratio
+  function updateSelectedCrop(edge, value) {
+    const el = selected();
+    if (!el) return;
+    const c = el.crop || FULL_CROP;
+    let left = c.x, top = c.y, right = 1 - c.x - c.width, bottom = 1 - c.y - c.height;
+    if (edge === 'left') left = clamp(value, 0, 0.95 - right);
+    if (edge === 'right') right = clamp(value, 0, 0.95 - left);
+    if (edge === 'top') top = clamp(value, 0, 0.95 - bottom);
+    if (edge === 'bottom') bottom = clamp(value, 0, 0.95 - top);
+    const crop = { x: left, y: top, width: 1 - left - right, height: 1 - top - bottom };
+    const img = peekImage(el.src);
+    updateSelected(img ? { crop, ...sizeForCrop(img, crop, el.width) } : { crop });
+  }
   function removeSelected() {
-    if (!selectedId) return;
-    setElements(prev => prev.filter(e => e.id !== selectedId));
-    setSelectedId(null);
+    if (!selectedIds.length) return;
+    setElements(prev => prev.filter(e => !selectedIds.includes(e.id)));
+    setSelectedIds([]);
+  }
+  function updateElement(id, patch) {
+    setElements(prev => prev.map(it => it.id === id ? { ...it, ...patch } : it), `el:${id}:${Object.keys(patch).join(',')}`);
+  }
+  // move an element to `toIndex` in the back-to-front order
+  function moveElement(id, toIndex) {
+    setElements(prev => {
+      const idx = prev.findIndex(e => e.id === id);
+      if (idx < 0) return prev;
+      const arr = prev.slice();
+      const [el] = arr.splice(idx, 1);
+      arr.splice(clamp(toIndex, 0, arr.length), 0, el);
+      return arr;
+    });
   }
   function bringToFront() {
     if (!selectedId) return;
-    const idx = elements.findIndex(e => e.id === selectedId);
-    if (idx < 0) return;
-    const el = elements[idx];
-    const arr = elements.slice();
-    arr.splice(idx, 1);
-    arr.push(el);
-    setElements(arr);
+    moveElement(selectedId, elements.length - 1);
   }
   function sendToBack() {
     if (!selectedId) return;
-    const idx = elements.findIndex(e => e.id === selectedId);
-    if (idx < 0) return;
-    const el = elements[idx];
-    const arr = elements.slice();
-    arr.splice(idx, 1);
-    arr.unshift(el);
-    setElements(arr);
+    moveElement(selectedId, 0);
+  }
+
+  async function applyBackgroundSrc(src) {
+    const img = await loadHTMLImage(src);
+    setBgImg(img);
+    setBgSrc(src);
+    setBgSettings(s => ({ ...s, cropX: 0.5, cropY: 0.5, cropZoom: 1 }));
   }
 
   async function onUploadBg(ev) {
     const file = ev.target.files?.[0];
     if (!file) return;
-    const img = await loadHTMLImage(file);
+    await applyBackgroundSrc(await storeImage(file, ['background']));
+  }
+
+  function refreshAssets() {
+    return Promise.all([listAssets(), storageEstimate().catch(() => null)])
+      .then(([list, estimate]) => { setAssets(list); setStorageUse(estimate); })
+      .catch(() => {}); // the panel keeps the last list
+  }
+
+  // Uploads are kept in the asset library and referenced by id; where the
+  // library can't be written the image is embedded in the project instead.
+  async function storeImage(blob, tags, name) {
+    try {
+      const asset = await addAsset(blob, { tags, name });
+      refreshAssets();
+      return assetSrc(asset.id);
+    } catch {
+      return readAsDataURL(blob);
+    }
+  }
+
+  async function addAssetFiles(files) {
+    for (const file of files) {
+      try {
+        await addAsset(file);
+      } catch (err) {
+        window.alert(err.message || String(err));
+      }
+    }
+    refreshAssets();
+  }
+
+  function updateLibraryAsset(asset, patch) {
+    setAssets(list => list.map(a => (a.id === asset.id ? { ...a, ...patch } : a)));
+    // not stored: show what the library really holds
+    updateAsset(asset, patch).catch(() => refreshAssets());
+  }
+
+  function deleteAsset(asset) {
+    if (!window.confirm(`Hapus "${asset.name}" dari pustaka?`)) return;
+    removeAsset(asset.id).then(refreshAssets, err => window.alert(err.message));
+  }
+
+  async function removeUnusedAssets() {
+    const unused = assets.filter(a => !usedAssets.has(a.id));
+    if (!window.confirm(`Hapus ${unused.length} aset yang tidak dipakai proyek ini (termasuk riwayat undo) atau template tersimpan?`)) return;
+    try {
+      for (const a of unused) await removeAsset(a.id);
+    } finally {
+      refreshAssets();
+    }
+  }
+
+  function onUploadVideo(ev) {
+    const file = ev.target.files?.[0];
+    ev.target.value = '';
+    if (file) setVideoFile(file);
+  }
+
+  // the frame arrives at the video's own resolution; JPEG keeps the project
+  // file a sensible size for a photo
+  async function pickVideoFrame(canvas) {
+    const blob = await canvasToBlob(canvas, 'image/jpeg', 0.95);
+    if (!blob) throw new Error('browser tidak bisa menyimpan frame sebesar ini');
+    await applyBackgroundSrc(await storeImage(blob, ['background', 'video'], `${videoFile.name} (frame)`));
+    setVideoFile(null);
+  }
+
+  async function onUploadFont(ev) {
+    const file = ev.target.files?.[0];
+    ev.target.value = '';
+    if (!file) return;
+    const format = FONT_FORMATS[file.name.split('.').pop().toLowerCase()];
+    if (!format) {
+      window.alert('Format font tidak didukung. Gunakan TTF, OTF, WOFF atau WOFF2.');
+      return;
+    }
+    let src;
+    try {
+      src = await readAsDataURL(file);
+    } catch (err) {
+      window.alert(`Font tidak bisa dibaca: ${err.message || err}`);
+      return;
+    }
+    let font = projectFonts.find(f => f.src === src);
+    if (!font) {
+      const taken = [...BUILTIN_FONTS, ...projectFonts].map(f => f.family);
+      font = { family: familyFromFileName(file.name, taken), format, src };
+      setProjectFonts(list => [...list, font]);
+    }
+    await loadProjectFonts([font]);
+    if (selected()?.type === 'text') updateSelected({ fontFamily: fontStack(font.family) });
+  }
+
+  // `wanted` is asked again once the assets and photo have loaded; the
+  // autosave restore uses it to back off when the user started editing
+  async function applyProject(doc, wanted = () => true) {
+    if (doc.assets?.length) {
+      // without a writable library the images show as missing; the rest opens
+      await importEmbeddedAssets(doc.assets).catch(() => {});
+      refreshAssets();
+    }
+    const src = backgroundSrc(doc.background.image);
+    const img = src ? await loadHTMLImage(src) : null;
+    if (!wanted()) return;
+    history.reset({
+      variants: doc.variants.map(v => ({ id: v.id, name: v.name, elements: v.elements, bgSettings: v.settings })),
+      activeId: doc.activeVariant,
+      canvas: doc.canvas
+    });
+    setBoardCards({});
     setBgImg(img);
+    setBgSrc(src);
+    setProjectFonts(doc.fonts);
+    setShowGrid(doc.guides.grid);
+    setShowThirds(doc.guides.thirds);
+    setShowSafeZone(doc.guides.safeZone);
+    setZoneToggles(doc.guides.zones || {});
+    setSelectedIds([]);
   }
 
-  function applyPreset(kind) {
-    if (kind === 'impact-yellow') {
-      setBgSettings(s => ({ ...s, overlay: '#000000', overlayAlpha: 0.35, saturation: 0.1, contrast: 0.15, brightness: -0.05 }));
-      addText({ text: 'JANGAN LEWATKAN INI', fill: '#111111', stroke: '#ffffff', fontSize: 140 });
-      addRect();
-    } else if (kind === 'neon') {
-      setBgSettings(s => ({ ...s, overlay: '#000000', overlayAlpha: 0.25 }));
-      addText({ text: 'RAHASIA VIRAL', fill: '#16f3ff', stroke: '#ff00e6', fontSize: 150 });
-      addArrow();
-    } else if (kind === 'clean') {
-      setBgSettings(s => ({ ...s, overlay: '#000000', overlayAlpha: 0.2, saturation: -0.1 }));
-      addText({ text: 'TIPS YOUTUBE', fill: '#ffffff', stroke: '#000000', fontSize: 132 });
+  // the file embeds the library assets it uses so it opens anywhere
+  async function saveProject() {
+    const guides = { grid: showGrid, thirds: showThirds, safeZone: showSafeZone, zones: zoneToggles };
+    let embedded;
+    try {
+      embedded = await embedAssets(usedAssetIds(bgSrc, variants.map(v => v.elements)));
+    } catch (err) {
+      window.alert(`Aset gagal disematkan ke file proyek: ${err.message || err}`);
+      return;
     }
+    const doc = serializeProject({ canvas: frame, variants, activeVariant: activeId, guides, bgSrc, fonts: projectFonts, assets: embedded });
+    saveAs(new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' }), 'thumbnail-project.json');
   }
 
-  function exportPng() {
-    const node = stageRef.current;
-    if (!node) return;
-    const dataURL = node.toDataURL({ pixelRatio: Math.max(1, Math.floor(THUMB_W / (THUMB_W * stageScale))) });
-    // Ensure exact 1280x720 by using an offscreen canvas
-    const img = new Image();
-    img.onload = () => {
-      const c = document.createElement('canvas');
-      c.width = THUMB_W; c.height = THUMB_H;
-      const ctx = c.getContext('2d');
-      ctx.drawImage(img, 0, 0, THUMB_W, THUMB_H);
-      c.toBlob((blob) => blob && saveAs(blob, 'thumbnail.png'));
+  async function openProject(ev) {
+    const file = ev.target.files?.[0];
+    ev.target.value = '';
+    if (!file) return;
+    try {
+      await applyProject(parseProject(await file.text()));
+    } catch (err) {
+      window.alert(err instanceof ProjectFormatError ? err.message : `Gagal membuka proyek: ${err.message || err}`);
+    }
+  }
+
+  function newProject() {
+    if (!window.confirm('Mulai proyek baru? Desain saat ini akan dihapus.')) return;
+    kvDelete(AUTOSAVE_KEY).catch(() => {});
+    applyProject({
+      background: { image: null },
+      variants: [{ id: FIRST_VARIANT.id, name: FIRST_VARIANT.name, settings: DEFAULT_BG_SETTINGS, elements: [] }],
+      activeVariant: FIRST_VARIANT.id,
+      canvas: DEFAULT_CANVAS,
+      fonts: [],
+      guides: DEFAULT_GUIDES
+    });
+  }
+
+  function handleBgDragEnd(e) {
+    const node = e.target;
+    const { cropX, cropY } = cropCenterFromPosition(node.x(), node.y(), node.width(), node.height(), frameW, frameH);
+    setBgSettings(s => ({ ...s, cropX, cropY }));
+  }
+
+  // keep the dragged photo covering the frame
+  function bgDragBound(pos) {
+    const node = bgNodeRef.current;
+    if (!node) return pos;
+    const w = node.width() * stageScale;
+    const h = node.height() * stageScale;
+    return {
+      x: clamp(pos.x, stageWidth - w, 0),
+      y: clamp(pos.y, stageHeight - h, 0)
     };
-    img.src = dataURL;
   }
 
-  const handleDragEnd = (id, e) => {
-    const { x, y } = e.target.position();
-    setElements(prev => prev.map(it => it.id === id ? { ...it, x, y } : it));
+  function handleBgWheel(e) {
+    e.evt.preventDefault();
+    const factor = e.evt.deltaY > 0 ? 1 / 1.1 : 1.1;
+    setBgSettings(s => ({ ...s, cropZoom: clamp((s.cropZoom || 1) * factor, 1, 4) }));
+  }
+
+  // 'replace' swaps in the template's elements and background look; 'style'
+  // keeps the design and restyles its text and background. Either way it is
+  // one undo step, and uploaded fonts the template brings join the project.
+  function applyTemplate(template, mode) {
+    history.set(doc => updateActiveVariant(doc, v => ({
+      ...v,
+      elements: mode === 'style' ? restyleText(v.elements, template) : templateElements(template, doc.canvas, () => crypto.randomUUID()),
+      bgSettings: mode === 'style' ? { ...v.bgSettings, ...template.settings } : templateSettings(template, v.bgSettings)
+    })));
+    addMissingFonts(template.fonts);
+    setSelectedIds([]);
+  }
+
+  // uploaded fonts a template or the brand kit brings join the project,
+  // replacing a project font of the same family
+  function addMissingFonts(fonts) {
+    const changed = fonts.filter(f => !projectFonts.some(p => p.family === f.family && p.src === f.src));
+    if (changed.length) setProjectFonts(list => [...list.filter(p => !changed.some(f => f.family === p.family)), ...changed]);
+  }
+
+  function saveTemplate() {
+    const name = window.prompt('Nama template:', variants.find(v => v.id === activeId).name);
+    if (!name) return;
+    const template = createTemplate(crypto.randomUUID(), name, { canvas: frame, bgSettings, elements, fonts: projectFonts });
+    setUserTemplates(list => [...list, template]);
+  }
+
+  function deleteTemplate(id) {
+    const t = userTemplates.find(x => x.id === id);
+    if (!t || !window.confirm(`Hapus template ${t.name}?`)) return;
+    setUserTemplates(list => list.filter(x => x.id !== id));
+  }
+
+  async function importTemplates(ev) {
+    const file = ev.target.files?.[0];
+    ev.target.value = '';
+    if (!file) return;
+    try {
+      const { templates: incoming, assets: embedded } = parseTemplatePack(await file.text());
+      await importEmbeddedAssets(embedded);
+      refreshAssets();
+      setUserTemplates(list => mergeTemplates(list, incoming));
+    } catch (err) {
+      window.alert(err instanceof ProjectFormatError ? err.message : `Gagal mengimpor template: ${err.message || err}`);
+    }
+  }
+
+  // the pack embeds the library images its templates use
+  async function exportTemplates() {
+    let embedded;
+    try {
+      embedded = await embedAssets(usedAssetIds(null, userTemplates.map(t => t.elements)));
+    } catch (err) {
+      window.alert(`Aset gagal disematkan ke file template: ${err.message || err}`);
+      return;
+    }
+    const doc = serializeTemplatePack(userTemplates, embedded);
+    saveAs(new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' }), 'template-thumbnail.json');
+  }
+
+  // the kit file embeds its logo so the kit moves between machines whole
+  async function importBrandKit(ev) {
+    const file = ev.target.files?.[0];
+    ev.target.value = '';
+    if (!file) return;
+    try {
+      const { kit: incoming, assets: embedded } = parseBrandKit(await file.text());
+      if (brandKit && !window.confirm(`Ganti brand kit ${brandKit.name} dengan ${incoming.name}?`)) return;
+      await importEmbeddedAssets(embedded);
+      refreshAssets();
+      setBrandKit(incoming);
+    } catch (err) {
+      window.alert(err instanceof ProjectFormatError ? err.message : `Gagal mengimpor brand kit: ${err.message || err}`);
+    }
+  }
+
+  async function exportBrandKit() {
+    let embedded;
+    try {
+      embedded = await embedAssets(brandKit.logo ? [brandKit.logo.asset] : []);
+    } catch (err) {
+      window.alert(`Logo gagal disematkan ke file brand kit: ${err.message || err}`);
+      return;
+    }
+    const doc = serializeBrandKit(brandKit, embedded);
+    saveAs(new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' }), 'brand-kit.json');
+  }
+
+  // Draws the background for `settings` at full resolution straight into the
+  // node: the live bitmap may still be the reduced preview, or belong to the
+  // variant that was open a frame ago.
+  function drawFullBackground(settings, pixelRatio = 1) {
+    if (!bgImg || !bgNodeRef.current) return;
+    const drawn = renderBackground(bgImg, settings, frameW, frameH, pixelRatio);
+    bgNodeRef.current.setAttrs({ image: drawn.canvas, ...drawn.rect });
+    return drawn;
+  }
+
+  // Moves and sizes the selected text into the calmest thirds-aligned box
+  // outside the safe zones; auto-fit then fills the box.
+  function placeTextSmartly() {
+    const el = selected();
+    if (!el || el.type !== 'text' || !busyMap) return;
+    const spot = findCalmPlacement(busyMap, { avoid: zones });
+    setPlaceFailed(!spot);
+    if (spot) updateSelected({ x: spot.x, y: spot.y, width: spot.width, height: spot.height, rotation: 0, autoFit: true });
+  }
+
+  // Draws the content layer onto a canvas of exactly frame size times
+  // `pixelRatio`. Shapes and text are vector and the background is baked at
+  // that ratio, so 2x is rendered natively rather than upscaled.
+  function renderFrame(settings = bgSettings, pixelRatio = 1) {
+    const node = stageRef.current;
+    if (!node) return null;
+    drawFullBackground(settings, pixelRatio);
+    // guides, selection and analysis markers live on the UI layer
+    const ui = uiLayerRef.current;
+    ui?.visible(false);
+    const drawn = node.toCanvas({ pixelRatio: pixelRatio / stageScale });
+    ui?.visible(true);
+    // the stage size is rounded to whole screen pixels; fit it to the exact frame
+    const c = document.createElement('canvas');
+    c.width = Math.round(frameW * pixelRatio);
+    c.height = Math.round(frameH * pixelRatio);
+    c.getContext('2d').drawImage(drawn, 0, 0, c.width, c.height);
+    return c;
+  }
+
+  // JPEG data URL of the content layer cut to the frame, `width` px wide.
+  // Cover and crop fits and elements dragged past the edge reach outside it.
+  // Throws when a cross-origin photo has tainted the layer.
+  function frameSnapshot(width, quality) {
+    const layer = layerRef.current;
+    if (!layer) return null;
+    return layer.toDataURL({ x: 0, y: 0, width: stageWidth, height: stageHeight, pixelRatio: width / stageWidth, mimeType: 'image/jpeg', quality });
+  }
+
+  // PNG of the frame at 1x; used by the CSV batch and the variant export.
+  function renderFrameBlob(settings = bgSettings) {
+    const canvas = renderFrame(settings);
+    return canvas ? canvasToBlob(canvas, 'image/png') : Promise.resolve(null);
+  }
+
+  // Waits until the faces `list` uses are loaded and the stage has been laid
+  // out again with them; anything captured before that uses fallback metrics.
+  async function settleFonts(list = elements) {
+    await whenFontsReady(list, projectFonts);
+    await nextFrame();
+    await nextFrame();
+  }
+
+  function setCanvasSize(id) {
+    const preset = CANVAS_PRESETS.find(p => p.id === id);
+    if (!preset) return;
+    history.set(doc => ({ ...doc, canvas: { width: preset.width, height: preset.height } }));
+  }
+
+  async function onUploadCsv(ev) {
+    const file = ev.target.files?.[0];
+    ev.target.value = '';
+    if (!file) return;
+    const parsed = parseCsv(await file.text());
+    if (!parsed.rows.length) {
+      window.alert('CSV tidak berisi baris data.');
+      return;
+    }
+    setBatch(parsed);
+    setBatchFileColumn(parsed.headers.find(h => placeholders.includes(h)) || parsed.headers[0] || '');
+    setBatchRow(0);
+  }
+
+  function closeBatch() {
+    setBatch(null);
+    setBatchRow(null);
+    setBatchFlags(null);
+  }
+
+  // puts one row on the stage and waits until React and Konva have drawn it
+  async function showBatchRow(i) {
+    setBatchRow(i);
+    await nextFrame();
+    await nextFrame();
+  }
+
+  function inspectBatchRow(row) {
+    const stage = stageRef.current;
+    const layer = layerRef.current;
+    const filled = fillPlaceholders(elements, row);
+    const overflow = findTextOverflows(filled).map(layerLabel);
+    drawFullBackground(bgSettings);
+    let report = {};
+    try {
+      report = measureTextContrast(stage, layer, filled);
+    } catch {
+      // tainted canvas: the analysis falls back to the estimate
+    }
+    const hits = findZoneHits(stage, filled, zones);
+    return { overflow, score: computeAnalysis(filled, bgImg, report, frame, { busyness: busyMap, zoneHits: hits, brandKit }, analysisSettings).score };
+  }
+
+  async function checkBatch() {
+    if (!batch) return null;
+    const previous = batchRow;
+    const flags = {};
+    await settleFonts();
+    try {
+      for (let i = 0; i < batch.rows.length; i++) {
+        setStageBusy(`Memeriksa ${i + 1}/${batch.rows.length}…`);
+        await showBatchRow(i);
+        flags[i] = inspectBatchRow(batch.rows[i]);
+      }
+      setBatchFlags(flags);
+    } finally {
+      setBatchRow(previous);
+      setStageBusy(null);
+    }
+    return flags;
+  }
+
+  async function exportBatch() {
+    const flags = await checkBatch();
+    if (!flags) return;
+    const bad = batch.rows.filter((_, i) => isRowFlagged(flags[i], batchThreshold)).length;
+    if (bad && !window.confirm(`${bad} baris punya teks terpotong atau skor di bawah ${batchThreshold}. Tetap ekspor semua?`)) return;
+    const previous = batchRow;
+    const names = batchFileNames(batch.rows, batchFileColumn, 'png');
+    const files = [];
+    const failed = [];
+    try {
+      for (let i = 0; i < batch.rows.length; i++) {
+        setStageBusy(`Mengekspor ${i + 1}/${batch.rows.length}…`);
+        await showBatchRow(i);
+        const blob = await renderFrameBlob().catch(() => null);
+        if (blob) files.push({ name: names[i], data: new Uint8Array(await blob.arrayBuffer()) });
+        else failed.push(i + 1);
+      }
+    } finally {
+      setBatchRow(previous);
+      setStageBusy(null);
+    }
+    // a ZIP that is quietly short a few rows is worse than none
+    if (failed.length) {
+      window.alert(`Baris ${failed.join(', ')} gagal dirender, jadi ZIP tidak dibuat.`);
+      return;
+    }
+    saveAs(createZip(files), 'thumbnails.zip');
+  }
+
+  // Like showBatchRow, for whole variants. The stage draws what `variants`
+  // held when the job started; while `stageBusy` is set the page takes no
+  // pointer input and shortcuts are ignored, so nothing edits it meanwhile.
+  async function showVariant(id) {
+    history.replace(doc => ({ ...doc, activeId: id }));
+    await nextFrame();
+    await nextFrame();
+  }
+
+  async function refreshBoard() {
+    const stage = stageRef.current;
+    const layer = layerRef.current;
+    if (!stage || !layer) return;
+    const previous = activeId;
+    const cards = {};
+    await settleFonts(variants.flatMap(v => v.elements));
+    try {
+      for (let i = 0; i < variants.length; i++) {
+        const v = variants[i];
+        setStageBusy(`Menganalisa ${i + 1}/${variants.length}…`);
+        await showVariant(v.id);
+        const shown = batch && batchRow !== null ? fillPlaceholders(v.elements, batch.rows[batchRow]) : v.elements;
+        const drawn = drawFullBackground(v.bgSettings);
+        let report = {};
+        try {
+          report = measureTextContrast(stage, layer, shown);
+        } catch {
+          // tainted canvas: the analysis falls back to the estimate
+        }
+        let src = null;
+        try {
+          src = frameSnapshot(640, 0.85);
+        } catch {
+          // tainted canvas: the card shows the analysis without a picture
+        }
+        const measures = {
+          busyness: drawn ? backgroundBusyness(drawn, v.bgSettings, frame) : null,
+          zoneHits: findZoneHits(stage, shown, zones),
+          brandKit
+        };
+        cards[v.id] = { src, analysis: computeAnalysis(shown, bgImg, report, frame, measures, analysisSettings) };
+      }
+      setBoardCards(cards);
+    } catch (err) {
+      window.alert(`Papan varian gagal diperbarui: ${err.message || err}`);
+    } finally {
+      await showVariant(previous);
+      setStageBusy(null);
+    }
+  }
+
+  function toggleBoard() {
+    if (showBoard) {
+      setShowBoard(false);
+      return;
+    }
+    setShowBoard(true);
+    refreshBoard();
+  }
+
+  async function exportVariants() {
+    const previous = activeId;
+    const names = batchFileNames(variants, 'name', 'png');
+    const files = [];
+    const failed = [];
+    await settleFonts(variants.flatMap(v => v.elements));
+    try {
+      for (let i = 0; i < variants.length; i++) {
+        setStageBusy(`Mengekspor ${i + 1}/${variants.length}…`);
+        await showVariant(variants[i].id);
+        const blob = await renderFrameBlob(variants[i].bgSettings).catch(() => null);
+        if (blob) files.push({ name: names[i], data: new Uint8Array(await blob.arrayBuffer()) });
+        else failed.push(variants[i].name);
+      }
+    } finally {
+      await showVariant(previous);
+      setStageBusy(null);
+    }
+    if (failed.length) {
+      window.alert(`${failed.join(', ')} gagal dirender, jadi ZIP tidak dibuat.`);
+      return;
+    }
+    saveAs(createZip(files), 'varian.zip');
+  }
+
+  function nodeRect(id) {
+    const stage = stageRef.current;
+    const node = stage?.findOne(`#node-${id}`);
+    return node ? node.getClientRect({ relativeTo: stage, skipShadow: true }) : null;
+  }
+
+  function snapTargets(excludeIds) {
+    const x = [0, frameW / 2, frameW];
+    const y = [0, frameH / 2, frameH];
+    if (showGrid) {
+      const grid = gridLines(frame);
+      x.push(...grid.x);
+      y.push(...grid.y);
+    }
+    if (showThirds) {
+      x.push(frameW / 3, (frameW / 3) * 2);
+      y.push(frameH / 3, (frameH / 3) * 2);
+    }
+    if (showSafeZone) {
+      for (const z of zones) {
+        x.push(z.x, z.x + z.width);
+        y.push(z.y, z.y + z.height);
+      }
+    }
+    for (const el of elements) {
+      if (el.hidden || excludeIds.includes(el.id)) continue;
+      const r = nodeRect(el.id);
+      if (!r) continue;
+      x.push(r.x, r.x + r.width / 2, r.x + r.width);
+      y.push(r.y, r.y + r.height / 2, r.y + r.height);
+    }
+    return { x, y };
+  }
+
+  const handleDragStart = (id) => {
+    const moving = selectedIds.includes(id) ? selectedIds : [id];
+    snapTargetsRef.current = snapTargets(moving);
+  };
+  // snap the dragged node; the transformer carries the rest of the selection
+  const handleDragMove = (e) => {
+    const node = e.target;
+    const targets = snapTargetsRef.current;
+    if (!targets || e.evt?.altKey) {
+      if (snapLines.length) setSnapLines([]);
+      return;
+    }
+    const rect = node.getClientRect({ relativeTo: stageRef.current, skipShadow: true });
+    const snap = snapRect(rect, targets, SNAP_THRESHOLD);
+    if (snap.dx || snap.dy) node.position({ x: node.x() + snap.dx, y: node.y() + snap.dy });
+    if (JSON.stringify(snap.lines) !== JSON.stringify(snapLines)) setSnapLines(snap.lines);
   };
+  const handleDragEnd = (id) => {
+    snapTargetsRef.current = null;
+    setSnapLines([]);
+    const stage = stageRef.current;
+    const moved = selectedIds.includes(id) ? selectedIds : [id];
+    const positions = {};
+    for (const mid of moved) {
+      const node = stage.findOne(`#node-${mid}`);
+      if (node) positions[mid] = node.position();
+    }
+    setElements(prev => prev.map(it => positions[it.id] ? { ...it, ...positions[it.id] } : it));
+  };
+  // With several nodes attached the transformer moves each of them too, so
+  // position is stored alongside size and rotation for every type.
   const handleTransformEnd = (id, e) => {
     const node = e.target;
-    const type = elements.find(t => t.id === id)?.type;
+    const el = elements.find(t => t.id === id);
+    const type = el?.type;
     if (!type) return;
     const scaleX = node.scaleX();
     const scaleY = node.scaleY();
+    const base = { x: node.x(), y: node.y(), rotation: node.rotation() };
+    if (type === 'group') {
+      setElements(prev => prev.map(it => it.id === id ? { ...it, ...base, scaleX, scaleY } : it));
+      return;
+    }
+    node.scaleX(1); node.scaleY(1);
     if (type === 'text') {
-      const width = node.width() * scaleX;
-      const height = node.height() * scaleY;
-      const rotation = node.rotation();
-      node.scaleX(1); node.scaleY(1);
-      setElements(prev => prev.map(it => it.id === id ? { ...it, width, height, rotation } : it));
-    } else if (type === 'rect') {
+      // text is a group; its box is the element's own width/height
+      const width = Math.max(10, el.width * scaleX);
+      const height = Math.max(10, el.height * scaleY);
+      setElements(prev => prev.map(it => it.id === id ? { ...it, ...base, width, height } : it));
+    } else if (type === 'rect' || type === 'image') {
       const width = Math.max(10, node.width() * scaleX);
       const height = Math.max(10, node.height() * scaleY);
-      const rotation = node.rotation();
-      node.scaleX(1); node.scaleY(1);
-      setElements(prev => prev.map(it => it.id === id ? { ...it, width, height, rotation } : it));
+      setElements(prev => prev.map(it => it.id === id ? { ...it, ...base, width, height } : it));
     } else if (type === 'circle') {
       const radius = Math.max(5, (node.radius?.() || 50) * ((scaleX + scaleY) / 2));
-      const rotation = node.rotation();
-      node.scaleX(1); node.scaleY(1);
-      setElements(prev => prev.map(it => it.id === id ? { ...it, radius, rotation } : it));
-    } else if (type === 'arrow') {
-      const rotation = node.rotation();
-      node.scaleX(1); node.scaleY(1);
-      setElements(prev => prev.map(it => it.id === id ? { ...it, rotation } : it));
-    } else if (type === 'badge') {
-      const rotation = node.rotation();
-      node.scaleX(1); node.scaleY(1);
-      setElements(prev => prev.map(it => it.id === id ? { ...it, rotation } : it));
+      setElements(prev => prev.map(it => it.id === id ? { ...it, ...base, radius } : it));
+    } else {
+      // point-based shapes and badges have no box; the scale goes into their geometry
+      setElements(prev => prev.map(it => it.id === id ? { ...scaleElement(it, scaleX, scaleY), ...base } : it));
     }
   };
 
+  // Point handles (arrow/line ends and control points, polygon vertices,
+  // bubble tails). Each drag is one undo step.
+  function moveSelectedHandle(key, pos) {
+    const id = selectedId;
+    setElements(prev => prev.map(it => (it.id === id ? moveHandle(it, key, pos) : it)), `handle:${id}:${handleDragRef.current}`);
+  }
+
+  function handleStageMouseDown(e) {
+    const stage = e.target.getStage();
+    if (e.target !== stage) return;
+    if (!e.evt.shiftKey) setSelectedIds([]);
+    const p = stage.getRelativePointerPosition();
+    bandStart.current = { p, additive: e.evt.shiftKey };
+    setBand(normalizeRect(p.x, p.y, p.x, p.y));
+  }
+  function handleStageMouseMove(e) {
+    if (!bandStart.current) return;
+    const p = e.target.getStage().getRelativePointerPosition();
+    const { p: s0 } = bandStart.current;
+    setBand(normalizeRect(s0.x, s0.y, p.x, p.y));
+  }
+  function handleStageMouseUp() {
+    if (!bandStart.current) return;
+    const { additive } = bandStart.current;
+    bandStart.current = null;
+    if (band && band.width > 2 && band.height > 2) {
+      const hit = elements
+        .filter(el => !el.hidden && !el.locked)
+        .filter(el => { const r = nodeRect(el.id); return r && rectsIntersect(r, band); })
+        .map(el => el.id);
+      setSelectedIds(ids => (additive ? [...new Set([...ids, ...hit])] : hit));
+    }
+    setBand(null);
+  }
+
+  function moveBy(deltas) {
+    setElements(prev => prev.map(it => deltas[it.id] ? { ...it, x: it.x + deltas[it.id].dx, y: it.y + deltas[it.id].dy } : it));
+  }
+
+  // Shortest move out of the safe zones for every unlocked element in one,
+  // as a single undo step.
+  function nudgeOutOfSafeZones() {
+    const deltas = {};
+    const stuck = [];
+    for (const [id, hit] of Object.entries(zoneHits)) {
+      const el = elements.find(e => e.id === id);
+      if (!el || el.locked) continue;
+      const move = nudgeOutOfZones(hit.quad, zones, frame);
+      if (move) deltas[id] = move;
+      else stuck.push(layerLabel(el));
+    }
+    if (Object.keys(deltas).length) moveBy(deltas);
+    if (stuck.length) window.alert(`Tidak bisa digeser keluar tanpa keluar kanvas: ${stuck.join(', ')}. Perkecil elemennya dulu.`);
+  }
+  function alignSelected(mode) {
+    const ids = selectedIds.filter(id => nodeRect(id));
+    if (!ids.length) return;
+    const rects = ids.map(nodeRect);
+    const target = alignTo === 'selection' && ids.length > 1 ? unionRect(rects) : { x: 0, y: 0, width: frameW, height: frameH };
+    const deltas = alignDeltas(rects, mode, target);
+    moveBy(Object.fromEntries(ids.map((id, i) => [id, deltas[i]])));
+  }
+  function distributeSelected(axis) {
+    const ids = selectedIds.filter(id => nodeRect(id));
+    if (ids.length < 3) return;
+    const deltas = distributeDeltas(ids.map(nodeRect), axis);
+    moveBy(Object.fromEntries(ids.map((id, i) => [id, deltas[i]])));
+  }
+  function groupSelected() {
+    const members = elements.filter(el => selectedIds.includes(el.id) && !el.hidden);
+    if (members.length < 2) return;
+    const rects = members.map(el => nodeRect(el.id)).filter(Boolean);
+    if (!rects.length) return;
+    const group = makeGroup(crypto.randomUUID(), members, unionRect(rects));
+    setElements(prev => {
+      const top = Math.max(...members.map(m => prev.findIndex(e => e.id === m.id)));
+      const out = [];
+      prev.forEach((el, i) => {
+        if (i === top) out.push(group);
+        else if (!members.some(m => m.id === el.id)) out.push(el);
+      });
+      return out;
+    });
+    setSelectedId(group.id);
+  }
+  function ungroupSelected() {
+    const group = elements.find(el => el.id === selectedId && el.type === 'group');
+    if (!group) return;
+    const children = ungroup(group);
+    setElements(prev => prev.flatMap(el => (el.id === group.id ? children : [el])));
+    setSelectedIds(children.map(c => c.id));
+  }
+
   function updateSelected(patch) {
     if (!selectedId) return;
-    setElements(prev => prev.map(it => it.id === selectedId ? { ...it, ...patch } : it));
+    updateElement(selectedId, patch);
   }
 
   function selected() { return elements.find(e => e.id === selectedId); }
 
-  const stageWidth = Math.round(THUMB_W * stageScale);
-  const stageHeight = Math.round(THUMB_H * stageScale);
+  // per-word styles follow their words through the edit
+  function updateSelectedText(text) {
+    const el = selected();
+    if (el) updateSelected({ text, runs: remapRuns(el.runs, el.text, text) });
+  }
+
+  function applyColor(hex) {
+    const el = selected();
+    if (el && el.type !== 'group' && el.type !== 'image') updateSelected(colorPatch(el, hex));
+    else setBgSettings(s => ({ ...s, overlay: hex }));
+  }
+
+  function changePathStyle(style) {
+    const { pathStyle, points } = setPathStyle(selected(), style);
+    updateSelected({ pathStyle, points });
+  }
+
+  const fontChoices = [
+    ...BUILTIN_FONTS,
+    ...projectFonts.map(f => ({ family: f.family, stack: fontStack(f.family), uploaded: true }))
+  ];
+
+  const stageWidth = Math.round(frameW * stageScale);
+  const stageHeight = Math.round(frameH * stageScale);
 
   return (
-    <div className="app">
+    <div className={cls('app', { busy: !!stageBusy })}>
       <div className="header">
         <div className="logo">
           <div className="logo-badge">YT Thumb</div>
           <div>
             <div style={{ fontWeight: 800 }}>Pembuat Thumbnail Interaktif</div>
-            <div className="hint">Rasio 1280?720, ekspor PNG</div>
+            <div className="hint">{canvasPreset(frame)?.label || 'Kanvas'} {frameW}×{frameH}</div>
           </div>
         </div>
         <div className="header-actions">
-          <button className="btn" onClick={() => applyPreset('impact-yellow')}>Preset Kuning</button>
-          <button className="btn" onClick={() => applyPreset('neon')}>Preset Neon</button>
-          <button className="btn" onClick={() => applyPreset('clean')}>Preset Bersih</button>
-          <button className="btn warn" onClick={exportPng}>Ekspor PNG</button>
+          <button className="btn" onClick={newProject}>Baru</button>
+          <label className="btn">
+            Buka Proyek
+            <input type="file" accept=".json,application/json" onChange={openProject} hidden />
+          </label>
+          <button className="btn" onClick={saveProject}>Simpan Proyek</button>
+          <button className={cls('btn', { primary: showFeed })} onClick={() => setShowFeed(v => !v)}>Pratinjau Feed</button>
+          <button className="btn" onClick={history.undo} disabled={!history.canUndo} title="Ctrl+Z">Urungkan</button>
+          <button className="btn" onClick={history.redo} disabled={!history.canRedo} title="Ctrl+Shift+Z">Ulangi</button>
+          <button className={cls('btn', { primary: showTemplates })} onClick={() => setShowTemplates(v => !v)} disabled={!userTemplates}>Template</button>
+          <button className={cls('btn warn', { primary: showExport })} onClick={() => setShowExport(v => !v)}>Ekspor…</button>
         </div>
       </div>
 
       <aside className="left">
         <div className="section">
           <h3>Background</h3>
+          <div className="control">
+            <label>Ukuran Kanvas</label>
+            <select className="select" value={canvasPreset(frame)?.id || ''} onChange={(e) => setCanvasSize(e.target.value)}>
+              {!canvasPreset(frame) && <option value="">Kustom {frameW}×{frameH}</option>}
+              {CANVAS_PRESETS.map(p => (
+                <option key={p.id} value={p.id}>{p.label} ({p.width}×{p.height})</option>
+              ))}
+            </select>
+          </div>
           <div className="control">
             <label>Gambar Latar</label>
             <input className="input" type="file" accept="image/*" onChange={onUploadBg} />
           </div>
+          <div className="control">
+            <label>Frame dari Video</label>
+            <input className="input" type="file" accept="video/*" onChange={onUploadVideo} />
+          </div>
+          <div className="control">
+            <label>Mode Gambar</label>
+            <select className="select" value={bgSettings.fit} onChange={(e) => setBgSettings(s => ({ ...s, fit: e.target.value }))}>
+              {BG_FIT_MODES.map(m => (
+                <option key={m} value={m}>{{ cover: 'Cover (penuh)', contain: 'Contain (utuh)', crop: 'Crop manual' }[m]}</option>
+              ))}
+            </select>
+          </div>
+          {bgSettings.fit === 'crop' && (
+            <div className="control">
+              <label>Zoom</label>
+              <input className="range" type="range" min="1" max="4" step="0.01" value={bgSettings.cropZoom} onChange={(e) => setBgSettings(s => ({ ...s, cropZoom: parseFloat(e.target.value) }))} />
+              <span className="hint">Geser gambar di kanvas untuk memposisikan, scroll untuk zoom.</span>
+            </div>
+          )}
           <div className="control">
             <label>Warna Latar</label>
             <div className="inline">
@@ -360,6 +1523,7 @@ export default function Home() {
               <input className="range" type="range" min="0" max="1" step="0.01" value={bgSettings.overlayAlpha} onChange={(e) => setBgSettings(s => ({ ...s, overlayAlpha: parseFloat(e.target.value) }))} />
             </div>
           </div>
+          <OverlayPanel overlays={bgSettings.overlays || []} onChange={overlays => setBgSettings(s => ({ ...s, overlays }))} />
           <div className="control">
             <label>Brightness</label>
             <input className="range" type="range" min="-0.5" max="0.5" step="0.01" value={bgSettings.brightness} onChange={(e) => setBgSettings(s => ({ ...s, brightness: parseFloat(e.target.value) }))} />
@@ -378,6 +1542,37 @@ export default function Home() {
           </div>
         </div>
 
+        <div className="section">
+          <h3>Pustaka Aset</h3>
+          <AssetLibrary
+            assets={assets}
+            used={usedAssets}
+            storage={{ library: assets.reduce((n, a) => n + (a.size || 0), 0), ...(storageUse || {}) }}
+            onAdd={addAssetFiles}
+            onUpdate={updateLibraryAsset}
+            onDelete={deleteAsset}
+            onRemoveUnused={removeUnusedAssets}
+            onUseAsBackground={a => applyBackgroundSrc(assetSrc(a.id))}
+            onInsert={a => insertImage(assetSrc(a.id))}
+          />
+        </div>
+
+        <div className="section">
+          <h3>Brand Kit</h3>
+          <BrandKitPanel
+            kit={brandKit}
+            assets={assets}
+            fonts={fontChoices}
+            projectFonts={projectFonts}
+            onChange={setBrandKit}
+            onCreate={() => setBrandKit(DEFAULT_BRAND_KIT)}
+            onImport={importBrandKit}
+            onExport={exportBrandKit}
+            onPlaceLogo={placeBrandLogo}
+            onUploadFont={onUploadFont}
+          />
+        </div>
+
         <div className="section">
           <h3>Elemen</h3>
           <div className="control-row">
@@ -387,8 +1582,18 @@ export default function Home() {
           </div>
           <div className="control-row">
             <button className="btn" onClick={addArrow}>Arrow</button>
+            <button className="btn" onClick={addLine}>Garis</button>
+            <button className="btn" onClick={addPolygon}>Poligon</button>
+          </div>
+          <div className="control-row">
+            <button className="btn" onClick={addBubble}>Balon Kata</button>
+            <button className="btn" onClick={addRing}>Lingkar Sorot</button>
             <button className="btn" onClick={addBadge}>Badge</button>
-            <button className="btn" onClick={removeSelected} disabled={!selectedId}>Hapus</button>
+            <label className="btn">
+              Gambar
+              <input type="file" accept="image/*" onChange={addImage} hidden />
+            </label>
+            <button className="btn" onClick={removeSelected} disabled={!selectedIds.length}>Hapus</button>
           </div>
           <div className="control-row">
             <button className="btn" onClick={bringToFront} disabled={!selectedId}>Ke Depan</button>
@@ -396,18 +1601,92 @@ export default function Home() {
           </div>
         </div>
 
+        {selectedIds.length > 0 && (
+          <div className="section">
+            <h3>Susun</h3>
+            <div className="control">
+              <label>Ratakan relatif ke</label>
+              <select className="select" value={alignTo} onChange={e => setAlignTo(e.target.value)}>
+                <option value="selection">Seleksi</option>
+                <option value="canvas">Kanvas</option>
+              </select>
+            </div>
+            <div className="control-row" style={{ flexWrap: 'wrap' }}>
+              {ALIGN_MODES.map(mode => (
+                <button key={mode} className="btn" onClick={() => alignSelected(mode)}>{ALIGN_LABELS[mode]}</button>
+              ))}
+            </div>
+            <div className="control-row" style={{ marginTop: 8 }}>
+              <button className="btn" onClick={() => distributeSelected('x')} disabled={selectedIds.length < 3}>Sebar Horizontal</button>
+              <button className="btn" onClick={() => distributeSelected('y')} disabled={selectedIds.length < 3}>Sebar Vertikal</button>
+            </div>
+            <div className="control-row" style={{ marginTop: 8 }}>
+              <button className="btn" onClick={groupSelected} disabled={selectedIds.length < 2} title="Ctrl+G">Grup</button>
+              <button className="btn" onClick={ungroupSelected} disabled={selected()?.type !== 'group'} title="Ctrl+Shift+G">Pisah Grup</button>
+            </div>
+            <div className="hint" style={{ marginTop: 8 }}>{selectedIds.length} elemen dipilih. Shift+klik atau tarik kotak di kanvas untuk memilih banyak; tahan Alt saat menggeser untuk mematikan snap.</div>
+          </div>
+        )}
+
+        <div className="section">
+          <h3>Layer</h3>
+          <LayersPanel
+            elements={elements}
+            selectedIds={selectedIds}
+            onSelect={(id, additive) => (additive ? selectElement(id, true) : setSelectedId(id))}
+            onUpdate={updateElement}
+            onMove={moveElement}
+          />
+        </div>
+
         <div className="section">
           <h3>Properti Terpilih</h3>
-          {!selected() && <div className="hint">Pilih elemen di kanvas.</div>}
+          {!selected() && <div className="hint">{selectedIds.length > 1 ? 'Pilih satu elemen untuk mengubah propertinya.' : 'Pilih elemen di kanvas.'}</div>}
+          {selected() && selected().type === 'group' && (
+            <div className="control">
+              <label>Opacity Grup</label>
+              <input className="range" type="range" min="0.05" max="1" step="0.01" value={selected().opacity ?? 1} onChange={e => updateSelected({ opacity: parseFloat(e.target.value) })} />
+            </div>
+          )}
           {selected() && selected().type === 'text' && (
             <>
               <div className="control">
                 <label>Konten</label>
-                <textarea className="input" rows={3} value={selected().text} onChange={e => updateSelected({ text: e.target.value })} />
+                <textarea className="input" rows={3} value={selected().text} onChange={e => updateSelectedText(e.target.value)} />
               </div>
               <div className="control">
-                <label>Ukuran</label>
-                <input className="range" type="range" min="32" max="220" step="2" value={selected().fontSize} onChange={e => updateSelected({ fontSize: parseInt(e.target.value) })} />
+                <button className="btn" onClick={placeTextSmartly} disabled={!busyMap} title="Pindahkan ke area background paling tenang yang sejajar garis sepertiga">Tempatkan Pintar</button>
+                {placeFailed && <div className="hint">Tidak ada area kosong yang cukup besar di luar safe zone.</div>}
+              </div>
+              <div className="control">
+                <label>Font</label>
+                <FontPicker value={selected().fontFamily} fonts={fontChoices} onChange={stack => updateSelected({ fontFamily: stack })} onUpload={onUploadFont} />
+              </div>
+              <div className="control">
+                <label>Ukuran{selected().autoFit && ' (otomatis)'}</label>
+                <input className="range" type="range" min="32" max="220" step="2" value={selected().fontSize} disabled={selected().autoFit} onChange={e => updateSelected({ fontSize: parseInt(e.target.value) })} />
+                <label className="inline">
+                  <input type="checkbox" checked={!!selected().autoFit} onChange={e => updateSelected({ autoFit: e.target.checked })} /> Auto-fit: isi kotak teks
+                </label>
+              </div>
+              <div className="control">
+                <label>Perataan</label>
+                <div className="inline">
+                  {TEXT_ALIGNS.map(a => (
+                    <button key={a} className={cls('btn', { primary: (selected().align || 'left') === a })} onClick={() => updateSelected({ align: a })}>{ALIGN_LABELS[a]}</button>
+                  ))}
+                  <button className={cls('btn', { primary: selected().uppercase })} onClick={() => updateSelected({ uppercase: !selected().uppercase })} title="Tampilkan huruf besar">AA</button>
+                </div>
+              </div>
+              <div className="control-row">
+                <div className="control">
+                  <label>Jarak Huruf</label>
+                  <input className="range" type="range" min="-10" max="40" step="1" value={selected().letterSpacing || 0} onChange={e => updateSelected({ letterSpacing: parseInt(e.target.value) })} />
+                </div>
+                <div className="control">
+                  <label>Jarak Baris</label>
+                  <input className="range" type="range" min="0.7" max="2" step="0.05" value={selected().lineHeight || 1} onChange={e => updateSelected({ lineHeight: parseFloat(e.target.value) })} />
+                </div>
               </div>
               <div className="control">
                 <label>Warna & Outline</label>
@@ -421,12 +1700,18 @@ export default function Home() {
                 <input className="range" type="range" min="0" max="20" step="1" value={selected().strokeWidth} onChange={e => updateSelected({ strokeWidth: parseInt(e.target.value) })} />
               </div>
               <div className="control">
-                <label>Shadow</label>
-                <div className="inline">
-                  <input type="color" className="swatch" value={selected().shadowColor} onChange={e => updateSelected({ shadowColor: e.target.value })} />
-                  <input className="range" type="range" min="0" max="40" step="1" value={selected().shadowBlur} onChange={e => updateSelected({ shadowBlur: parseInt(e.target.value) })} />
-                </div>
+                <label className="inline">
+                  <input type="checkbox" checked={!!selected().gradient} onChange={e => updateSelected({ gradient: e.target.checked ? { from: selected().fill || '#ffffff', to: kit.roles.accent, angle: 90 } : null })} /> Gradien
+                </label>
+                {selected().gradient && (
+                  <div className="inline">
+                    <input type="color" className="swatch" value={selected().gradient.from} onChange={e => updateSelected({ gradient: { ...selected().gradient, from: e.target.value } })} />
+                    <input type="color" className="swatch" value={selected().gradient.to} onChange={e => updateSelected({ gradient: { ...selected().gradient, to: e.target.value } })} />
+                    <input className="range" type="range" min="0" max="360" step="5" value={selected().gradient.angle} onChange={e => updateSelected({ gradient: { ...selected().gradient, angle: parseInt(e.target.value) } })} title="Arah gradien" />
+                  </div>
+                )}
               </div>
+              <WordStyler key={selected().id} el={selected()} kit={kit} onChange={updateSelected} />
             </>
           )}
           {selected() && selected().type === 'rect' && (
@@ -443,6 +1728,12 @@ export default function Home() {
                 <label>Radius Sudut</label>
                 <input className="range" type="range" min="0" max="80" step="2" value={selected().cornerRadius || 0} onChange={e => updateSelected({ cornerRadius: parseInt(e.target.value) })} />
               </div>
+              <div className="control">
+                <label>Blend</label>
+                <select className="select" value={selected().blendMode || 'normal'} onChange={e => updateSelected({ blendMode: e.target.value })}>
+                  {BLEND_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                </select>
+              </div>
             </>
           )}
           {selected() && selected().type === 'circle' && (
@@ -459,6 +1750,64 @@ export default function Home() {
                 <label>Radius</label>
                 <input className="range" type="range" min="10" max="400" step="2" value={selected().radius} onChange={e => updateSelected({ radius: parseInt(e.target.value) })} />
               </div>
+              <div className="control">
+                <label>Blend</label>
+                <select className="select" value={selected().blendMode || 'normal'} onChange={e => updateSelected({ blendMode: e.target.value })}>
+                  {BLEND_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                </select>
+              </div>
+            </>
+          )}
+          {selected() && selected().type === 'image' && (
+            <>
+              <div className="control">
+                <label>Potong (kiri / kanan / atas / bawah)</label>
+                {[
+                  ['left', selected().crop?.x ?? 0],
+                  ['right', 1 - (selected().crop?.x ?? 0) - (selected().crop?.width ?? 1)],
+                  ['top', selected().crop?.y ?? 0],
+                  ['bottom', 1 - (selected().crop?.y ?? 0) - (selected().crop?.height ?? 1)]
+                ].map(([edge, value]) => (
+                  <input key={edge} className="range" type="range" min="0" max="0.9" step="0.01" value={value} onChange={e => updateSelectedCrop(edge, parseFloat(e.target.value))} />
+                ))}
+              </div>
+              <div className="control">
+                <label>Mask</label>
+                <select className="select" value={selected().mask || 'none'} onChange={e => updateSelected({ mask: e.target.value })}>
+                  {IMAGE_MASKS.map(m => (
+                    <option key={m} value={m}>{{ none: 'Tanpa mask', rounded: 'Sudut bulat', circle: 'Lingkaran' }[m]}</option>
+                  ))}
+                </select>
+                {selected().mask === 'rounded' && (
+                  <input className="range" type="range" min="0" max="200" step="2" value={selected().cornerRadius || 0} onChange={e => updateSelected({ cornerRadius: parseInt(e.target.value) })} />
+                )}
+              </div>
+              <div className="control">
+                <label>Balik</label>
+                <div className="control-row">
+                  <button className={cls('btn', { primary: selected().flipX })} onClick={() => updateSelected({ flipX: !selected().flipX })}>Horizontal</button>
+                  <button className={cls('btn', { primary: selected().flipY })} onClick={() => updateSelected({ flipY: !selected().flipY })}>Vertikal</button>
+                </div>
+              </div>
+              <div className="control">
+                <label className="inline"><input type="checkbox" checked={!!selected().sticker} onChange={e => updateSelected({ sticker: e.target.checked })} /> Outline stiker</label>
+                {selected().sticker && (
+                  <div className="inline">
+                    <input type="color" className="swatch" value={selected().stickerColor || '#ffffff'} onChange={e => updateSelected({ stickerColor: e.target.value })} />
+                    <input className="range" type="range" min="2" max="40" step="1" value={selected().stickerWidth || 10} onChange={e => updateSelected({ stickerWidth: parseInt(e.target.value) })} />
+                  </div>
+                )}
+              </div>
+              <div className="control">
+                <label>Opacity</label>
+                <input className="range" type="range" min="0.05" max="1" step="0.01" value={selected().opacity ?? 1} onChange={e => updateSelected({ opacity: parseFloat(e.target.value) })} />
+              </div>
+              <div className="control">
+                <label>Blend</label>
+                <select className="select" value={selected().blendMode || 'normal'} onChange={e => updateSelected({ blendMode: e.target.value })}>
+                  {BLEND_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                </select>
+              </div>
             </>
           )}
           {selected() && selected().type === 'arrow' && (
@@ -471,6 +1820,101 @@ export default function Home() {
                 <label>Ketebalan</label>
                 <input className="range" type="range" min="4" max="40" step="1" value={selected().strokeWidth} onChange={e => updateSelected({ strokeWidth: parseInt(e.target.value) })} />
               </div>
+              <div className="control">
+                <label>Ujung Panah</label>
+                <input className="range" type="range" min="8" max="80" step="1" value={selected().pointerLength || 0} onChange={e => updateSelected({ pointerLength: parseInt(e.target.value), pointerWidth: parseInt(e.target.value) })} />
+              </div>
+              <div className="control">
+                <label>Gaya</label>
+                <div className="inline">
+                  {PATH_STYLES.map(st => (
+                    <button key={st} className={cls('btn', { primary: (selected().pathStyle || 'straight') === st })} onClick={() => changePathStyle(st)}>{PATH_STYLE_LABELS[st]}</button>
+                  ))}
+                </div>
+                <div className="hint">Seret titik biru untuk ujung, titik kuning untuk lengkungan.</div>
+              </div>
+            </>
+          )}
+          {selected() && selected().type === 'line' && (
+            <>
+              <div className="control">
+                <label>Warna</label>
+                <input type="color" className="swatch" value={selected().stroke} onChange={e => updateSelected({ stroke: e.target.value })} />
+              </div>
+              <div className="control">
+                <label>Ketebalan</label>
+                <input className="range" type="range" min="2" max="40" step="1" value={selected().strokeWidth} onChange={e => updateSelected({ strokeWidth: parseInt(e.target.value) })} />
+              </div>
+              <div className="control">
+                <label>Gaya</label>
+                <div className="inline">
+                  {PATH_STYLES.map(st => (
+                    <button key={st} className={cls('btn', { primary: (selected().pathStyle || 'straight') === st })} onClick={() => changePathStyle(st)}>{PATH_STYLE_LABELS[st]}</button>
+                  ))}
+                </div>
+                <div className="hint">Seret titik biru untuk ujung, titik kuning untuk lengkungan.</div>
+              </div>
+            </>
+          )}
+          {selected() && selected().type === 'polygon' && (
+            <>
+              <div className="control">
+                <label>Warna / Outline</label>
+                <div className="inline">
+                  <input type="color" className="swatch" value={selected().fill} onChange={e => updateSelected({ fill: e.target.value })} />
+                  <input type="color" className="swatch" value={selected().stroke || '#000000'} onChange={e => updateSelected({ stroke: e.target.value })} />
+                  <input className="range" type="range" min="0" max="30" step="1" value={selected().strokeWidth || 0} onChange={e => updateSelected({ strokeWidth: parseInt(e.target.value) })} />
+                </div>
+              </div>
+              <div className="control">
+                <label>Jumlah Sisi</label>
+                <input className="range" type="range" min="3" max="12" step="1" value={selected().points.length / 2} onChange={e => updateSelected({ points: polygonPoints(parseInt(e.target.value), polygonRadius(selected().points)) })} />
+                <div className="hint">Mengubah jumlah sisi membuat poligon beraturan baru; seret titik untuk membentuknya.</div>
+              </div>
+              <div className="control">
+                <label>Opacity</label>
+                <input className="range" type="range" min="0.05" max="1" step="0.01" value={selected().opacity ?? 1} onChange={e => updateSelected({ opacity: parseFloat(e.target.value) })} />
+              </div>
+            </>
+          )}
+          {selected() && selected().type === 'bubble' && (
+            <>
+              <div className="control">
+                <label>Jenis</label>
+                <div className="inline">
+                  {BUBBLE_STYLES.map(st => (
+                    <button key={st} className={cls('btn', { primary: (selected().bubbleStyle || 'speech') === st })} onClick={() => updateSelected({ bubbleStyle: st })}>{BUBBLE_STYLE_LABELS[st]}</button>
+                  ))}
+                </div>
+                <div className="hint">Seret titik kuning untuk memindahkan ekor.</div>
+              </div>
+              <div className="control">
+                <label>Warna / Outline</label>
+                <div className="inline">
+                  <input type="color" className="swatch" value={selected().fill} onChange={e => updateSelected({ fill: e.target.value })} />
+                  <input type="color" className="swatch" value={selected().stroke || '#000000'} onChange={e => updateSelected({ stroke: e.target.value })} />
+                  <input className="range" type="range" min="0" max="24" step="1" value={selected().strokeWidth || 0} onChange={e => updateSelected({ strokeWidth: parseInt(e.target.value) })} />
+                </div>
+              </div>
+              <div className="control">
+                <label>Opacity</label>
+                <input className="range" type="range" min="0.05" max="1" step="0.01" value={selected().opacity ?? 1} onChange={e => updateSelected({ opacity: parseFloat(e.target.value) })} />
+              </div>
+            </>
+          )}
+          {selected() && selected().type === 'ring' && (
+            <>
+              <div className="control">
+                <label>Warna</label>
+                <input type="color" className="swatch" value={selected().stroke} onChange={e => updateSelected({ stroke: e.target.value })} />
+              </div>
+              <div className="control">
+                <label>Ketebalan</label>
+                <input className="range" type="range" min="2" max="40" step="1" value={selected().strokeWidth} onChange={e => updateSelected({ strokeWidth: parseInt(e.target.value) })} />
+                <label className="inline">
+                  <input type="checkbox" checked={!!selected().sketch} onChange={e => updateSelected({ sketch: e.target.checked })} /> Gaya coretan tangan
+                </label>
+              </div>
             </>
           )}
           {selected() && selected().type === 'badge' && (
@@ -485,9 +1929,43 @@ export default function Home() {
               <div className="control">
                 <label>Teks Badge</label>
                 <input className="input" value={selected().text} onChange={e => updateSelected({ text: e.target.value })} />
+                <input className="range" type="range" min="12" max="120" step="1" value={selected().textSize} onChange={e => updateSelected({ textSize: parseInt(e.target.value) })} />
+              </div>
+              <div className="control">
+                <label>Ukuran</label>
+                <input className="range" type="range" min="30" max="300" step="2" value={selected().outerRadius} onChange={e => {
+                  const outerRadius = parseInt(e.target.value);
+                  updateSelected({ outerRadius, innerRadius: outerRadius * (selected().innerRadius / selected().outerRadius) });
+                }} />
+              </div>
+              <div className="control">
+                <label>Jumlah Sudut</label>
+                <input className="range" type="range" min="3" max="24" step="1" value={selected().numPoints} onChange={e => updateSelected({ numPoints: parseInt(e.target.value) })} />
               </div>
             </>
           )}
+          {selected() && <EffectsPanel effects={selected().effects || []} onChange={effects => updateSelected({ effects })} />}
+        </div>
+
+        <div className="section">
+          <h3>Batch CSV</h3>
+          <BatchPanel
+            placeholders={placeholders}
+            batch={batch}
+            fileNames={batch ? batchFileNames(batch.rows, batchFileColumn, 'png') : []}
+            row={batchRow}
+            fileColumn={batchFileColumn}
+            threshold={batchThreshold}
+            flags={batchFlags}
+            busy={stageBusy}
+            onLoad={onUploadCsv}
+            onPreview={setBatchRow}
+            onFileColumn={setBatchFileColumn}
+            onThreshold={setBatchThreshold}
+            onCheck={checkBatch}
+            onExport={exportBatch}
+            onClose={closeBatch}
+          />
         </div>
 
         <div className="section">
@@ -496,12 +1974,38 @@ export default function Home() {
             <label className="inline"><input type="checkbox" checked={showGrid} onChange={e => setShowGrid(e.target.checked)} /> Grid</label>
             <label className="inline"><input type="checkbox" checked={showThirds} onChange={e => setShowThirds(e.target.checked)} /> Rule of Thirds</label>
             <label className="inline"><input type="checkbox" checked={showSafeZone} onChange={e => setShowSafeZone(e.target.checked)} /> Safe Zone</label>
+            <label className="inline" title="Merah = area background yang ramai"><input type="checkbox" checked={showBusyness} disabled={!busyMap} onChange={e => setShowBusyness(e.target.checked)} /> Peta Keramaian</label>
           </div>
-          <div className="hint">Safe zone melindungi area terhalang badge durasi (kanan bawah).</div>
+          <div className="hint">
+            {allSafeZones(frame).length
+              ? 'Safe zone melindungi area yang tertutup UI. Elemen yang menabrak zona aktif diberi garis merah.'
+              : 'Ukuran kanvas ini tidak punya area yang tertutup UI.'}
+          </div>
+          {allSafeZones(frame).map(z => (
+            <label key={z.id} className="inline">
+              <input
+                type="checkbox"
+                checked={zones.includes(z)}
+                onChange={e => setZoneToggles(t => ({ ...t, [z.id]: e.target.checked }))}
+              />
+              {z.label}{z.optional && <span className="hint">(saat hover/ditonton)</span>}
+            </label>
+          ))}
         </div>
       </aside>
 
       <main className="main">
+        <VariantTabs
+          variants={variants}
+          activeId={activeId}
+          disabled={!!stageBusy}
+          comparing={showBoard}
+          onSelect={switchVariant}
+          onRename={renameVariant}
+          onClone={cloneVariant}
+          onDelete={deleteVariant}
+          onCompare={toggleBoard}
+        />
         <div className="canvas-wrap" ref={containerRef}>
           <div className="stage-frame">
             <Stage
@@ -510,154 +2014,161 @@ export default function Home() {
               height={stageHeight}
               scaleX={stageScale}
               scaleY={stageScale}
-              onMouseDown={(e) => {
-                if (e.target === e.target.getStage()) setSelectedId(null);
-              }}
+              onMouseDown={handleStageMouseDown}
+              onMouseMove={handleStageMouseMove}
+              onMouseUp={handleStageMouseUp}
+              onMouseLeave={handleStageMouseUp}
             >
               <Layer ref={layerRef}>
                 {/* Background color fallback */}
-                <Rect x={0} y={0} width={THUMB_W} height={THUMB_H} fill={bgSettings.bgColor} listening={false} />
+                <Rect x={0} y={0} width={frameW} height={frameH} fill={bgSettings.bgColor} listening={false} />
                 {/* Background image */}
-                {bgImg && (
+                {bgImg && bgBitmap && (
                   <KImage
-                    image={bgImg}
-                    x={0}
-                    y={0}
-                    width={THUMB_W}
-                    height={THUMB_H}
-                    filters={[]}
+                    ref={bgNodeRef}
+                    image={bgBitmap.canvas}
+                    x={bgBitmap.rect.x}
+                    y={bgBitmap.rect.y}
+                    width={bgBitmap.rect.width}
+                    height={bgBitmap.rect.height}
                     opacity={1}
-                    listening={false}
+                    listening={bgSettings.fit === 'crop'}
+                    draggable={bgSettings.fit === 'crop'}
+                    dragBoundFunc={bgDragBound}
+                    onDragEnd={handleBgDragEnd}
+                    onWheel={handleBgWheel}
+                    onMouseDown={() => setSelectedId(null)}
                   />
                 )}
                 {/* overlay */}
-                <Rect x={0} y={0} width={THUMB_W} height={THUMB_H} fill={bgSettings.overlay} opacity={bgSettings.overlayAlpha} listening={false} />
+                <Rect x={0} y={0} width={frameW} height={frameH} fill={bgSettings.overlay} opacity={bgSettings.overlayAlpha} listening={false} />
+                {(bgSettings.overlays || []).map(o => <Rect key={o.id} {...overlayAttrs(o, frame)} />)}
 
                 {/* Elements */}
-                {elements.map(el => {
-                  if (el.type === 'text') {
-                    return (
-                      <KText
-                        key={el.id}
-                        id={`node-${el.id}`}
-                        {...el}
-                        draggable
-                        onClick={() => setSelectedId(el.id)}
-                        onTap={() => setSelectedId(el.id)}
-                        onDragEnd={(e) => handleDragEnd(el.id, e)}
-                        onTransformEnd={(e) => handleTransformEnd(el.id, e)}
-                      />
-                    );
-                  }
-                  if (el.type === 'rect') {
-                    return (
-                      <Rect
-                        key={el.id}
-                        id={`node-${el.id}`}
-                        {...el}
-                        draggable
-                        onClick={() => setSelectedId(el.id)}
-                        onTap={() => setSelectedId(el.id)}
-                        onDragEnd={(e) => handleDragEnd(el.id, e)}
-                        onTransformEnd={(e) => handleTransformEnd(el.id, e)}
-                      />
-                    );
-                  }
-                  if (el.type === 'circle') {
-                    return (
-                      <Circle
-                        key={el.id}
-                        id={`node-${el.id}`}
-                        {...el}
-                        draggable
-                        onClick={() => setSelectedId(el.id)}
-                        onTap={() => setSelectedId(el.id)}
-                        onDragEnd={(e) => handleDragEnd(el.id, e)}
-                        onTransformEnd={(e) => handleTransformEnd(el.id, e)}
-                      />
-                    );
-                  }
-                  if (el.type === 'arrow') {
-                    return (
-                      <Arrow
-                        key={el.id}
-                        id={`node-${el.id}`}
-                        {...el}
-                        draggable
-                        onClick={() => setSelectedId(el.id)}
-                        onTap={() => setSelectedId(el.id)}
-                        onDragEnd={(e) => handleDragEnd(el.id, e)}
-                        onTransformEnd={(e) => handleTransformEnd(el.id, e)}
-                      />
-                    );
-                  }
-                  if (el.type === 'badge') {
-                    return (
-                      <Group
-                        key={el.id}
-                        id={`node-${el.id}`}
-                        x={el.x}
-                        y={el.y}
-                        rotation={el.rotation || 0}
-                        draggable
-                        onClick={() => setSelectedId(el.id)}
-                        onTap={() => setSelectedId(el.id)}
-                        onDragEnd={(e) => handleDragEnd(el.id, e)}
-                        onTransformEnd={(e) => handleTransformEnd(el.id, e)}
-                      >
-                        <Star
-                          numPoints={el.numPoints}
-                          innerRadius={el.innerRadius}
-                          outerRadius={el.outerRadius}
-                          fill={el.fill}
-                          stroke={el.stroke}
-                          strokeWidth={el.strokeWidth}
-                          opacity={el.opacity}
-                        />
-                        <KText
-                          text={el.text}
-                          fill={el.textFill}
-                          fontStyle="800"
-                          fontSize={el.textSize}
-                          width={el.outerRadius * 2}
-                          height={el.outerRadius * 2}
-                          x={-el.outerRadius}
-                          y={-el.outerRadius}
-                          align="center"
-                          verticalAlign="middle"
-                        />
-                      </Group>
-                    );
-                  }
-                  return null;
-                })}
+                {displayElements.map(el => (el.hidden ? null : (
+                  <ElementNode
+                    key={el.id}
+                    el={el}
+                    nodeProps={{
+                      id: `node-${el.id}`,
+                      draggable: !el.locked,
+                      listening: !el.locked,
+                      onMouseDown: (e) => selectElement(el.id, e.evt.shiftKey),
+                      onTap: () => selectElement(el.id, false),
+                      onDragStart: () => handleDragStart(el.id),
+                      onDragMove: handleDragMove,
+                      onDragEnd: () => handleDragEnd(el.id),
+                      onTransformEnd: (e) => handleTransformEnd(el.id, e)
+                    }}
+                  />
+                )))}
 
+              </Layer>
+              <Layer ref={uiLayerRef}>
                 {/* Guides */}
                 {showGrid && (
                   <Group listening={false} opacity={0.25}>
-                    {Array.from({ length: 8 }).map((_, i) => (
-                      <Line key={`v-${i}`} points={[(i + 1) * (THUMB_W / 8), 0, (i + 1) * (THUMB_W / 8), THUMB_H]} stroke="#ffffff" strokeWidth={1} dash={[4, 4]} />
+                    {gridLines(frame).x.map((x, i) => (
+                      <Line key={`v-${i}`} points={[x, 0, x, frameH]} stroke="#ffffff" strokeWidth={1} dash={[4, 4]} />
                     ))}
-                    {Array.from({ length: 4 }).map((_, i) => (
-                      <Line key={`h-${i}`} points={[0, (i + 1) * (THUMB_H / 4), THUMB_W, (i + 1) * (THUMB_H / 4)]} stroke="#ffffff" strokeWidth={1} dash={[4, 4]} />
+                    {gridLines(frame).y.map((y, i) => (
+                      <Line key={`h-${i}`} points={[0, y, frameW, y]} stroke="#ffffff" strokeWidth={1} dash={[4, 4]} />
                     ))}
                   </Group>
                 )}
                 {showThirds && (
                   <Group listening={false} opacity={0.3}>
-                    <Line points={[THUMB_W / 3, 0, THUMB_W / 3, THUMB_H]} stroke="#2fa6ff" strokeWidth={2} />
-                    <Line points={[(THUMB_W / 3) * 2, 0, (THUMB_W / 3) * 2, THUMB_H]} stroke="#2fa6ff" strokeWidth={2} />
-                    <Line points={[0, THUMB_H / 3, THUMB_W, THUMB_H / 3]} stroke="#2fa6ff" strokeWidth={2} />
-                    <Line points={[0, (THUMB_H / 3) * 2, THUMB_W, (THUMB_H / 3) * 2]} stroke="#2fa6ff" strokeWidth={2} />
+                    <Line points={[frameW / 3, 0, frameW / 3, frameH]} stroke="#2fa6ff" strokeWidth={2} />
+                    <Line points={[(frameW / 3) * 2, 0, (frameW / 3) * 2, frameH]} stroke="#2fa6ff" strokeWidth={2} />
+                    <Line points={[0, frameH / 3, frameW, frameH / 3]} stroke="#2fa6ff" strokeWidth={2} />
+                    <Line points={[0, (frameH / 3) * 2, frameW, (frameH / 3) * 2]} stroke="#2fa6ff" strokeWidth={2} />
+                  </Group>
+                )}
+                {showBusyness && busyMap && (
+                  <Group listening={false}>
+                    {Array.from(busyMap.cells, (v, i) => (v < 0.15 ? null : (
+                      <Rect
+                        key={i}
+                        x={(i % busyMap.cols) * (frameW / busyMap.cols)}
+                        y={Math.floor(i / busyMap.cols) * (frameH / busyMap.rows)}
+                        width={frameW / busyMap.cols}
+                        height={frameH / busyMap.rows}
+                        fill="#ff3b3b"
+                        opacity={v * 0.5}
+                      />
+                    )))}
                   </Group>
                 )}
                 {showSafeZone && (
                   <Group listening={false}>
-                    {/* YouTube duration badge safe zone roughly 200x80 at bottom-right */}
-                    <Rect x={THUMB_W - 220} y={THUMB_H - 100} width={220} height={100} fill="#000000" opacity={0.25} />
-                    <Rect x={THUMB_W - 220} y={THUMB_H - 100} width={220} height={100} stroke="#ffffff" strokeWidth={2} dash={[6, 6]} opacity={0.5} />
+                    {/* areas the platform covers with its own UI (duration badge, Shorts buttons) */}
+                    {zones.map(z => (
+                      <Group key={z.id}>
+                        <Rect x={z.x} y={z.y} width={z.width} height={z.height} fill="#000000" opacity={0.25} />
+                        <Rect x={z.x} y={z.y} width={z.width} height={z.height} stroke="#ffffff" strokeWidth={2} dash={[6, 6]} opacity={0.5} />
+                      </Group>
+                    ))}
+                  </Group>
+                )}
+                {Object.entries(zoneHits).map(([id, hit]) => (
+                  <Line
+                    key={`zone-hit-${id}`}
+                    points={hit.quad.flatMap(p => [p.x, p.y])}
+                    closed
+                    stroke="#ff5b6e"
+                    strokeWidth={3 / stageScale}
+                    dash={[10, 6]}
+                    listening={false}
+                  />
+                ))}
+                {weakest && (
+                  <Group listening={false}>
+                    <Rect
+                      x={weakest.rect.x - 6}
+                      y={weakest.rect.y - 6}
+                      width={weakest.rect.width + 12}
+                      height={weakest.rect.height + 12}
+                      stroke={weakest.effective < 4.5 ? '#ff5b6e' : '#ffce33'}
+                      strokeWidth={3 / stageScale}
+                      dash={[10, 6]}
+                      cornerRadius={6}
+                    />
+                    <Text
+                      x={weakest.rect.x - 6}
+                      y={Math.max(0, weakest.rect.y - 6 - 22 / stageScale)}
+                      text={`Kontras terlemah ${weakest.effective.toFixed(1)}:1`}
+                      fontSize={14 / stageScale}
+                      fontStyle="bold"
+                      fill={weakest.effective < 4.5 ? '#ff5b6e' : '#ffce33'}
+                    />
                   </Group>
                 )}
+                {snapLines.map((l, i) => (
+                  <Line
+                    key={`snap-${i}`}
+                    points={l.axis === 'x' ? [l.at, 0, l.at, frameH] : [0, l.at, frameW, l.at]}
+                    stroke="#ff3fd8"
+                    strokeWidth={1 / stageScale}
+                    listening={false}
+                  />
+                ))}
+                {band && (
+                  <Rect {...band} fill="rgba(47,166,255,0.12)" stroke="#2fa6ff" strokeWidth={1 / stageScale} listening={false} />
+                )}
+                {selected() && !selected().locked && !stageBusy && elementHandles(selected()).map(h => (
+                  <Circle
+                    key={h.key}
+                    x={h.x}
+                    y={h.y}
+                    radius={(h.kind === 'point' ? 8 : 7) / stageScale}
+                    fill={h.kind === 'point' ? '#2fa6ff' : '#ffce33'}
+                    stroke="#ffffff"
+                    strokeWidth={2 / stageScale}
+                    draggable
+                    onDragStart={() => { handleDragRef.current += 1; }}
+                    onDragMove={(e) => moveSelectedHandle(h.key, e.target.position())}
+                  />
+                ))}
                 <Transformer
                   ref={transformerRef}
                   anchorSize={10}
@@ -669,11 +2180,39 @@ export default function Home() {
               </Layer>
             </Stage>
             <div className="stage-labels">
-              <div className="pill">1280?720</div>
+              <div className="pill">{frameW}×{frameH}</div>
               <div className="pill">{Math.round(stageScale * 100)}%</div>
             </div>
           </div>
         </div>
+        {showFeed && <FeedPreview src={feedSrc} onClose={() => setShowFeed(false)} />}
+        {videoFile && <VideoFramePicker file={videoFile} onPick={pickVideoFrame} onClose={() => setVideoFile(null)} />}
+        {showExport && <ExportDialog frame={frame} design={exportDesign} renderFrame={(scale) => settleFonts(displayElements).then(() => renderFrame(bgSettings, scale))} onClose={() => setShowExport(false)} />}
+        {showBoard && (
+          <VariantBoard
+            variants={variants}
+            cards={boardCards}
+            activeId={activeId}
+            busy={stageBusy}
+            onSelect={switchVariant}
+            onRefresh={refreshBoard}
+            onExport={exportVariants}
+            onClose={() => setShowBoard(false)}
+          />
+        )}
+        {showTemplates && (
+          <TemplateGallery
+            templates={templates}
+            bgSrc={bgSrc}
+            photoSettings={bgSettings}
+            onApply={applyTemplate}
+            onDelete={deleteTemplate}
+            onSave={saveTemplate}
+            onImport={importTemplates}
+            onExport={exportTemplates}
+            onClose={() => setShowTemplates(false)}
+          />
+        )}
       </main>
 
       <aside className="right">
@@ -682,31 +2221,105 @@ export default function Home() {
           <div className="score">
             <div className="dot" style={{ background: analysis.score >= 80 ? 'var(--success)' : analysis.score >= 60 ? 'var(--accent-2)' : 'var(--danger)' }} />
             <div>Score: {analysis.score}/100</div>
+            <button className={cls('btn', { primary: showAnalysisSettings })} style={{ marginLeft: 'auto' }} onClick={() => setShowAnalysisSettings(v => !v)}>Atur</button>
           </div>
-          <div style={{ marginTop: 10 }}>
-            <div className="hint">Kata: {analysis.wordCount} | Area teks: {(analysis.areaRatio * 100).toFixed(1)}% | Kontras: {analysis.avgContrast.toFixed(2)}:1</div>
-          </div>
+          {showAnalysisSettings
+            ? <AnalysisSettings settings={analysisSettings} onChange={setAnalysisSettings} />
+            : (
+              <div className="analysis-rules">
+                {analysis.rules.map(r => (
+                  <div key={r.id} className={cls('analysis-rule-row', { fail: r.score < 0.5 })} title={r.explanation}>
+                    <span>{r.label}</span>
+                    <span className="hint">{r.detail}</span>
+                    <span>{r.weight > 0 ? `${Math.round(r.score * 100)}` : (r.message ? '!' : '✓')}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          {contrastRows.length > 0 && (
+            <div className="contrast-list">
+              {contrastRows.map(row => (
+                <button
+                  key={row.el.id}
+                  className={cls('contrast-row', { weakest: weakest && row.el.id === weakest.el.id, fail: row.effective < 4.5 })}
+                  onClick={() => setSelectedId(row.el.id)}
+                  title={`Isi vs latar ${row.fillVsBg.toFixed(2)}:1, dengan outline/shadow ${row.effective.toFixed(2)}:1`}
+                >
+                  <span className="swatch-dot" style={{ background: row.el.fill }} />
+                  <span className="swatch-dot" style={{ background: `rgb(${row.backdrop.join(',')})` }} />
+                  <span className="contrast-name">{layerLabel(row.el)}</span>
+                  <span>{row.effective.toFixed(1)}:1</span>
+                </button>
+              ))}
+            </div>
+          )}
         </div>
         <div className="section">
           <h3>Saran</h3>
           {analysis.suggestions.length === 0 && <div className="hint">Sudah bagus! ??</div>}
-          {analysis.suggestions.map((s, i) => (
-            <div key={i} className="suggestion">{s}</div>
+          {analysis.rules.filter(r => r.message).map(r => (
+            <div key={r.id} className="suggestion">
+              {r.message}
+              {r.id === 'safeZone' && Object.keys(zoneHits).length > 0 && (
+                <div style={{ marginTop: 6 }}>
+                  <button className="btn" onClick={nudgeOutOfSafeZones}>Geser Keluar Zona</button>
+                </div>
+              )}
+            </div>
           ))}
           <div className="hint" style={{ marginTop: 8 }}>
             Praktik efektif: teks besar (? 6 kata), kontras tinggi, fokus visual (badge/arrow), dan komposisi thirds.
           </div>
         </div>
         <div className="section">
-          <h3>Tips Warna Cepat</h3>
-          <div className="control-row" style={{ flexWrap: 'wrap', gap: 10 }}>
-            {['#ffffff','#000000','#ffce33','#ff5b6e','#2fa6ff','#16f3ff','#00ff7f','#ff8a00'].map(c => (
-              <button key={c} className="swatch" style={{ background: c }} onClick={() => {
-                if (selected() && selected().type === 'text') updateSelected({ fill: c });
-                else setBgSettings(s => ({ ...s, overlay: c }));
-              }} />
+          <h3>Palet Warna</h3>
+          <div className="hint">Warna dominan background. Klik untuk memakainya pada elemen terpilih, atau sebagai overlay bila tidak ada yang dipilih.</div>
+          <div className="control-row palette-row">
+            {palette.map(p => (
+              <button key={p.hex} className="swatch" style={{ background: p.hex }} title={`${p.hex} (${Math.round(p.share * 100)}%)`} onClick={() => applyColor(p.hex)} />
             ))}
           </div>
+          {brandKit && (
+            <div className="control">
+              <label>Warna Brand</label>
+              <div className="control-row palette-row">
+                {brandKit.colors.map((c, i) => (
+                  <button key={i} className="swatch" style={{ background: c.hex }} title={`${c.name} (${c.hex})`} onClick={() => applyColor(c.hex)} />
+                ))}
+              </div>
+            </div>
+          )}
+          {selected() && selectedBackdrop && selected().type === 'text' && (
+            <div className="control">
+              <label>Saran Teks (kontras ≥ {TEXT_MIN_RATIO}:1)</label>
+              <div className="palette-pairs">
+                {textSuggestions.map(s => (
+                  <button
+                    key={s.fill + s.stroke}
+                    className="palette-pair"
+                    style={{ background: `rgb(${selectedBackdrop.color.join(',')})`, color: s.fill, WebkitTextStroke: `1px ${s.stroke}` }}
+                    title={`Isi ${s.fill}, outline ${s.stroke}`}
+                    onClick={() => updateSelected({ fill: s.fill, stroke: s.stroke, gradient: null })}
+                  >
+                    Aa <span className="hint">{s.ratio.toFixed(1)}:1</span>
+                  </button>
+                ))}
+              </div>
+              {!textSuggestions.length && <div className="hint">Latar di belakang teks terlalu terang sekaligus gelap untuk satu warna; beri outline tebal atau kotak di belakangnya.</div>}
+            </div>
+          )}
+          {selected() && selectedBackdrop && selected().type !== 'text' && (
+            <div className="control">
+              <label>Saran Aksen (kontras ≥ {ACCENT_MIN_RATIO}:1)</label>
+              <div className="palette-pairs">
+                {suggestAccents(selectedBackdrop.range, palette).map(s => (
+                  <button key={s.hex} className="palette-pair" style={{ background: `rgb(${selectedBackdrop.color.join(',')})` }} title={s.hex} onClick={() => applyColor(s.hex)}>
+                    <span className="palette-dot" style={{ background: s.hex }} /> <span className="hint">{s.ratio.toFixed(1)}:1</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       </aside>
     </div>
@@ -0,0 +1,259 @@
+import { avgImageColor, getContrastRatio, hexToRgb } from './color';
+import { DEFAULT_CANVAS } from './frame';
+import { brandReport } from './brandKit';
+import { regionBusyness } from './busyness';
+import { flattenElements } from './geometry';
+
+function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
+
+// The analysis is a list of rules. Each rule scores the design 0..1 through
+// `evaluate(ctx, params)` and may return a `message` (a suggestion shown under
+// "Saran") and `ids` (the elements it flags). The total score is the weighted
+// mean of the enabled rules; a rule with weight 0 only gives suggestions.
+// `params` are the rule's adjustable targets, each `{ key, label, min, max,
+// step, value, notAbove? }` where `value` is the default and `notAbove` names
+// the rule's param this one may not exceed (the low end of a range);
+// `explain(params)` says in one sentence what the rule checks with the
+// current targets.
+//
+// Rules added with registerAnalysisRule show up in the settings panel and the
+// score without touching computeAnalysis.
+export const ANALYSIS_RULES = [
+  {
+    id: 'wordCount',
+    label: 'Jumlah kata',
+    weight: 30,
+    params: [
+      { key: 'target', label: 'Target kata', min: 1, max: 12, step: 1, value: 4, notAbove: 'max' },
+      { key: 'max', label: 'Maksimal kata', min: 1, max: 20, step: 1, value: 6 }
+    ],
+    explain: p => `Skor penuh di ${p.target} kata dan turun makin jauh darinya; lebih dari ${p.max} kata sulit dibaca sekilas di feed.`,
+    evaluate(ctx, p) {
+      const score = clamp(1 - Math.abs(Math.min(ctx.wordCount, p.target * 3) - p.target) / (p.target * 2), 0, 1);
+      let message = null;
+      if (ctx.wordCount > p.max) message = `Kurangi jumlah kata agar lebih punchy (≤ ${p.max} kata).`;
+      if (ctx.wordCount === 0) message = 'Tambahkan judul singkat yang kuat.';
+      return { score, detail: `${ctx.wordCount} kata`, message };
+    }
+  },
+  {
+    id: 'textArea',
+    label: 'Area teks',
+    weight: 35,
+    params: [
+      { key: 'min', label: 'Minimal (%)', min: 0, max: 100, step: 1, value: 12, notAbove: 'max' },
+      { key: 'max', label: 'Maksimal (%)', min: 0, max: 100, step: 1, value: 40 }
+    ],
+    explain: p => `Kotak teks sebaiknya menutup ${p.min}–${p.max}% kanvas: cukup besar untuk terbaca di layar kecil tanpa menenggelamkan gambar.`,
+    evaluate(ctx, p) {
+      const min = p.min / 100;
+      const max = p.max / 100;
+      const r = ctx.areaRatio;
+      const score = r < min ? clamp(r / min, 0, 1) : r > max ? clamp((max + 0.1 - r) / 0.1, 0, 1) : 1;
+      let message = null;
+      if (r < min) message = 'Perbesar ukuran teks/elemen penting agar lebih terbaca.';
+      if (r > max) message = 'Kurangi dominasi teks agar visual tetap bersih.';
+      return { score, detail: `${(r * 100).toFixed(1)}%`, message };
+    }
+  },
+  {
+    id: 'contrast',
+    label: 'Kontras teks',
+    weight: 35,
+    params: [
+      { key: 'min', label: 'Minimal (x:1)', min: 1, max: 21, step: 0.5, value: 4.5, notAbove: 'target' },
+      { key: 'target', label: 'Sangat baik (x:1)', min: 1, max: 21, step: 0.5, value: 6.5 }
+    ],
+    explain: p => `Skor mengikuti kontras rata-rata hingga ${p.target}:1; teks di bawah ${p.min}:1 (batas WCAG) ditandai.`,
+    evaluate(ctx, p) {
+      const weak = ctx.textEls.filter((t, i) => ctx.contrasts[i] < p.min);
+      return {
+        score: clamp(ctx.avgContrast / p.target, 0, 1),
+        detail: `rata-rata ${ctx.avgContrast.toFixed(2)}:1, min ${ctx.minContrast.toFixed(1)}:1`,
+        message: weak.length ? 'Tingkatkan kontras teks (ganti warna, tambah outline/shadow).' : null,
+        ids: weak.map(t => t.id)
+      };
+    }
+  },
+  {
+    id: 'busyBackground',
+    label: 'Latar ramai',
+    weight: 0,
+    params: [
+      { key: 'threshold', label: 'Batas keramaian (%)', min: 5, max: 100, step: 5, value: 45 }
+    ],
+    explain: p => `Menandai teks yang latarnya lebih dari ${p.threshold}% ramai (banyak tepi dan detail), karena huruf tenggelam di sana.`,
+    evaluate(ctx, p) {
+      if (!ctx.busyness || !ctx.textEls.length) return { score: 1, detail: ctx.busyness ? 'tidak ada teks' : 'belum diukur', message: null };
+      const busy = ctx.textEls.filter(t => regionBusyness(ctx.busyness, { x: t.x, y: t.y, width: t.width || 0, height: t.height || 0 }) > p.threshold / 100);
+      return {
+        score: 1 - busy.length / ctx.textEls.length,
+        detail: `${busy.length} dari ${ctx.textEls.length} teks`,
+        message: busy.length
+          ? `${busy.length > 1 ? `${busy.length} teks` : 'Teks'} berada di area background yang ramai; pindahkan ke area tenang ("Tempatkan Pintar") atau tambah sorotan di belakangnya.`
+          : null,
+        ids: busy.map(t => t.id)
+      };
+    }
+  },
+  {
+    id: 'focus',
+    label: 'Fokus visual',
+    weight: 0,
+    params: [],
+    explain: () => 'Mencari badge, panah, gelembung atau lingkar sorot yang mengarahkan mata.',
+    evaluate(ctx) {
+      const has = ctx.elements.some(e => ['badge', 'arrow', 'ring', 'bubble'].includes(e.type));
+      return {
+        score: has ? 1 : 0,
+        detail: has ? 'ada' : 'tidak ada',
+        message: has ? null : 'Tambahkan elemen penunjuk (badge/arrow/lingkar sorot) untuk fokus visual.'
+      };
+    }
+  },
+  {
+    id: 'safeZone',
+    label: 'Safe zone',
+    weight: 0,
+    params: [],
+    explain: () => 'Memeriksa apakah kotak (yang ikut berputar) tiap elemen menabrak area yang ditutup UI platform, seperti badge durasi.',
+    evaluate(ctx) {
+      if (!ctx.zoneHits) return { score: 1, detail: 'belum diukur', message: null };
+      const ids = Object.keys(ctx.zoneHits);
+      const labels = [...new Set(ids.flatMap(id => ctx.zoneHits[id].zones.map(z => z.label.toLowerCase())))];
+      return {
+        score: ctx.topLevel.length ? 1 - ids.length / ctx.topLevel.length : 1,
+        detail: ids.length ? `${ids.length} elemen` : 'aman',
+        message: ids.length
+          ? `${ids.length > 1 ? `${ids.length} elemen` : 'Elemen'} tertutup UI platform (${labels.join(', ')}); geser keluar dari safe zone.`
+          : null,
+        ids
+      };
+    }
+  },
+  {
+    id: 'elementCount',
+    label: 'Jumlah elemen',
+    weight: 0,
+    params: [
+      { key: 'max', label: 'Maksimal elemen', min: 1, max: 30, step: 1, value: 8 }
+    ],
+    explain: p => `Lebih dari ${p.max} elemen terlihat membuat thumbnail berantakan di ukuran kecil. Grup dihitung satu.`,
+    evaluate(ctx, p) {
+      const n = ctx.topLevel.length;
+      return {
+        score: n <= p.max ? 1 : clamp(1 - (n - p.max) / p.max, 0, 1),
+        detail: `${n} elemen`,
+        message: n > p.max ? `Terlalu banyak elemen (${n}); batasi hingga ${p.max} agar fokus tetap jelas.` : null
+      };
+    }
+  },
+  {
+    id: 'brand',
+    label: 'Brand kit',
+    weight: 0,
+    params: [
+      { key: 'tolerance', label: 'Toleransi warna (%)', min: 0, max: 30, step: 1, value: 6 }
+    ],
+    explain: p => `Menandai warna yang berbeda lebih dari ${p.tolerance}% dari semua warna brand kit, teks dengan font di luar kit, dan logo channel yang belum dipasang.`,
+    evaluate(ctx, p) {
+      if (!ctx.brandKit) return { score: 1, detail: 'belum ada kit', message: null };
+      const r = brandReport(ctx.elements, ctx.brandKit, p.tolerance);
+      const off = r.colors.length + r.fonts.length + (r.logoMissing ? 1 : 0);
+      const parts = [];
+      if (r.colors.length) parts.push(`warna ${r.colors.slice(0, 4).join(', ')}${r.colors.length > 4 ? ', …' : ''} di luar brand`);
+      if (r.fonts.length) parts.push(`font ${r.fonts.join(', ')} di luar brand`);
+      if (r.logoMissing) parts.push('logo channel belum dipasang');
+      return {
+        score: r.checked ? clamp(1 - off / r.checked, 0, 1) : 1,
+        detail: off ? `${off} temuan` : 'sesuai',
+        message: parts.length ? `Brand kit: ${parts.join('; ')}.` : null,
+        ids: r.ids
+      };
+    }
+  }
+];
+
+// Adds a rule, replacing any with the same id.
+export function registerAnalysisRule(rule) {
+  const i = ANALYSIS_RULES.findIndex(r => r.id === rule.id);
+  if (i >= 0) ANALYSIS_RULES[i] = rule;
+  else ANALYSIS_RULES.push(rule);
+}
+
+// Settings are `{ [ruleId]: { enabled, weight, params: { [key]: value } } }`.
+// Missing or unknown entries fall back to the rule's defaults and values are
+// clamped to each param's range (the low end of a pair to the high end), so
+// stored settings survive rule changes.
+export function resolveAnalysisSettings(saved = {}) {
+  const out = {};
+  for (const rule of ANALYSIS_RULES) {
+    const s = (saved && typeof saved[rule.id] === 'object' && saved[rule.id]) || {};
+    const params = {};
+    for (const p of rule.params) {
+      const v = s.params?.[p.key];
+      params[p.key] = Number.isFinite(v) ? clamp(v, p.min, p.max) : p.value;
+    }
+    for (const p of rule.params) {
+      if (p.notAbove) params[p.key] = Math.min(params[p.key], params[p.notAbove]);
+    }
+    out[rule.id] = {
+      enabled: typeof s.enabled === 'boolean' ? s.enabled : true,
+      weight: Number.isFinite(s.weight) ? clamp(s.weight, 0, 100) : rule.weight,
+      params
+    };
+  }
+  return out;
+}
+
+// `contrastReport` maps text element ids to the measurement from
+// measureTextContrast. Texts without one (not rendered yet) fall back to
+// comparing the fill with the average background color. The text-area
+// target is relative to `frame`, so it holds for any canvas size.
+// `measures` holds what rules need beyond the elements: `busyness` (the
+// background's map from utils/busyness) and `zoneHits` (from findZoneHits),
+// either missing when not measured, and `brandKit` (utils/brandKit), missing
+// when none is set up. `settings` come from
+// resolveAnalysisSettings.
+export function computeAnalysis(allElements, bgImg, contrastReport = {}, frame = DEFAULT_CANVAS, measures = {}, settings = resolveAnalysisSettings()) {
+  const topLevel = allElements.filter(e => !e.hidden);
+  const elements = flattenElements(topLevel);
+  const textEls = elements.filter(e => e.type === 'text');
+  const words = textEls.flatMap(t => (t.text || '').trim().split(/\s+/).filter(Boolean));
+  const wordCount = words.length;
+
+  const textArea = textEls.reduce((acc, t) => acc + (t.width || 0) * (t.height || 0), 0);
+  const areaRatio = textArea / (frame.width * frame.height);
+
+  let bgAvg = null;
+  const contrasts = textEls.map(t => {
+    if (contrastReport[t.id]) return contrastReport[t.id].effective;
+    if (!bgAvg) bgAvg = bgImg ? avgImageColor(bgImg) : [20, 20, 20];
+    return getContrastRatio(hexToRgb(t.fill || '#ffffff'), bgAvg);
+  });
+  const avgContrast = contrasts.length ? (contrasts.reduce((a, b) => a + b, 0) / contrasts.length) : 8;
+  const minContrast = contrasts.length ? Math.min(...contrasts) : 8;
+
+  const ctx = { ...measures, topLevel, elements, textEls, wordCount, areaRatio, contrasts, avgContrast, minContrast, frame, bgImg };
+  const rules = [];
+  for (const rule of ANALYSIS_RULES) {
+    const s = settings[rule.id] || resolveAnalysisSettings({})[rule.id];
+    if (!s.enabled) continue;
+    const result = rule.evaluate(ctx, s.params);
+    rules.push({
+      id: rule.id,
+      label: rule.label,
+      weight: s.weight,
+      explanation: rule.explain(s.params),
+      score: result.score,
+      detail: result.detail || '',
+      message: result.message || null,
+      ids: result.ids || []
+    });
+  }
+
+  const totalWeight = rules.reduce((acc, r) => acc + r.weight, 0);
+  const score = totalWeight ? Math.round((rules.reduce((acc, r) => acc + r.score * r.weight, 0) / totalWeight) * 100) : 100;
+  const suggestions = rules.filter(r => r.message).map(r => r.message);
+  return { score, wordCount, areaRatio, avgContrast, minContrast, rules, suggestions };
+}
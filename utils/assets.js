@@ -0,0 +1,142 @@
+import { readAsDataURL } from './images';
+import { assetIdOf } from './project';
+import { assetDelete, assetGet, assetList, assetPut } from './storage';
+
+// The local asset library: backgrounds, cutouts and logos kept in the
+// browser (IndexedDB, see utils/storage) so they survive between sessions.
+// Documents point at an asset by id through the image source `asset:<id>`
+// (assetSrc in utils/project); the pixels stay in the library.
+// Saved project files embed the assets they use (`assets` in utils/project)
+// so they still open elsewhere. A record is
+//
+//   { id, name, tags: ['logo', …], favorite, blob, type, size, width,
+//     height, thumb, addedAt }
+//
+// `id` is a hash of the file, so adding the same logo twice keeps one copy.
+// `thumb` is a small data URL for the library grid.
+
+const THUMB_SIZE = 160;
+
+async function contentId(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return [...new Uint8Array(digest).slice(0, 12)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Thumbnail data URL plus size and whether any pixel is see-through.
+async function describeImage(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const s = Math.min(1, THUMB_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * s));
+  canvas.height = Math.max(1, Math.round(bitmap.height * s));
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  const data = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+  let transparent = false;
+  for (let i = 3; i < data.length && !transparent; i += 4) transparent = data[i] < 250;
+  const info = {
+    width: bitmap.width,
+    height: bitmap.height,
+    transparent,
+    thumb: transparent ? canvas.toDataURL('image/png') : canvas.toDataURL('image/jpeg', 0.8)
+  };
+  bitmap.close?.();
+  return info;
+}
+
+async function newRecord(id, blob, name, tags) {
+  const { transparent, ...info } = await describeImage(blob);
+  return {
+    id,
+    name: name || blob.name || 'Gambar',
+    tags: [...new Set([...tags, ...(transparent ? ['cutout'] : [])])],
+    favorite: false,
+    blob,
+    type: blob.type,
+    size: blob.size,
+    ...info,
+    addedAt: new Date().toISOString()
+  };
+}
+
+// Stores an image Blob or File and resolves to its record. An image already
+// in the library gets the new tags merged instead; images with transparency
+// are tagged "cutout".
+export async function addAsset(blob, { name, tags = [] } = {}) {
+  if (!blob.type.startsWith('image/')) throw new Error(`"${name || blob.name || 'File'}" bukan gambar.`);
+  const id = await contentId(blob);
+  const existing = await assetGet(id);
+  const asset = existing
+    ? { ...existing, tags: [...new Set([...existing.tags, ...tags])] }
+    : await newRecord(id, blob, name, tags);
+  await assetPut(asset);
+  return asset;
+}
+
+export function listAssets() {
+  return assetList().then(list => list || []);
+}
+
+export function updateAsset(asset, patch) {
+  const next = { ...asset, ...patch };
+  return assetPut(next).then(() => next);
+}
+
+export function removeAsset(id) {
+  return assetDelete(id);
+}
+
+// "logo, Host Cutout ,logo" -> ['logo', 'host cutout']
+export function parseTags(text) {
+  return [...new Set(text.split(',').map(t => t.trim().toLowerCase()).filter(Boolean))];
+}
+
+// Assets whose name or tags contain every word of `query`, favorites first,
+// then newest.
+export function searchAssets(assets, query = '', { favoritesOnly = false } = {}) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return assets
+    .filter(a => !favoritesOnly || a.favorite)
+    .filter(a => {
+      const hay = [a.name, ...a.tags].map(s => s.toLowerCase());
+      return words.every(w => hay.some(h => h.includes(w)));
+    })
+    .sort((a, b) => (b.favorite - a.favorite) || b.addedAt.localeCompare(a.addedAt));
+}
+
+function collectIds(elements, out) {
+  for (const el of elements || []) {
+    const id = assetIdOf(el.src);
+    if (id) out.add(id);
+    if (el.type === 'group') collectIds(el.children, out);
+  }
+}
+
+// Ids of the assets referenced by a background source and element lists.
+export function usedAssetIds(bgSrc, elementLists) {
+  const out = new Set();
+  const bgId = assetIdOf(bgSrc);
+  if (bgId) out.add(bgId);
+  for (const list of elementLists) collectIds(list, out);
+  return out;
+}
+
+// `{ id, name, tags, src }` entries with data URLs, for a project file.
+export async function embedAssets(ids) {
+  const out = [];
+  for (const id of ids) {
+    const asset = await assetGet(id);
+    if (asset) out.push({ id, name: asset.name, tags: asset.tags, src: await readAsDataURL(asset.blob) });
+  }
+  return out;
+}
+
+// Adds the embedded assets of an opened project that this library lacks,
+// under their original ids so the project's references resolve.
+export async function importEmbeddedAssets(list) {
+  for (const entry of list || []) {
+    if (await assetGet(entry.id)) continue;
+    const blob = await (await fetch(entry.src)).blob();
+    await assetPut(await newRecord(entry.id, blob, entry.name, entry.tags || []));
+  }
+}
@@ -0,0 +1,148 @@
+// Background pipeline: fit the photo into the frame, then bake the
+// brightness/contrast/saturation/blur adjustments into a bitmap that both the
+// live stage and the exporter draw. Filtering runs on a copy resized to the
+// destination size (never the full-resolution original) so scrubbing a slider
+// on a 24MP photo costs the same as on a small one.
+
+export const BG_FIT_MODES = ['cover', 'contain', 'crop'];
+
+const MAX_BITMAP_SIDE = 4096;
+
+export const DEFAULT_BG_SETTINGS = {
+  brightness: 0, contrast: 0, saturation: 0, blur: 0,
+  overlay: '#000000', overlayAlpha: 0.0, overlays: [], bgColor: '#0a0e15',
+  fit: 'cover', cropX: 0.5, cropY: 0.5, cropZoom: 1
+};
+
+function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
+
+// Where the image lands inside the frame, in frame pixels. In crop mode
+// cropX/cropY are the normalized image point shown at the frame center and
+// cropZoom is relative to the cover scale, so the frame is always filled.
+export function fitBackground(img, settings, frameW, frameH) {
+  const iw = img.naturalWidth || img.width;
+  const ih = img.naturalHeight || img.height;
+  if (!iw || !ih) return { x: 0, y: 0, width: frameW, height: frameH };
+  const cover = Math.max(frameW / iw, frameH / ih);
+  if (settings.fit === 'contain') {
+    const s = Math.min(frameW / iw, frameH / ih);
+    const width = iw * s, height = ih * s;
+    return { x: (frameW - width) / 2, y: (frameH - height) / 2, width, height };
+  }
+  if (settings.fit === 'crop') {
+    const s = cover * Math.max(1, settings.cropZoom || 1);
+    const width = iw * s, height = ih * s;
+    const { cropX, cropY } = clampCropCenter(settings.cropX ?? 0.5, settings.cropY ?? 0.5, width, height, frameW, frameH);
+    return { x: frameW / 2 - cropX * width, y: frameH / 2 - cropY * height, width, height };
+  }
+  const width = iw * cover, height = ih * cover;
+  return { x: (frameW - width) / 2, y: (frameH - height) / 2, width, height };
+}
+
+export function clampCropCenter(cropX, cropY, width, height, frameW, frameH) {
+  const hx = frameW / 2 / width;
+  const hy = frameH / 2 / height;
+  return {
+    cropX: hx >= 0.5 ? 0.5 : clamp(cropX, hx, 1 - hx),
+    cropY: hy >= 0.5 ? 0.5 : clamp(cropY, hy, 1 - hy)
+  };
+}
+
+// Inverse of the crop branch of fitBackground: turn a dragged image position
+// back into a crop center.
+export function cropCenterFromPosition(x, y, width, height, frameW, frameH) {
+  return clampCropCenter((frameW / 2 - x) / width, (frameH / 2 - y) / height, width, height, frameW, frameH);
+}
+
+export function hasAdjustments(settings) {
+  return !!(settings.brightness || settings.contrast || settings.saturation || settings.blur);
+}
+
+// Pixel adjustments in the same units as the sliders: brightness adds up to
+// +/-255 per channel, contrast scales around mid-grey, saturation -1 is
+// greyscale and +1 doubles chroma.
+export function adjustPixels(data, { brightness = 0, contrast = 0, saturation = 0 }) {
+  const add = brightness * 255;
+  const k = 1 + contrast * 2;
+  const sat = 1 + saturation;
+  for (let i = 0; i < data.length; i += 4) {
+    let r = data[i], g = data[i + 1], b = data[i + 2];
+    if (sat !== 1) {
+      const l = 0.299 * r + 0.587 * g + 0.114 * b;
+      r = l + (r - l) * sat;
+      g = l + (g - l) * sat;
+      b = l + (b - l) * sat;
+    }
+    if (k !== 1) {
+      r = (r - 128) * k + 128;
+      g = (g - 128) * k + 128;
+      b = (b - 128) * k + 128;
+    }
+    data[i] = r + add;
+    data[i + 1] = g + add;
+    data[i + 2] = b + add;
+  }
+}
+
+// Three box passes per axis approximate a gaussian with the given radius.
+export function blurPixels(data, width, height, radius) {
+  const r = Math.round(radius);
+  if (r < 1) return;
+  const tmp = new Uint8ClampedArray(data.length);
+  for (let pass = 0; pass < 3; pass++) {
+    boxBlur(data, tmp, width, height, r, 4, width * 4);
+    boxBlur(tmp, data, height, width, r, width * 4, 4);
+  }
+}
+
+// Blurs every line of `src` into `dst`. `step` moves along a line and `stride`
+// moves between lines, which lets the same loop handle rows and columns.
+function boxBlur(src, dst, lineLen, lineCount, r, step, stride) {
+  const win = r * 2 + 1;
+  for (let line = 0; line < lineCount; line++) {
+    const base = line * stride;
+    for (let c = 0; c < 4; c++) {
+      const first = src[base + c];
+      const last = src[base + (lineLen - 1) * step + c];
+      let sum = first * (r + 1);
+      for (let i = 0; i < r; i++) sum += src[base + Math.min(i, lineLen - 1) * step + c];
+      for (let i = 0; i < lineLen; i++) {
+        const addIdx = i + r;
+        const subIdx = i - r - 1;
+        sum += addIdx < lineLen ? src[base + addIdx * step + c] : last;
+        sum -= subIdx >= 0 ? src[base + subIdx * step + c] : first;
+        dst[base + i * step + c] = sum / win;
+      }
+    }
+  }
+}
+
+// Renders the placed, adjusted image. `pixelRatio` is output pixels per frame
+// pixel: the stage's display scale while editing, 1 (or more) for export.
+// Returns the bitmap plus the frame rect it should be drawn into.
+export function renderBackground(img, settings, frameW, frameH, pixelRatio = 1, createCanvas = defaultCreateCanvas) {
+  const rect = fitBackground(img, settings, frameW, frameH);
+  const iw = img.naturalWidth || img.width;
+  const ih = img.naturalHeight || img.height;
+  let scale = Math.min(pixelRatio, iw / rect.width, ih / rect.height);
+  scale = Math.min(scale, MAX_BITMAP_SIDE / rect.width, MAX_BITMAP_SIDE / rect.height);
+  const w = Math.max(1, Math.round(rect.width * scale));
+  const h = Math.max(1, Math.round(rect.height * scale));
+  const canvas = createCanvas(w, h);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(img, 0, 0, w, h);
+  if (hasAdjustments(settings)) {
+    const imageData = ctx.getImageData(0, 0, w, h);
+    adjustPixels(imageData.data, settings);
+    if (settings.blur) blurPixels(imageData.data, w, h, settings.blur * (w / rect.width));
+    ctx.putImageData(imageData, 0, 0);
+  }
+  return { canvas, rect };
+}
+
+function defaultCreateCanvas(w, h) {
+  const c = document.createElement('canvas');
+  c.width = w; c.height = h;
+  return c;
+}
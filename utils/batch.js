@@ -0,0 +1,75 @@
+import { layoutText } from './richText';
+
+// Data-driven batch generation: text and badge elements may contain
+// `{{column}}` placeholders that are filled from one CSV row at a time.
+
+const PLACEHOLDER_RE = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+function textFields(el) {
+  if (el.type === 'text' || el.type === 'badge') return ['text'];
+  return [];
+}
+
+export function findPlaceholders(elements, out = new Set()) {
+  for (const el of elements) {
+    for (const field of textFields(el)) {
+      for (const m of String(el[field] ?? '').matchAll(PLACEHOLDER_RE)) out.add(m[1]);
+    }
+    if (el.type === 'group') findPlaceholders(el.children, out);
+  }
+  return [...out];
+}
+
+// Placeholders without a matching column are left as written so they stay
+// visible in the preview.
+export function fillText(text, row) {
+  return String(text ?? '').replace(PLACEHOLDER_RE, (match, name) => (Object.hasOwn(row, name) ? row[name] : match));
+}
+
+export function fillPlaceholders(elements, row) {
+  return elements.map(el => {
+    let next = el;
+    for (const field of textFields(el)) {
+      const filled = fillText(el[field], row);
+      if (filled !== el[field]) next = { ...next, [field]: filled };
+    }
+    if (el.type === 'group') next = { ...next, children: fillPlaceholders(el.children, row) };
+    return next;
+  });
+}
+
+function overflows(el) {
+  if (el.hidden) return false;
+  if (el.type === 'text') return !!el.text && layoutText(el).overflow;
+  if (el.type === 'badge') {
+    const size = el.outerRadius * 2;
+    return !!el.text && layoutText({ text: el.text, fontSize: el.textSize, fontStyle: '800', width: size, height: size, align: 'center' }).overflow;
+  }
+  if (el.type === 'group') return el.children.some(overflows);
+  return false;
+}
+
+// Top-level elements with text that needs more lines than its box holds
+// (the lines that don't fit are dropped). Uses the same layout the stage
+// draws with, so fonts, wrapping and letter widths match the export.
+export function findTextOverflows(elements) {
+  return elements.filter(overflows);
+}
+
+export function isRowFlagged(flag, threshold) {
+  return !!flag && (flag.overflow.length > 0 || flag.score < threshold);
+}
+
+// One file name per row from `column`, made safe for every OS and unique
+// within the archive.
+export function batchFileNames(rows, column, ext) {
+  const used = new Set();
+  return rows.map((row, i) => {
+    const raw = column ? String(row[column] ?? '') : '';
+    const base = raw.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '-').replace(/\s+/g, ' ').trim().slice(0, 100) || `thumbnail-${i + 1}`;
+    let name = `${base}.${ext}`;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}-${n}.${ext}`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
@@ -0,0 +1,266 @@
+import { hexToRgb } from './color';
+import { BUILTIN_FONTS, DEFAULT_FONT_STACK, fontStack, primaryFamily } from './fonts';
+import { ProjectFormatError, assetSrc } from './project';
+
+// A channel's brand kit: the colors, fonts, text style and logo new elements
+// and the built-in templates start from, and that the analysis checks the
+// design against.
+//
+//   { name,
+//     colors: [{ name, hex }],
+//     roles: { text, outline, shadow, accent, onAccent, highlight, pop, marker },
+//     fonts: [{ family, stack, format?, src? }],
+//     text: { strokeWidth, shadowBlur, shadowOpacity },
+//     logo: { asset, corner, size, margin } | null }
+//
+// `roles` say which brand color goes where (hex values picked from
+// `colors`): text fill and outline, boxes and badges (accent) and the text
+// on them (onAccent), two extras templates use for emphasis, and arrows,
+// polygons and word highlights (marker). Kits saved before a role existed
+// get it from the closest older one (see withRoleDefaults). The first
+// font is the one new text gets; uploaded fonts carry their data URL like a
+// project's fonts do. The logo is a library asset (utils/assets) placed in
+// `corner`, `size` wide and `margin` in from the edges, both fractions of
+// the frame width. A kit file embeds the logo the way project files embed
+// their assets.
+
+export const BRAND_KIT_FORMAT = 'yt-thumb-brand-kit';
+export const BRAND_KIT_VERSION = 1;
+
+export const LOGO_CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+export const BRAND_ROLES = ['text', 'outline', 'shadow', 'accent', 'onAccent', 'highlight', 'pop', 'marker'];
+
+// The editor's own colors and text style, used while no kit is set up.
+export const DEFAULT_BRAND_KIT = {
+  name: 'Brand Saya',
+  colors: [
+    { name: 'Putih', hex: '#ffffff' },
+    { name: 'Hitam', hex: '#000000' },
+    { name: 'Kuning', hex: '#ffce33' },
+    { name: 'Gelap', hex: '#111111' },
+    { name: 'Cyan', hex: '#16f3ff' },
+    { name: 'Magenta', hex: '#ff00e6' },
+    { name: 'Merah', hex: '#ff5b6e' }
+  ],
+  roles: { text: '#ffffff', outline: '#000000', shadow: '#000000', accent: '#ffce33', onAccent: '#111111', highlight: '#16f3ff', pop: '#ff00e6', marker: '#ff5b6e' },
+  fonts: [{ family: 'Impact', stack: DEFAULT_FONT_STACK }],
+  text: { strokeWidth: 8, shadowBlur: 10, shadowOpacity: 0.6 },
+  logo: null
+};
+
+export function brandFontStack(kit) {
+  return kit.fonts[0]?.stack || DEFAULT_FONT_STACK;
+}
+
+// Uploaded fonts of the kit, as project fonts.
+export function brandProjectFonts(kit) {
+  return kit.fonts.filter(f => f.src).map(({ family, format, src }) => ({ family, format, src }));
+}
+
+// Attributes new text takes from the kit; its shadow is a drop shadow
+// effect (utils/effects) right around the glyphs.
+export function brandTextStyle(kit) {
+  const { shadowBlur, shadowOpacity } = kit.text;
+  return {
+    fontFamily: brandFontStack(kit),
+    fill: kit.roles.text,
+    stroke: kit.roles.outline,
+    strokeWidth: kit.text.strokeWidth,
+    effects: shadowBlur > 0 && shadowOpacity > 0
+      ? [{ id: 'bayangan', type: 'shadow', color: kit.roles.shadow, opacity: shadowOpacity, blur: shadowBlur, offsetX: 0, offsetY: 0 }]
+      : []
+  };
+}
+
+// `{ x, y, width, height }` of the logo in its corner, for an image of
+// `imageWidth`×`imageHeight`.
+export function logoBox(logo, imageWidth, imageHeight, frame) {
+  const width = frame.width * logo.size;
+  const height = (width * imageHeight) / imageWidth;
+  const margin = frame.width * logo.margin;
+  return {
+    x: logo.corner.endsWith('left') ? margin : frame.width - margin - width,
+    y: logo.corner.startsWith('top') ? margin : frame.height - margin - height,
+    width,
+    height
+  };
+}
+
+// Colors an element is drawn with, its effects (glows, extra outlines,
+// shadows) included, ignoring invisible outlines and effects.
+function elementColors(el) {
+  const out = [];
+  const outlined = (el.strokeWidth || 0) > 0;
+  switch (el.type) {
+    case 'text':
+      if (el.gradient) out.push(el.gradient.from, el.gradient.to);
+      else out.push(el.fill);
+      if (outlined) out.push(el.stroke);
+      for (const run of el.runs || []) out.push(run.fill, outlined ? run.stroke : null, run.highlight);
+      break;
+    case 'arrow':
+    case 'line':
+    case 'ring':
+      out.push(el.stroke);
+      break;
+    case 'badge':
+      out.push(el.fill, el.textFill);
+      if (outlined) out.push(el.stroke);
+      break;
+    case 'rect':
+    case 'circle':
+    case 'polygon':
+    case 'bubble':
+      out.push(el.fill);
+      if (outlined) out.push(el.stroke);
+      break;
+    default:
+  }
+  for (const fx of el.effects || []) {
+    if (fx.type === 'stroke' ? fx.width > 0 : (fx.opacity ?? 1) > 0) out.push(fx.color);
+  }
+  return out.filter(c => typeof c === 'string' && /^#[0-9a-f]{6}$/i.test(c)).map(c => c.toLowerCase());
+}
+
+// 0..100, how far apart two colors are in RGB.
+function colorDistance(a, b) {
+  const [r1, g1, b1] = hexToRgb(a);
+  const [r2, g2, b2] = hexToRgb(b);
+  return (Math.hypot(r1 - r2, g1 - g2, b1 - b2) / Math.hypot(255, 255, 255)) * 100;
+}
+
+// Where `elements` (flattened, visible) stray from the kit: colors further
+// than `tolerance` from every brand color, text in a font the kit doesn't
+// name, and whether the logo is missing. `ids` are the straying elements.
+export function brandReport(elements, kit, tolerance) {
+  const brand = [...kit.colors.map(c => c.hex), ...Object.values(kit.roles)];
+  const families = new Set(kit.fonts.map(f => f.family));
+  const colors = new Set();
+  const fonts = new Set();
+  const ids = new Set();
+  let checked = 0;
+  for (const el of elements) {
+    for (const hex of elementColors(el)) {
+      checked++;
+      if (brand.some(b => colorDistance(hex, b) <= tolerance)) continue;
+      colors.add(hex);
+      ids.add(el.id);
+    }
+    if (el.type === 'text') {
+      checked++;
+      const family = primaryFamily(el.fontFamily);
+      if (!families.has(family)) {
+        fonts.add(family);
+        ids.add(el.id);
+      }
+    }
+  }
+  const logoMissing = Boolean(kit.logo) && !elements.some(el => el.type === 'image' && el.src === assetSrc(kit.logo.asset));
+  return { colors: [...colors], fonts: [...fonts], logoMissing, checked: checked + (kit.logo ? 1 : 0), ids: [...ids] };
+}
+
+export function serializeBrandKit(kit, assets = []) {
+  return {
+    format: BRAND_KIT_FORMAT,
+    version: BRAND_KIT_VERSION,
+    kit,
+    assets,
+    savedAt: new Date().toISOString()
+  };
+}
+
+function isObject(v) { return v !== null && typeof v === 'object' && !Array.isArray(v); }
+function isHex(v) { return typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v); }
+
+function validateKit(kit, errors) {
+  if (!isObject(kit)) { errors.push('kit harus berupa objek'); return; }
+  if (typeof kit.name !== 'string') errors.push('kit.name harus berupa string');
+  if (!Array.isArray(kit.colors) || !kit.colors.length) errors.push('kit.colors harus berupa array yang tidak kosong');
+  else {
+    kit.colors.forEach((c, i) => {
+      if (!isObject(c) || typeof c.name !== 'string' || !isHex(c.hex)) errors.push(`kit.colors[${i}] harus berupa { name, hex } dengan warna #rrggbb`);
+    });
+  }
+  if (!isObject(kit.roles)) errors.push('kit.roles harus berupa objek');
+  else {
+    for (const role of BRAND_ROLES) {
+      if (!isHex(kit.roles[role])) errors.push(`kit.roles.${role} harus berupa warna #rrggbb`);
+    }
+  }
+  if (!Array.isArray(kit.fonts) || !kit.fonts.length) errors.push('kit.fonts harus berupa array yang tidak kosong');
+  else {
+    kit.fonts.forEach((f, i) => {
+      if (!isObject(f) || typeof f.family !== 'string' || typeof f.stack !== 'string') errors.push(`kit.fonts[${i}] harus berupa { family, stack }`);
+      else if (f.src !== undefined && !(typeof f.src === 'string' && f.src.startsWith('data:'))) errors.push(`kit.fonts[${i}].src harus berupa data URL`);
+    });
+  }
+  if (!isObject(kit.text)) errors.push('kit.text harus berupa objek');
+  else {
+    for (const key of ['strokeWidth', 'shadowBlur', 'shadowOpacity']) {
+      if (!Number.isFinite(kit.text[key]) || kit.text[key] < 0) errors.push(`kit.text.${key} harus berupa angka ≥ 0`);
+    }
+  }
+  if (kit.logo !== null && kit.logo !== undefined) {
+    const { asset, corner, size, margin } = isObject(kit.logo) ? kit.logo : {};
+    if (typeof asset !== 'string' || !asset) errors.push('kit.logo.asset harus berupa id aset');
+    if (!LOGO_CORNERS.includes(corner)) errors.push(`kit.logo.corner harus salah satu dari ${LOGO_CORNERS.join(', ')}`);
+    if (!(size > 0 && size <= 1)) errors.push('kit.logo.size harus di antara 0 dan 1');
+    if (!(margin >= 0 && margin < 0.5)) errors.push('kit.logo.margin harus di antara 0 dan 0,5');
+  }
+}
+
+// Roles added after a kit was saved, taken from the role closest in use.
+function withRoleDefaults(kit) {
+  if (!isObject(kit) || !isObject(kit.roles) || kit.roles.marker !== undefined) return kit;
+  return { ...kit, roles: { ...kit.roles, marker: kit.roles.pop } };
+}
+
+// The kit kept in this browser, or null when what was stored isn't a valid
+// kit (anymore).
+export function restoreBrandKit(saved) {
+  const kit = withRoleDefaults(saved);
+  const errors = [];
+  validateKit(kit, errors);
+  return errors.length ? null : { ...kit, logo: kit.logo || null };
+}
+
+// Parses a brand kit file's text into `{ kit, assets }`, `assets` being the
+// embedded logo entries for importEmbeddedAssets. Throws ProjectFormatError
+// with the problems found.
+export function parseBrandKit(input) {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch (err) {
+      throw new ProjectFormatError(`File brand kit bukan JSON yang valid: ${err.message}`);
+    }
+  }
+  if (!isObject(doc) || doc.format !== BRAND_KIT_FORMAT) {
+    throw new ProjectFormatError(`Bukan file brand kit (format harus "${BRAND_KIT_FORMAT}").`);
+  }
+  if (doc.version > BRAND_KIT_VERSION) {
+    throw new ProjectFormatError(`File brand kit versi ${doc.version} dibuat oleh editor yang lebih baru (didukung hingga versi ${BRAND_KIT_VERSION}).`);
+  }
+  const kit = withRoleDefaults(doc.kit);
+  const errors = [];
+  validateKit(kit, errors);
+  const assets = doc.assets === undefined ? [] : doc.assets;
+  if (!Array.isArray(assets) || !assets.every(a => isObject(a) && typeof a.id === 'string' && typeof a.src === 'string' && a.src.startsWith('data:'))) {
+    errors.push('assets harus berupa array { id, src } dengan data URL');
+  } else if (kit?.logo && !assets.some(a => a.id === kit.logo.asset)) {
+    errors.push('logo brand kit tidak disertakan di assets');
+  }
+  if (errors.length) throw new ProjectFormatError('File brand kit tidak valid:', errors);
+  return { kit: { ...kit, logo: kit.logo || null }, assets };
+}
+
+// The kit's entry for a built-in font family, or a new one for an uploaded
+// project font.
+export function brandFont(family, projectFonts) {
+  const uploaded = projectFonts.find(f => f.family === family);
+  if (uploaded) return { family, stack: fontStack(family), format: uploaded.format, src: uploaded.src };
+  const builtin = BUILTIN_FONTS.find(f => f.family === family);
+  return { family, stack: builtin ? builtin.stack : fontStack(family) };
+}
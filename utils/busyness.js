@@ -0,0 +1,126 @@
+import { rectsIntersect } from './geometry';
+import { paintOverlays } from './overlays';
+
+// How busy the background is, as a coarse grid over the frame. Each cell
+// holds the mean edge strength (Sobel magnitude of luminance) of the pixels
+// in it, scaled to 0 (flat) .. 1 (dense detail: faces, foliage, text). It
+// is built from the background as drawn, photo adjustments and overlay
+// included, so darkening the photo also calms it.
+
+const SAMPLE_WIDTH = 160;
+const CELL = 8; // sample pixels per cell side
+const EDGE_SCALE = 90; // mean Sobel magnitude that counts as fully busy
+
+export const BUSY_THRESHOLD = 0.45;
+
+// Draws the background (`bitmap` from renderBackground placed at `rect`,
+// then the flat and gradient overlays) into a small canvas with the frame's
+// aspect and returns its pixels. Browser only.
+export function sampleBackground(bitmap, rect, settings, frame) {
+  const s = SAMPLE_WIDTH / frame.width;
+  const canvas = document.createElement('canvas');
+  canvas.width = SAMPLE_WIDTH;
+  canvas.height = Math.max(CELL, Math.round(frame.height * s));
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = settings.bgColor;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(bitmap, rect.x * s, rect.y * s, rect.width * s, rect.height * s);
+  ctx.globalAlpha = settings.overlayAlpha || 0;
+  ctx.fillStyle = settings.overlay;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.globalAlpha = 1;
+  paintOverlays(ctx, settings.overlays, frame, s);
+  return { data: ctx.getImageData(0, 0, canvas.width, canvas.height).data, width: canvas.width, height: canvas.height };
+}
+
+// `{ cols, rows, cells, frame }` from RGBA `data` of `width` x `height`
+// covering `frame`; cells are row-major.
+export function busynessMap({ data, width, height }, frame) {
+  const lum = new Float32Array(width * height);
+  for (let i = 0; i < lum.length; i++) {
+    lum[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  const cols = Math.max(1, Math.floor(width / CELL));
+  const rows = Math.max(1, Math.floor(height / CELL));
+  const sums = new Float32Array(cols * rows);
+  const counts = new Uint32Array(cols * rows);
+  const at = (x, y) => lum[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const gx = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+      const gy = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+      const c = Math.min(rows - 1, Math.floor(y / CELL)) * cols + Math.min(cols - 1, Math.floor(x / CELL));
+      sums[c] += Math.hypot(gx, gy);
+      counts[c]++;
+    }
+  }
+  const cells = new Float32Array(cols * rows);
+  for (let i = 0; i < cells.length; i++) cells[i] = Math.min(1, sums[i] / Math.max(1, counts[i]) / EDGE_SCALE);
+  return { cols, rows, cells, frame: { width: frame.width, height: frame.height } };
+}
+
+// Area-weighted mean busyness of `rect` (frame pixels); 0 outside the frame.
+export function regionBusyness(map, rect) {
+  const cw = map.frame.width / map.cols;
+  const ch = map.frame.height / map.rows;
+  let total = 0;
+  let area = 0;
+  const c0 = Math.max(0, Math.floor(rect.x / cw));
+  const c1 = Math.min(map.cols - 1, Math.floor((rect.x + rect.width) / cw));
+  const r0 = Math.max(0, Math.floor(rect.y / ch));
+  const r1 = Math.min(map.rows - 1, Math.floor((rect.y + rect.height) / ch));
+  for (let r = r0; r <= r1; r++) {
+    for (let c = c0; c <= c1; c++) {
+      const w = Math.min(rect.x + rect.width, (c + 1) * cw) - Math.max(rect.x, c * cw);
+      const h = Math.min(rect.y + rect.height, (r + 1) * ch) - Math.max(rect.y, r * ch);
+      if (w <= 0 || h <= 0) continue;
+      total += map.cells[r * map.cols + c] * w * h;
+      area += w * h;
+    }
+  }
+  return area ? total / area : 0;
+}
+
+// Text box sizes tried by findCalmPlacement, as fractions of the frame.
+const BOX_SIZES = [
+  { width: 0.62, height: 0.3 },
+  { width: 0.5, height: 0.34 },
+  { width: 0.5, height: 0.24 },
+  { width: 0.4, height: 0.3 }
+];
+
+// Positions along one axis that line a box of `size` up with the thirds:
+// its start at the margin or an edge on a third line, centered on a third,
+// or its end at the margin.
+function thirdsAnchors(length, size, margin) {
+  const t1 = length / 3;
+  const t2 = (length * 2) / 3;
+  return [margin, t1 - size / 2, t2 - size / 2, t1, t2 - size, length - margin - size]
+    .filter(v => v >= margin - 1e-6 && v + size <= length - margin + 1e-6);
+}
+
+// The calmest box for text: candidates of each size in `sizes` (frame
+// pixels; default BOX_SIZES of the frame) anchored on the rule-of-thirds
+// lines, skipping any that touch `avoid` (safe zones). Bigger boxes win
+// ties. Returns `{ x, y, width, height, busyness }` or null.
+export function findCalmPlacement(map, { sizes, avoid = [] } = {}) {
+  const { width: fw, height: fh } = map.frame;
+  const margin = Math.round(Math.min(fw, fh) * 0.04);
+  const boxes = sizes || BOX_SIZES.map(s => ({ width: Math.round(fw * s.width), height: Math.round(fh * s.height) }));
+  let best = null;
+  for (const size of boxes) {
+    const sizeBonus = ((size.width * size.height) / (fw * fh)) * 0.15;
+    for (const x of thirdsAnchors(fw, size.width, margin)) {
+      for (const y of thirdsAnchors(fh, size.height, margin)) {
+        const rect = { x, y, width: size.width, height: size.height };
+        if (avoid.some(z => rectsIntersect(rect, z))) continue;
+        const busyness = regionBusyness(map, rect);
+        const score = busyness - sizeBonus;
+        if (!best || score < best.score) best = { ...rect, busyness, score };
+      }
+    }
+  }
+  if (!best) return null;
+  const { score: _score, ...placement } = best;
+  return placement;
+}
@@ -0,0 +1,86 @@
+export function relativeLuminance([r, g, b]) {
+  const srgb = [r, g, b].map(v => {
+    v /= 255;
+    return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * srgb[0] + 0.7152 * srgb[1] + 0.0722 * srgb[2];
+}
+
+export function getContrastRatio(rgb1, rgb2) {
+  const L1 = relativeLuminance(rgb1);
+  const L2 = relativeLuminance(rgb2);
+  const bright = Math.max(L1, L2);
+  const dark = Math.min(L1, L2);
+  return (bright + 0.05) / (dark + 0.05);
+}
+
+export function hexToRgb(hex) {
+  let h = hex.replace('#', '');
+  if (h.length === 3) h = h.split('').map(x => x + x).join('');
+  const bigint = parseInt(h, 16);
+  return [ (bigint >> 16) & 255, (bigint >> 8) & 255, bigint & 255 ];
+}
+
+// CSS rgba() for a hex color and an alpha clamped to 0..1.
+export function rgba(color, alpha) {
+  const [r, g, b] = hexToRgb(color || '#000000');
+  return `rgba(${r},${g},${b},${Math.max(0, Math.min(1, alpha ?? 1))})`;
+}
+
+export function avgImageColor(img) {
+  try {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const w = 64, h = 36;
+    canvas.width = w; canvas.height = h;
+    ctx.drawImage(img, 0, 0, w, h);
+    const { data } = ctx.getImageData(0, 0, w, h);
+    let r = 0, g = 0, b = 0, count = 0;
+    for (let i = 0; i < data.length; i += 4) {
+      r += data[i]; g += data[i + 1]; b += data[i + 2]; count++;
+    }
+    return [Math.round(r / count), Math.round(g / count), Math.round(b / count)];
+  } catch {
+    return [20, 20, 20];
+  }
+}
+
+export function rgbToHex([r, g, b]) {
+  return '#' + [r, g, b].map(v => Math.round(Math.max(0, Math.min(255, v))).toString(16).padStart(2, '0')).join('');
+}
+
+// h in degrees, s and l 0..1
+export function rgbToHsl([r, g, b]) {
+  r /= 255; g /= 255; b /= 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return [0, 0, l];
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return [h * 60, s, l];
+}
+
+export function hslToRgb([h, s, l]) {
+  const k = n => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+  return [f(0), f(8), f(4)].map(v => Math.round(v * 255));
+}
+
+// RGBA pixels of `img` scaled to at most `maxSide` on its longer side.
+export function imagePixels(img, maxSide = 96) {
+  const iw = img.naturalWidth || img.width;
+  const ih = img.naturalHeight || img.height;
+  const s = Math.min(1, maxSide / Math.max(iw, ih));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(iw * s));
+  canvas.height = Math.max(1, Math.round(ih * s));
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+}
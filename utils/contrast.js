@@ -0,0 +1,175 @@
+import { getContrastRatio, hexToRgb, relativeLuminance } from './color';
+import { flattenElements } from './geometry';
+
+// Measures how readable each text element is against what is actually drawn
+// behind it: background photo, overlay and every element lower in the stack.
+//
+// For each text node we render its glyphs alone (no outline, shadow or
+// highlight boxes) to get a mask that also carries each pixel's fill color, so
+// per-word colors and gradients are compared as drawn. Then the content layer
+// is rendered with everything above the text and its glyphs hidden (highlight
+// boxes stay, they are what those words sit on), and each glyph pixel is
+// compared with the backdrop under it. The 10th percentile is used so a bright
+// patch behind part of a word counts even if the rest is dark.
+//
+// An outline (the text's own or from its effects stack) or a shadow puts its
+// own color between fill and backdrop; when it is thick enough to read as an
+// edge the fill/outline contrast counts too.
+// `effective` is the best of those, which is what the score uses.
+
+const SAMPLE_SCALE = 0.5;
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+// Colors at the 10th and 90th percentile of luminance among `pixels`. A
+// color that reaches a ratio against both reaches it against all but the
+// extreme tenth of the backdrop, the same allowance the score makes.
+function luminanceRange(pixels) {
+  const sorted = pixels.map(px => [relativeLuminance(px), px]).sort((a, b) => a[0] - b[0]);
+  return [percentile(sorted, 0.1)[1], percentile(sorted, 0.9)[1]];
+}
+
+function outlineWeight(width, el) {
+  return Math.min(1, (width || 0) / Math.max(1, (el.fontSize || 100) * 0.06));
+}
+
+function shadowWeight(opacity, blur) {
+  return Math.min(1, (opacity ?? 1) * (blur || 0) / 20) * 0.5;
+}
+
+// `[color, weight]` for everything drawn right around the glyphs: the text's
+// own outline, then effects not already covered by an outline.
+function edgeColors(el) {
+  const out = [];
+  if (el.stroke) out.push([el.stroke, outlineWeight(el.strokeWidth, el)]);
+  let wrapped = !!el.stroke && el.strokeWidth > 0;
+  for (const fx of el.effects || []) {
+    if (fx.type === 'stroke') {
+      if (!wrapped) out.push([fx.color, outlineWeight(fx.width, el)]);
+      wrapped = wrapped || fx.width > 0;
+    } else if ((fx.type === 'shadow' || fx.type === 'glow') && !wrapped) {
+      out.push([fx.color, shadowWeight(fx.opacity, fx.blur)]);
+    }
+  }
+  return out;
+}
+
+export function effectiveContrast(el, fillVsBg) {
+  const fill = hexToRgb(el.fill || '#ffffff');
+  let effective = fillVsBg;
+  for (const [color, w] of edgeColors(el)) {
+    if (w <= 0) continue;
+    const fillVsEdge = getContrastRatio(fill, hexToRgb(color));
+    effective = Math.max(effective, fillVsBg + (fillVsEdge - fillVsBg) * w);
+  }
+  return effective;
+}
+
+// `stage` is the Konva stage, `layer` the layer holding background and
+// elements (no guides), `elements` the document's top-level elements in
+// back-to-front order; text inside groups is measured too. Returns
+// `{ [id]: { fillVsBg, effective, backdrop, backdropRange, rect } }` where
+// `backdrop` is the average color behind the glyphs, `backdropRange` its
+// darkest and lightest (see luminanceRange) and `rect` is in frame
+// coordinates for highlighting.
+export function measureTextContrast(stage, layer, elements) {
+  const report = {};
+  const scale = stage.scaleX() || 1;
+  const pixelRatio = SAMPLE_SCALE / scale;
+  const leaves = flattenElements(elements);
+  leaves.forEach((el, index) => {
+    if (el.type !== 'text' || el.hidden || !(el.text || '').trim()) return;
+    const node = stage.findOne(`#node-${el.id}`);
+    if (!node) return;
+    const box = node.getClientRect({ skipShadow: true });
+    if (box.width < 1 || box.height < 1) return;
+    const area = { x: box.x, y: box.y, width: box.width, height: box.height, pixelRatio };
+
+    const glyphs = node.find('Text');
+    const boxes = node.find('Rect').filter(n => n.visible());
+    const saved = glyphs.map(t => t.strokeEnabled());
+    let mask;
+    glyphs.forEach(t => t.strokeEnabled(false));
+    boxes.forEach(n => n.visible(false));
+    try {
+      mask = node.toCanvas(area);
+    } finally {
+      glyphs.forEach((t, i) => t.strokeEnabled(saved[i]));
+      boxes.forEach(n => n.visible(true));
+    }
+
+    const hidden = [
+      ...leaves.slice(index + 1).map(e => stage.findOne(`#node-${e.id}`)),
+      ...glyphs
+    ].filter(n => n && n.visible());
+    hidden.forEach(n => n.visible(false));
+    let backdrop;
+    try {
+      backdrop = layer.toCanvas(area);
+    } finally {
+      hidden.forEach(n => n.visible(true));
+    }
+
+    const w = Math.min(mask.width, backdrop.width);
+    const h = Math.min(mask.height, backdrop.height);
+    if (!w || !h) return;
+    const m = mask.getContext('2d').getImageData(0, 0, w, h).data;
+    const b = backdrop.getContext('2d').getImageData(0, 0, w, h).data;
+    const ratios = [];
+    const pixels = [];
+    let r = 0, g = 0, bl = 0;
+    for (let i = 0; i < m.length; i += 4) {
+      if (m[i + 3] < 128) continue;
+      const px = [b[i], b[i + 1], b[i + 2]];
+      ratios.push(getContrastRatio([m[i], m[i + 1], m[i + 2]], px));
+      pixels.push(px);
+      r += px[0]; g += px[1]; bl += px[2];
+    }
+    if (!ratios.length) return;
+    ratios.sort((x, y) => x - y);
+    const fillVsBg = percentile(ratios, 0.1);
+    const n = ratios.length;
+    report[el.id] = {
+      fillVsBg,
+      effective: effectiveContrast(el, fillVsBg),
+      backdrop: [Math.round(r / n), Math.round(g / n), Math.round(bl / n)],
+      backdropRange: luminanceRange(pixels),
+      rect: node.getClientRect({ relativeTo: stage, skipShadow: true })
+    };
+  });
+  return report;
+}
+
+// `{ color, range }` drawn behind element `id` (background, overlay and the
+// elements below it) across its bounding box: the average color and the
+// darkest and lightest (see luminanceRange). Used for color suggestions on
+// shapes, which have no glyph mask to sample through.
+export function measureBackdrop(stage, layer, elements, id) {
+  const index = elements.findIndex(e => e.id === id);
+  const node = stage.findOne(`#node-${id}`);
+  if (index < 0 || !node) return null;
+  const box = node.getClientRect({ skipShadow: true });
+  if (box.width < 1 || box.height < 1) return null;
+  const pixelRatio = SAMPLE_SCALE / (stage.scaleX() || 1);
+  const hidden = elements.slice(index).map(e => stage.findOne(`#node-${e.id}`)).filter(n => n && n.visible());
+  hidden.forEach(n => n.visible(false));
+  let canvas;
+  try {
+    canvas = layer.toCanvas({ x: box.x, y: box.y, width: box.width, height: box.height, pixelRatio });
+  } finally {
+    hidden.forEach(n => n.visible(true));
+  }
+  if (!canvas.width || !canvas.height) return null;
+  const data = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+  const pixels = [];
+  let r = 0, g = 0, b = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    pixels.push([data[i], data[i + 1], data[i + 2]]);
+    r += data[i]; g += data[i + 1]; b += data[i + 2];
+  }
+  const n = pixels.length;
+  return { color: [Math.round(r / n), Math.round(g / n), Math.round(b / n)], range: luminanceRange(pixels) };
+}
@@ -0,0 +1,47 @@
+// RFC 4180 CSV parsing: quoted fields, doubled quotes, newlines inside quotes,
+// CRLF and a UTF-8 BOM. The delimiter is guessed from the header line so
+// spreadsheets saved with ";" (common with Indonesian locale settings) work.
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+export function parseCsvRows(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// Header row becomes the keys. Returns `{ headers, rows }` with each row an
+// object keyed by (trimmed) header name.
+export function parseCsv(text) {
+  const clean = text.replace(/^﻿/, '');
+  const [head = [], ...body] = parseCsvRows(clean);
+  const headers = head.map(h => h.trim());
+  const rows = body.map(cells => Object.fromEntries(headers.map((h, i) => [h, (cells[i] ?? '').trim()])));
+  return { headers, rows };
+}
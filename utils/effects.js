@@ -0,0 +1,305 @@
+// Effects stacked on an element. `el.effects` is a list, nearest the
+// element first:
+//
+//   { id, type: 'shadow', color, opacity, blur, offsetX, offsetY }
+//   { id, type: 'glow', color, opacity, blur, spread }
+//   { id, type: 'stroke', color, width }
+//   { id, type: 'innerShadow', color, opacity, blur, offsetX, offsetY }
+//
+// Each stroke wraps the element and the strokes listed before it, so two in
+// a row make a double outline, and a shadow or glow is cast by the element
+// together with the strokes listed before it. Sizes are frame pixels.
+//
+// Everything is drawn from the element's silhouette: its node drawn into a
+// scratch canvas and flattened to one color. Two
+// listening-off shapes do the drawing, one right before the node (shadows,
+// glows, strokes) and one right after it (inner shadows). They find the node
+// by id when they draw, so they follow drags and transforms live, and the
+// editor and the headless renderer draw the same thing.
+
+import { rgba } from './color';
+
+export const EFFECT_TYPES = ['shadow', 'glow', 'stroke', 'innerShadow'];
+
+// Bodies drawn this far left of the canvas leave only their shadow on it.
+const SHIFT = 20000;
+
+export function createEffect(type, id) {
+  if (type === 'shadow') return { id, type, color: '#000000', opacity: 0.6, blur: 16, offsetX: 10, offsetY: 10 };
+  if (type === 'glow') return { id, type, color: '#ffe14d', opacity: 0.9, blur: 30, spread: 4 };
+  if (type === 'stroke') return { id, type, color: '#000000', width: 10 };
+  return { id, type: 'innerShadow', color: '#000000', opacity: 0.5, blur: 10, offsetX: 6, offsetY: 6 };
+}
+
+// The effects drawn behind the element, bottom first, each with how far
+// the silhouette grows for it (strokes listed before it plus its own width
+// or spread), and the inner shadows drawn over it.
+export function effectPasses(effects = []) {
+  const behind = [];
+  let wrapped = 0;
+  for (const fx of effects) {
+    if (fx.type === 'stroke') {
+      wrapped += Math.max(0, fx.width || 0);
+      behind.push({ fx, grow: wrapped });
+    } else if (fx.type === 'glow') {
+      behind.push({ fx, grow: wrapped + Math.max(0, fx.spread || 0) });
+    } else if (fx.type === 'shadow') {
+      behind.push({ fx, grow: wrapped });
+    }
+  }
+  return { behind: behind.reverse(), above: effects.filter(fx => fx.type === 'innerShadow') };
+}
+
+// Stamp offsets (canvas units) that grow a silhouette by `radius`: the
+// center plus rings a few device pixels apart.
+export function growOffsets(radius, pixelRatio) {
+  const out = [[0, 0]];
+  const r = radius * pixelRatio;
+  if (r <= 0) return out;
+  const rings = Math.ceil(r / 8);
+  for (let i = 1; i <= rings; i++) {
+    const ring = (r * i) / rings;
+    const n = Math.max(8, Math.min(96, Math.ceil(Math.PI * ring)));
+    for (let j = 0; j < n; j++) {
+      const a = (j / n) * Math.PI * 2;
+      out.push([(Math.cos(a) * ring) / pixelRatio, (Math.sin(a) * ring) / pixelRatio]);
+    }
+  }
+  return out;
+}
+
+// A blank canvas of `width` x `height` canvas units at `pixelRatio`, with
+// its 2D context scaled to those units.
+function scratchCanvas(Konva, width, height, pixelRatio) {
+  const canvas = Konva.Util.createCanvasElement();
+  canvas.width = Math.max(1, Math.round(width * pixelRatio));
+  canvas.height = Math.max(1, Math.round(height * pixelRatio));
+  const ctx = canvas.getContext('2d');
+  ctx.scale(pixelRatio, pixelRatio);
+  return { canvas, ctx };
+}
+
+// Sets a context attribute on a Konva context or a plain 2D one.
+function setAttr(ctx, key, value) {
+  if (ctx.setAttr) ctx.setAttr(key, value);
+  else ctx[key] = value;
+}
+
+// `node` drawn alone and flattened to black, as `{ image, x, y, width,
+// height }` in the coordinates of the canvas being drawn.
+function silhouette(node, pixelRatio) {
+  const box = node.getClientRect({ skipShadow: true });
+  const x = Math.floor(box.x) - 1;
+  const y = Math.floor(box.y) - 1;
+  const width = Math.ceil(box.x + box.width) + 1 - x;
+  const height = Math.ceil(box.y + box.height) + 1 - y;
+  if (!(width > 2 && height > 2)) return null;
+  const image = node.toCanvas({ x, y, width, height, pixelRatio });
+  const ctx = image.getContext('2d');
+  ctx.globalCompositeOperation = 'source-in';
+  ctx.fillStyle = '#000000';
+  ctx.fillRect(0, 0, image.width, image.height);
+  return { image, x, y, width, height };
+}
+
+// `sil` grown by `radius` and filled with `color`.
+function grown(Konva, sil, radius, color, pixelRatio) {
+  const pad = Math.ceil(radius);
+  const width = sil.width + pad * 2;
+  const height = sil.height + pad * 2;
+  const { canvas, ctx } = scratchCanvas(Konva, width, height, pixelRatio);
+  for (const [dx, dy] of growOffsets(radius, pixelRatio)) ctx.drawImage(sil.image, pad + dx, pad + dy, sil.width, sil.height);
+  ctx.globalCompositeOperation = 'source-in';
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, width, height);
+  return { image: canvas, x: sil.x - pad, y: sil.y - pad, width, height };
+}
+
+// Attribute values compare by identity, except arrays and plain objects
+// (points, dashes, gradient stops), which the editor rebuilds on every
+// render and are compared one level deep.
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  const plain = v => Array.isArray(v) || Object.getPrototypeOf(v) === Object.prototype;
+  if (!plain(a) || !plain(b) || Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(k => a[k] === b[k]);
+}
+
+// Whether `attrs` match the `saved` copy, leaving out `skip`. A custom
+// shape whose draw function is rebuilt every render names what it draws
+// from in a `sceneKey` attribute, which then stands in for the function.
+function keyedAttrs(attrs, skip) {
+  return Object.keys(attrs).filter(k => !skip.includes(k) && !(k === 'sceneFunc' && 'sceneKey' in attrs));
+}
+
+function sameAttrs(attrs, saved, skip) {
+  const keys = keyedAttrs(attrs, skip);
+  return keys.length === keyedAttrs(saved, skip).length && keys.every(k => k in saved && sameValue(attrs[k], saved[k]));
+}
+
+// What a node's silhouette depends on besides where it is: its attributes
+// (its own position aside) and its children's, the rotation and scale it
+// is drawn at, and the pixel ratio.
+function silhouetteKey(node, pixelRatio) {
+  const m = node.getAbsoluteTransform().getMatrix();
+  const nodes = [node, ...(node.find ? node.find(() => true) : [])];
+  return { nodes, attrs: nodes.map(n => ({ ...n.attrs })), matrix: [m[0], m[1], m[2], m[3]], pixelRatio };
+}
+
+function keyMatches(key, node, pixelRatio) {
+  const m = node.getAbsoluteTransform().getMatrix();
+  if (key.pixelRatio !== pixelRatio || key.matrix.some((v, i) => v !== m[i])) return false;
+  const nodes = [node, ...(node.find ? node.find(() => true) : [])];
+  return nodes.length === key.nodes.length
+    && nodes.every((n, i) => n === key.nodes[i] && sameAttrs(n.attrs, key.attrs[i], i ? [] : ['x', 'y']));
+}
+
+// Silhouettes and their grown layers per node, shared by both effect shapes
+// and redrawn only when the key changes; moving the node just moves them.
+const cache = new WeakMap();
+
+function cachedLayers(Konva, node, pixelRatio) {
+  const [, , , , tx, ty] = node.getAbsoluteTransform().getMatrix();
+  let entry = cache.get(node);
+  if (!entry || !keyMatches(entry.key, node, pixelRatio)) {
+    entry = { key: silhouetteKey(node, pixelRatio), tx, ty, sil: silhouette(node, pixelRatio), grown: new Map() };
+    cache.set(node, entry);
+  }
+  const dx = tx - entry.tx;
+  const dy = ty - entry.ty;
+  const moved = layer => ({ ...layer, x: layer.x + dx, y: layer.y + dy });
+  return {
+    sil: entry.sil && moved(entry.sil),
+    grown(radius, color) {
+      const id = `${radius}\u0000${color}`;
+      if (!entry.grown.has(id)) entry.grown.set(id, grown(Konva, entry.sil, radius, color, pixelRatio));
+      return moved(entry.grown.get(id));
+    }
+  };
+}
+
+// Draws `layer` shifted off the canvas so only its shadow, moved back by
+// the shift plus the effect's offset, lands. `k` is device pixels per frame
+// pixel; canvas shadow sizes ignore the transform.
+function castShadow(ctx, layer, fx, k, pixelRatio, color) {
+  ctx.save();
+  setAttr(ctx, 'shadowColor', color);
+  setAttr(ctx, 'shadowBlur', Math.max(0, fx.blur || 0) * k);
+  setAttr(ctx, 'shadowOffsetX', SHIFT * pixelRatio + (fx.offsetX || 0) * k);
+  setAttr(ctx, 'shadowOffsetY', (fx.offsetY || 0) * k);
+  ctx.drawImage(layer.image, layer.x - SHIFT, layer.y, layer.width, layer.height);
+  ctx.restore();
+}
+
+// sceneFunc for the shape holding the effects of the element whose node has
+// id `nodeId`. `pass` is 'behind' (the shape sits right before the node) or
+// 'above' (right after it). Konva is passed in for its canvases.
+export function effectsSceneFunc(Konva, effects, pass, nodeId) {
+  const { behind, above } = effectPasses(effects);
+  return (context, shape) => {
+    const list = pass === 'behind' ? behind : above;
+    const parent = shape.getParent();
+    const node = parent && parent.getChildren(n => n.id() === nodeId)[0];
+    if (!list.length || !node || !node.isVisible()) return;
+    const pixelRatio = context.canvas.getPixelRatio();
+    const k = shape.getAbsoluteScale().x * pixelRatio;
+    // back to the canvas' own coordinates, where the client rects live
+    const m = shape.getAbsoluteTransform().copy().invert().getMatrix();
+    context.transform(m[0], m[1], m[2], m[3], m[4], m[5]);
+    const layers = cachedLayers(Konva, node, pixelRatio);
+    const { sil } = layers;
+    if (!sil) return;
+    const perFrame = k / pixelRatio; // canvas units per frame pixel
+
+    if (pass === 'behind') {
+      for (const { fx, grow } of list) {
+        const layer = grow > 0 ? layers.grown(grow * perFrame, fx.type === 'stroke' ? fx.color : '#000000') : sil;
+        if (fx.type === 'stroke') {
+          if (grow > 0) context.drawImage(layer.image, layer.x, layer.y, layer.width, layer.height);
+        } else {
+          const glow = fx.type === 'glow' ? { ...fx, offsetX: 0, offsetY: 0 } : fx;
+          castShadow(context, layer, glow, k, pixelRatio, rgba(fx.color, fx.opacity ?? 1));
+        }
+      }
+      return;
+    }
+
+    for (const fx of list) {
+      const { canvas, ctx } = scratchCanvas(Konva, sil.width, sil.height, pixelRatio);
+      ctx.drawImage(sil.image, 0, 0, sil.width, sil.height);
+      ctx.globalCompositeOperation = 'source-in';
+      ctx.fillStyle = fx.color || '#000000';
+      ctx.fillRect(0, 0, sil.width, sil.height);
+      ctx.globalCompositeOperation = 'destination-out';
+      castShadow(ctx, { ...sil, x: 0, y: 0 }, fx, k, pixelRatio, '#000000');
+      context.save();
+      context.setAttr('globalAlpha', Math.max(0, Math.min(1, fx.opacity ?? 1)));
+      context.drawImage(canvas, sil.x, sil.y, sil.width, sil.height);
+      context.restore();
+    }
+  };
+}
+
+// Attributes of the effect shapes themselves; they have no box of their own.
+export function effectShapeAttrs() {
+  return { listening: false, perfectDrawEnabled: false };
+}
+
+// Before the effects stack, text and image elements had one drop shadow in
+// Konva's own fields. It becomes the first effect (cast by the element alone,
+// right under it), so it looks the same and is edited where the others are.
+const LEGACY_SHADOW_KEYS = ['shadowColor', 'shadowBlur', 'shadowOpacity', 'shadowOffsetX', 'shadowOffsetY', 'shadowEnabled'];
+
+export function moveLegacyShadow(el) {
+  if (!el || typeof el !== 'object') return el;
+  let out = el;
+  if (el.type === 'group' && Array.isArray(el.children)) out = { ...el, children: el.children.map(moveLegacyShadow) };
+  if (!LEGACY_SHADOW_KEYS.some(k => k in el)) return out;
+  out = { ...out };
+  for (const k of LEGACY_SHADOW_KEYS) delete out[k];
+  // Konva draws a shadow at full opacity unless told otherwise; images only
+  // turned theirs on with an opacity
+  const shadow = {
+    id: 'bayangan',
+    type: 'shadow',
+    color: el.shadowColor || '#000000',
+    opacity: el.shadowOpacity ?? (el.type === 'image' ? 0 : 1),
+    blur: el.shadowBlur || 0,
+    offsetX: el.shadowOffsetX || 0,
+    offsetY: el.shadowOffsetY || 0
+  };
+  const visible = el.shadowEnabled !== false && shadow.opacity > 0 && (shadow.blur > 0 || shadow.offsetX || shadow.offsetY);
+  // a malformed effects value is left for validation to report
+  if (visible && (el.effects === undefined || Array.isArray(el.effects))) out.effects = [shadow, ...(el.effects || [])];
+  return out;
+}
+
+// Effect sizes scaled with the element, for scaleElement.
+export function scaleEffects(effects, s) {
+  return effects.map(fx => {
+    const out = { ...fx };
+    for (const key of ['blur', 'offsetX', 'offsetY', 'width', 'spread']) {
+      if (typeof fx[key] === 'number') out[key] = fx[key] * s;
+    }
+    return out;
+  });
+}
+
+// Problems with an element's effects value, for project validation.
+export function validateEffects(list, at, errors) {
+  if (!Array.isArray(list)) {
+    errors.push(`${at} harus berupa array`);
+    return;
+  }
+  list.forEach((fx, i) => {
+    const here = `${at}[${i}]`;
+    if (!fx || typeof fx !== 'object') { errors.push(`${here} harus berupa objek`); return; }
+    if (!EFFECT_TYPES.includes(fx.type)) errors.push(`${here}.type "${fx.type}" tidak dikenal`);
+    if (typeof fx.color !== 'string') errors.push(`${here}.color harus berupa warna`);
+    for (const key of ['opacity', 'blur', 'offsetX', 'offsetY', 'width', 'spread']) {
+      if (fx[key] !== undefined && !Number.isFinite(fx[key])) errors.push(`${here}.${key} harus berupa angka`);
+    }
+  });
+}
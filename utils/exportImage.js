@@ -0,0 +1,47 @@
+// Encoding the rendered frame for download.
+
+export const EXPORT_FORMATS = [
+  { id: 'png', label: 'PNG', mime: 'image/png', ext: 'png', lossy: false },
+  { id: 'jpeg', label: 'JPEG', mime: 'image/jpeg', ext: 'jpg', lossy: true },
+  { id: 'webp', label: 'WebP', mime: 'image/webp', ext: 'webp', lossy: true }
+];
+
+// YouTube rejects custom thumbnails over 2 MB.
+export const YOUTUBE_MAX_BYTES = 2 * 1024 * 1024;
+
+export function canvasToBlob(canvas, mime, quality) {
+  return new Promise(resolve => canvas.toBlob(resolve, mime, quality));
+}
+
+// Highest quality whose file fits in `maxBytes`, by bisection. PNG has no
+// quality knob, so it is encoded once and reported as is. `fits` is false
+// when even `minQuality` is too big. A browser without the encoder returns
+// a PNG; callers can compare `blob.type` with the format's mime.
+export async function encodeWithinSize(canvas, format, maxBytes, { minQuality = 0.3, maxQuality = 0.95, steps = 7 } = {}) {
+  if (!format.lossy) {
+    const blob = await canvasToBlob(canvas, format.mime);
+    return { blob, quality: null, fits: !!blob && blob.size <= maxBytes };
+  }
+  const top = await canvasToBlob(canvas, format.mime, maxQuality);
+  if (!top || top.size <= maxBytes) return { blob: top, quality: maxQuality, fits: !!top };
+
+  let lo = minQuality;
+  let hi = maxQuality;
+  let best = null;
+  for (let i = 0; i < steps; i++) {
+    const q = (lo + hi) / 2;
+    const blob = await canvasToBlob(canvas, format.mime, q);
+    if (blob && blob.size <= maxBytes) { best = { blob, quality: q }; lo = q; }
+    else hi = q;
+  }
+  if (best) return { ...best, fits: true };
+  const smallest = await canvasToBlob(canvas, format.mime, minQuality);
+  return { blob: smallest, quality: minQuality, fits: !!smallest && smallest.size <= maxBytes };
+}
+
+export function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(0)} KB`;
+  if (n < 1024 * 1024 * 1024) return `${(n / 1024 / 1024).toFixed(2)} MB`;
+  return `${(n / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
@@ -0,0 +1,90 @@
+import { defaultMeasurer } from './richText';
+
+// Fonts for text elements. Built-in entries are font stacks the browser
+// resolves itself; uploaded fonts are embedded in the project as data URLs
+// (`{ family, format, src }`) and registered with the page through FontFace.
+
+export const DEFAULT_FONT_STACK = 'Impact, Anton, Arial Black, sans-serif';
+
+export const BUILTIN_FONTS = [
+  { family: 'Impact', stack: DEFAULT_FONT_STACK },
+  { family: 'Arial Black', stack: '"Arial Black", Arial, sans-serif' },
+  { family: 'Arial', stack: 'Arial, Helvetica, sans-serif' },
+  { family: 'Verdana', stack: 'Verdana, sans-serif' },
+  { family: 'Trebuchet MS', stack: '"Trebuchet MS", sans-serif' },
+  { family: 'Georgia', stack: 'Georgia, serif' },
+  { family: 'Comic Sans MS', stack: '"Comic Sans MS", cursive' },
+  { family: 'Courier New', stack: '"Courier New", monospace' }
+];
+
+export const FONT_FORMATS = { ttf: 'truetype', otf: 'opentype', woff: 'woff', woff2: 'woff2' };
+
+export function fontStack(family) {
+  return `"${family}", sans-serif`;
+}
+
+// First family named by a stack, unquoted: the one that should be used.
+export function primaryFamily(stack) {
+  return String(stack || '').split(',')[0].trim().replace(/^["']|["']$/g, '');
+}
+
+// "Bangers-Regular.ttf" -> "Bangers", made unique among `taken`.
+export function familyFromFileName(name, taken) {
+  const base = name.replace(/\.[^.]+$/, '').split('-')[0].replace(/[_]+/g, ' ').trim() || 'Font';
+  let family = base;
+  for (let n = 2; taken.includes(family); n++) family = `${base} ${n}`;
+  return family;
+}
+
+const loaded = new Map();
+
+// Registers each uploaded font with the document once; resolves when all of
+// them can be drawn. A font that fails to decode is skipped; its text falls
+// back to the stack's other fonts.
+export function loadProjectFonts(fonts) {
+  if (typeof document === 'undefined' || !document.fonts) return Promise.resolve();
+  return Promise.all(fonts.map(font => {
+    const key = `${font.family}\u0000${font.src}`;
+    if (!loaded.has(key)) {
+      const face = new FontFace(font.family, `url(${font.src})`);
+      loaded.set(key, face.load().then(f => {
+        document.fonts.add(f);
+        defaultMeasurer().clear();
+      }).catch(() => {}));
+    }
+    return loaded.get(key);
+  }));
+}
+
+function usedFamilies(elements, out = new Set()) {
+  for (const el of elements) {
+    if (el.type === 'text') out.add(primaryFamily(el.fontFamily || 'Arial'));
+    if (el.type === 'badge') out.add('Arial');
+    if (el.type === 'group') usedFamilies(el.children, out);
+  }
+  return out;
+}
+
+// Resolves once every face the elements use has finished loading, so a
+// render never draws (or measures) with a fallback face. Canvas doesn't
+// trigger web-font loads by itself, hence the explicit document.fonts.load.
+export async function whenFontsReady(elements, fonts = []) {
+  if (typeof document === 'undefined' || !document.fonts) return;
+  await loadProjectFonts(fonts);
+  const families = [...usedFamilies(elements)];
+  await Promise.all(families.flatMap(f => ['normal', 'bold'].map(weight => (
+    document.fonts.load(`${weight} 48px "${f}"`).catch(() => [])
+  ))));
+  await document.fonts.ready;
+}
+
+// Whether the browser actually has `family`: text measured in it must
+// differ from the generic fallbacks.
+export function isFontAvailable(family) {
+  if (typeof document === 'undefined') return true;
+  const measure = defaultMeasurer();
+  const sample = 'mmmmmmmmmmlli WW 0123';
+  return ['monospace', 'serif'].some(generic => (
+    measure(sample, `normal normal 48px "${family}", ${generic}`) !== measure(sample, `normal normal 48px ${generic}`)
+  ));
+}
@@ -0,0 +1,65 @@
+// Canvas sizes the editor can design for. The frame is shared by every
+// variant of a project and saved as the document's `canvas`.
+
+export const DEFAULT_CANVAS = { width: 1280, height: 720 };
+
+// `safeZones` are the parts of the frame the platform covers with its own UI,
+// in frame pixels. Zones marked `optional` are only covered some of the time
+// (hover icons, the watch progress bar) and are off unless turned on.
+export const CANVAS_PRESETS = [
+  {
+    id: 'youtube',
+    label: 'Thumbnail YouTube',
+    width: 1280,
+    height: 720,
+    safeZones: [
+      { id: 'duration', x: 1060, y: 620, width: 220, height: 100, label: 'Badge durasi' },
+      { id: 'hover-icons', x: 1150, y: 0, width: 130, height: 250, label: 'Ikon tonton nanti & antrean', optional: true },
+      { id: 'progress', x: 0, y: 692, width: 1280, height: 28, label: 'Progress bar tontonan', optional: true }
+    ]
+  },
+  {
+    id: 'shorts',
+    label: 'Shorts',
+    width: 1080,
+    height: 1920,
+    safeZones: [
+      { id: 'header', x: 0, y: 0, width: 1080, height: 160, label: 'Header' },
+      { id: 'actions', x: 930, y: 760, width: 150, height: 680, label: 'Tombol aksi' },
+      { id: 'caption', x: 0, y: 1440, width: 1080, height: 480, label: 'Judul & channel' }
+    ]
+  },
+  {
+    id: 'square',
+    label: 'Postingan komunitas',
+    width: 1080,
+    height: 1080,
+    safeZones: []
+  }
+];
+
+export function canvasPreset(canvas) {
+  return CANVAS_PRESETS.find(p => p.width === canvas.width && p.height === canvas.height) || null;
+}
+
+// Every zone of the canvas's preset, enabled or not.
+export function allSafeZones(canvas) {
+  return canvasPreset(canvas)?.safeZones || [];
+}
+
+// The zones in effect; `toggles` (`{ [zoneId]: boolean }`, the project's
+// `guides.zones`) overrides each zone's default.
+export function safeZonesFor(canvas, toggles = {}) {
+  return allSafeZones(canvas).filter(z => toggles[z.id] ?? !z.optional);
+}
+
+// Grid cells of roughly 160x180 so the guide density stays the same on
+// portrait and square frames (8x4 on the 1280x720 thumbnail).
+export function gridLines(canvas) {
+  const cols = Math.max(2, Math.round(canvas.width / 160));
+  const rows = Math.max(2, Math.round(canvas.height / 180));
+  return {
+    x: Array.from({ length: cols - 1 }, (_, i) => ((i + 1) * canvas.width) / cols),
+    y: Array.from({ length: rows - 1 }, (_, i) => ((i + 1) * canvas.height) / rows)
+  };
+}
@@ -0,0 +1,165 @@
+// Frame-space geometry for selection, alignment, snapping and groups. Rects
+// are `{ x, y, width, height }` in frame pixels, normally taken from
+// `node.getClientRect({ relativeTo: stage })` so rotation is already included.
+
+import { scaleEffects } from './effects';
+
+export function rectsIntersect(a, b) {
+  return a.x < b.x + b.width && a.x + a.width > b.x && a.y < b.y + b.height && a.y + a.height > b.y;
+}
+
+export function normalizeRect(x1, y1, x2, y2) {
+  return { x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+}
+
+export function unionRect(rects) {
+  const x1 = Math.min(...rects.map(r => r.x));
+  const y1 = Math.min(...rects.map(r => r.y));
+  const x2 = Math.max(...rects.map(r => r.x + r.width));
+  const y2 = Math.max(...rects.map(r => r.y + r.height));
+  return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+}
+
+export const ALIGN_MODES = ['left', 'center', 'right', 'top', 'middle', 'bottom'];
+
+// Offsets that line every rect up against `target` (the canvas or the
+// selection bounds).
+export function alignDeltas(rects, mode, target) {
+  return rects.map(r => {
+    switch (mode) {
+      case 'left': return { dx: target.x - r.x, dy: 0 };
+      case 'center': return { dx: target.x + target.width / 2 - (r.x + r.width / 2), dy: 0 };
+      case 'right': return { dx: target.x + target.width - (r.x + r.width), dy: 0 };
+      case 'top': return { dx: 0, dy: target.y - r.y };
+      case 'middle': return { dx: 0, dy: target.y + target.height / 2 - (r.y + r.height / 2) };
+      case 'bottom': return { dx: 0, dy: target.y + target.height - (r.y + r.height) };
+      default: return { dx: 0, dy: 0 };
+    }
+  });
+}
+
+// Equal gaps between neighbours along `axis` ('x' or 'y'); the outermost two
+// rects stay put. Returned offsets are in the order of `rects`.
+export function distributeDeltas(rects, axis) {
+  const pos = axis === 'x' ? 'x' : 'y';
+  const size = axis === 'x' ? 'width' : 'height';
+  const deltas = rects.map(() => ({ dx: 0, dy: 0 }));
+  if (rects.length < 3) return deltas;
+  const order = rects.map((r, i) => i).sort((a, b) => rects[a][pos] - rects[b][pos]);
+  const first = rects[order[0]];
+  const last = rects[order[order.length - 1]];
+  const span = last[pos] + last[size] - first[pos];
+  const used = rects.reduce((acc, r) => acc + r[size], 0);
+  const gap = (span - used) / (rects.length - 1);
+  let cursor = first[pos];
+  for (const i of order) {
+    const d = cursor - rects[i][pos];
+    deltas[i] = axis === 'x' ? { dx: d, dy: 0 } : { dx: 0, dy: d };
+    cursor += rects[i][size] + gap;
+  }
+  return deltas;
+}
+
+// Snaps a dragged rect's edges and center to the nearest target line on each
+// axis. `targets` is `{ x: number[], y: number[] }` of vertical and horizontal
+// lines. Returns the offset to apply plus the guide lines that matched.
+export function snapRect(rect, targets, threshold) {
+  const xs = [rect.x, rect.x + rect.width / 2, rect.x + rect.width];
+  const ys = [rect.y, rect.y + rect.height / 2, rect.y + rect.height];
+  const best = (edges, lines) => {
+    let hit = null;
+    for (const line of lines) {
+      for (const edge of edges) {
+        const d = line - edge;
+        if (Math.abs(d) <= threshold && (!hit || Math.abs(d) < Math.abs(hit.d))) hit = { d, line };
+      }
+    }
+    return hit;
+  };
+  const sx = best(xs, targets.x);
+  const sy = best(ys, targets.y);
+  return {
+    dx: sx ? sx.d : 0,
+    dy: sy ? sy.d : 0,
+    lines: [
+      ...(sx ? [{ axis: 'x', at: sx.line }] : []),
+      ...(sy ? [{ axis: 'y', at: sy.line }] : [])
+    ]
+  };
+}
+
+// Bakes a scale factor into an element's own size fields, used when the
+// transformer resizes shapes that have no width/height and when a scaled
+// group is taken apart.
+export function scaleElement(el, sx, sy) {
+  const scaled = scaleOwnFields(el, sx, sy);
+  if (!el.effects || el.type === 'group') return scaled;
+  return { ...scaled, effects: scaleEffects(el.effects, (Math.abs(sx) + Math.abs(sy)) / 2) };
+}
+
+function scaleOwnFields(el, sx, sy) {
+  const s = (Math.abs(sx) + Math.abs(sy)) / 2;
+  switch (el.type) {
+    case 'text':
+      return { ...el, width: (el.width || 0) * sx, height: (el.height || 0) * sy, fontSize: Math.max(4, el.fontSize * s), strokeWidth: (el.strokeWidth || 0) * s, letterSpacing: (el.letterSpacing || 0) * s };
+    case 'rect':
+      return { ...el, width: el.width * sx, height: el.height * sy, cornerRadius: (el.cornerRadius || 0) * s };
+    case 'circle':
+      return { ...el, radius: el.radius * s };
+    case 'image':
+      return { ...el, width: el.width * sx, height: el.height * sy, cornerRadius: (el.cornerRadius || 0) * s, stickerWidth: (el.stickerWidth || 0) * s };
+    case 'arrow':
+      return {
+        ...el,
+        points: el.points.map((v, i) => v * (i % 2 === 0 ? sx : sy)),
+        strokeWidth: el.strokeWidth * s,
+        pointerLength: (el.pointerLength || 0) * s,
+        pointerWidth: (el.pointerWidth || 0) * s
+      };
+    case 'line':
+    case 'polygon':
+      return { ...el, points: el.points.map((v, i) => v * (i % 2 === 0 ? sx : sy)), strokeWidth: (el.strokeWidth || 0) * s };
+    case 'bubble':
+      return { ...el, width: el.width * sx, height: el.height * sy, tail: { x: el.tail.x * sx, y: el.tail.y * sy }, strokeWidth: (el.strokeWidth || 0) * s };
+    case 'ring':
+      return { ...el, width: el.width * sx, height: el.height * sy, strokeWidth: (el.strokeWidth || 0) * s };
+    case 'badge':
+      return { ...el, innerRadius: el.innerRadius * s, outerRadius: el.outerRadius * s, textSize: el.textSize * s, strokeWidth: (el.strokeWidth || 0) * s };
+    case 'group':
+      return { ...el, scaleX: (el.scaleX || 1) * sx, scaleY: (el.scaleY || 1) * sy };
+    default:
+      return el;
+  }
+}
+
+function rotatePoint(x, y, deg) {
+  const r = (deg * Math.PI) / 180;
+  return { x: x * Math.cos(r) - y * Math.sin(r), y: x * Math.sin(r) + y * Math.cos(r) };
+}
+
+// Wraps elements in a group whose origin is the top-left of their bounds.
+// Children keep their own rotation and are stored relative to the group.
+export function makeGroup(id, els, bounds) {
+  return {
+    id, type: 'group', x: bounds.x, y: bounds.y, rotation: 0, scaleX: 1, scaleY: 1, opacity: 1,
+    children: els.map(el => ({ ...el, x: el.x - bounds.x, y: el.y - bounds.y }))
+  };
+}
+
+// Inverse of makeGroup: children come back in frame coordinates with the
+// group's rotation and scale applied to them.
+export function ungroup(group) {
+  const sx = group.scaleX || 1;
+  const sy = group.scaleY || 1;
+  const rot = group.rotation || 0;
+  return group.children.map(child => {
+    const p = rotatePoint(child.x * sx, child.y * sy, rot);
+    const scaled = sx === 1 && sy === 1 ? child : scaleElement(child, sx, sy);
+    return { ...scaled, x: group.x + p.x, y: group.y + p.y, rotation: (child.rotation || 0) + rot };
+  });
+}
+
+// All leaf elements in frame coordinates, groups expanded recursively.
+export function flattenElements(elements) {
+  return elements.flatMap(el => (el.type === 'group' ? flattenElements(ungroup(el).filter(c => !c.hidden)) : [el]));
+}
@@ -0,0 +1,97 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+// Undo/redo over an immutable document. Two things fold several updates into
+// a single step:
+//  - every update made in the same synchronous handler (a preset that changes
+//    the background and adds three elements is one step);
+//  - consecutive updates carrying the same `key` less than `mergeWindow` ms
+//    apart (a slider drag or a burst of typing). A pointerup ends the run, so
+//    two separate drags of the same slider stay two steps.
+export function useHistory(initial, { limit = 100, mergeWindow = 1000 } = {}) {
+  const stateRef = useRef(null);
+  if (stateRef.current === null) stateRef.current = { past: [], present: initial, future: [] };
+  const [state, setState] = useState(stateRef.current);
+  const group = useRef({ key: null, time: 0, inTick: false });
+
+  const commit = useCallback((next) => {
+    stateRef.current = next;
+    setState(next);
+  }, []);
+
+  const breakGroup = useCallback(() => {
+    group.current.key = null;
+  }, []);
+
+  // `key` may be a function of (prev, next) for callers that only know what
+  // changed after applying the update.
+  const set = useCallback((updater, key) => {
+    const h = stateRef.current;
+    const next = typeof updater === 'function' ? updater(h.present) : updater;
+    if (next === h.present) return;
+    const k = typeof key === 'function' ? key(h.present, next) : key;
+    const g = group.current;
+    const now = Date.now();
+    const merge = h.past.length > 0 && (g.inTick || (k && k === g.key && now - g.time < mergeWindow));
+    if (!g.inTick) {
+      g.inTick = true;
+      queueMicrotask(() => { g.inTick = false; });
+    }
+    g.key = k || null;
+    g.time = now;
+    commit(merge
+      ? { past: h.past, present: next, future: [] }
+      : { past: [...h.past, h.present].slice(-limit), present: next, future: [] });
+  }, [commit, limit, mergeWindow]);
+
+  const undo = useCallback(() => {
+    const h = stateRef.current;
+    if (!h.past.length) return;
+    breakGroup();
+    commit({ past: h.past.slice(0, -1), present: h.past[h.past.length - 1], future: [h.present, ...h.future] });
+  }, [breakGroup, commit]);
+
+  const redo = useCallback(() => {
+    const h = stateRef.current;
+    if (!h.future.length) return;
+    breakGroup();
+    commit({ past: [...h.past, h.present], present: h.future[0], future: h.future.slice(1) });
+  }, [breakGroup, commit]);
+
+  // Change the present without recording a step (e.g. which variant is
+  // open). Earlier steps keep their own value, so undo goes back to it.
+  const replace = useCallback((updater) => {
+    const h = stateRef.current;
+    const next = typeof updater === 'function' ? updater(h.present) : updater;
+    if (next === h.present) return;
+    breakGroup();
+    commit({ ...h, present: next });
+  }, [breakGroup, commit]);
+
+  // Replace the document and forget its history (e.g. opening a file).
+  const reset = useCallback((doc) => {
+    breakGroup();
+    commit({ past: [], present: doc, future: [] });
+  }, [breakGroup, commit]);
+
+  useEffect(() => {
+    window.addEventListener('pointerup', breakGroup);
+    return () => window.removeEventListener('pointerup', breakGroup);
+  }, [breakGroup]);
+
+  return useMemo(() => ({
+    present: state.present,
+    // every document undo and redo can reach, present included
+    snapshots: [...state.past, state.present, ...state.future],
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+    set, undo, redo, replace, reset, breakGroup
+  }), [state, set, undo, redo, replace, reset, breakGroup]);
+}
+
+// Text fields and number boxes keep their native undo.
+export function isTextEditingTarget(el) {
+  if (!el) return false;
+  if (el.isContentEditable || el.tagName === 'TEXTAREA') return true;
+  if (el.tagName !== 'INPUT') return false;
+  return ['', 'text', 'search', 'number', 'url', 'email'].includes(el.getAttribute('type') || '');
+}
@@ -0,0 +1,100 @@
+// Image/cutout elements. The crop, mask, flip and sticker outline are baked
+// into one bitmap, so effects (utils/effects) follow the alpha edge (and the
+// outline, when there is one).
+
+export const IMAGE_MASKS = ['none', 'rounded', 'circle'];
+
+export const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+
+const MAX_BITMAP_SIDE = 2048;
+
+function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
+
+function defaultCreateCanvas(w, h) {
+  const c = document.createElement('canvas');
+  c.width = w; c.height = h;
+  return c;
+}
+
+export function cropPixels(img, crop = FULL_CROP) {
+  const iw = img.naturalWidth || img.width;
+  const ih = img.naturalHeight || img.height;
+  return { sx: crop.x * iw, sy: crop.y * ih, sw: Math.max(1, crop.width * iw), sh: Math.max(1, crop.height * ih) };
+}
+
+// Element size for a crop, keeping the current width and the source's pixel
+// aspect so cropping never stretches the picture.
+export function sizeForCrop(img, crop, width) {
+  const { sw, sh } = cropPixels(img, crop);
+  return { width, height: width * (sh / sw) };
+}
+
+// How far the sticker outline reaches past the element box, in frame pixels.
+export function imagePadding(el) {
+  return el.sticker ? Math.max(0, el.stickerWidth || 0) : 0;
+}
+
+function maskPath(ctx, el, w, h, density) {
+  ctx.beginPath();
+  if (el.mask === 'circle') {
+    ctx.ellipse(w / 2, h / 2, w / 2, h / 2, 0, 0, Math.PI * 2);
+  } else {
+    const r = clamp((el.cornerRadius || 0) * density, 0, Math.min(w, h) / 2);
+    ctx.moveTo(r, 0);
+    ctx.arcTo(w, 0, w, h, r);
+    ctx.arcTo(w, h, 0, h, r);
+    ctx.arcTo(0, h, 0, 0, r);
+    ctx.arcTo(0, 0, w, 0, r);
+    ctx.closePath();
+  }
+}
+
+// Returns `{ canvas, pad }`: the bitmap covers the element box grown by `pad`
+// frame pixels on every side.
+export function renderImageElement(img, el, createCanvas = defaultCreateCanvas) {
+  const { sx, sy, sw, sh } = cropPixels(img, el.crop);
+  const width = Math.max(1, el.width);
+  const height = Math.max(1, el.height);
+  const density = clamp(sw / width, 1, 2) * Math.min(1, MAX_BITMAP_SIDE / (width * 2), MAX_BITMAP_SIDE / (height * 2));
+  const w = Math.max(1, Math.round(width * density));
+  const h = Math.max(1, Math.round(height * density));
+
+  const content = createCanvas(w, h);
+  const cctx = content.getContext('2d');
+  cctx.imageSmoothingQuality = 'high';
+  if (el.mask && el.mask !== 'none') {
+    maskPath(cctx, el, w, h, density);
+    cctx.clip();
+  }
+  cctx.save();
+  cctx.translate(el.flipX ? w : 0, el.flipY ? h : 0);
+  cctx.scale(el.flipX ? -1 : 1, el.flipY ? -1 : 1);
+  cctx.drawImage(img, sx, sy, sw, sh, 0, 0, w, h);
+  cctx.restore();
+
+  const pad = imagePadding(el);
+  if (!pad) return { canvas: content, pad: 0 };
+
+  // Sticker outline: a solid silhouette of the alpha channel, stamped around
+  // two rings so thin features close up, with the picture drawn on top.
+  const p = Math.max(1, Math.round(pad * density));
+  const silhouette = createCanvas(w, h);
+  const sctx = silhouette.getContext('2d');
+  sctx.drawImage(content, 0, 0);
+  sctx.globalCompositeOperation = 'source-in';
+  sctx.fillStyle = el.stickerColor || '#ffffff';
+  sctx.fillRect(0, 0, w, h);
+
+  const out = createCanvas(w + p * 2, h + p * 2);
+  const octx = out.getContext('2d');
+  const steps = Math.max(16, Math.min(48, Math.round(p * 2)));
+  for (const radius of [p, p / 2]) {
+    for (let i = 0; i < steps; i++) {
+      const a = (i / steps) * Math.PI * 2;
+      octx.drawImage(silhouette, p + Math.cos(a) * radius, p + Math.sin(a) * radius);
+    }
+  }
+  octx.drawImage(silhouette, p, p);
+  octx.drawImage(content, p, p);
+  return { canvas: out, pad: p / density };
+}
@@ -0,0 +1,70 @@
+import { useEffect, useState } from 'react';
+import { assetIdOf } from './project';
+import { assetGet } from './storage';
+
+// `fileOrUrl` is a File/Blob or an image source string; `asset:<id>`
+// sources are read from the asset library.
+export function loadHTMLImage(fileOrUrl) {
+  const assetId = assetIdOf(fileOrUrl);
+  if (assetId) {
+    return assetGet(assetId).then(asset => {
+      if (!asset) throw new Error(`Aset ${assetId} tidak ada di pustaka.`);
+      return loadHTMLImage(asset.blob);
+    });
+  }
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = reject;
+    if (typeof fileOrUrl === 'string') {
+      img.src = fileOrUrl;
+    } else {
+      const url = URL.createObjectURL(fileOrUrl);
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.src = url;
+    }
+  });
+}
+
+export function readAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// Image elements keep their source as a string in the document; decoded
+// images are shared by src so undo snapshots and duplicates don't reload.
+const cache = new Map();
+
+export function getImage(src) {
+  if (!cache.has(src)) {
+    const entry = { img: null, promise: null };
+    entry.promise = loadHTMLImage(src).then(img => { entry.img = img; return img; });
+    entry.promise.catch(() => cache.delete(src));
+    cache.set(src, entry);
+  }
+  return cache.get(src).promise;
+}
+
+// The decoded image if it is already loaded, otherwise null.
+export function peekImage(src) {
+  return cache.get(src)?.img || null;
+}
+
+export function useLoadedImage(src) {
+  const [img, setImg] = useState(() => (src ? peekImage(src) : null));
+  useEffect(() => {
+    if (!src) { setImg(null); return; }
+    let cancelled = false;
+    getImage(src).then(i => { if (!cancelled) setImg(i); }, () => { if (!cancelled) setImg(null); });
+    return () => { cancelled = true; };
+  }, [src]);
+  return img;
+}
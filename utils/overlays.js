@@ -0,0 +1,173 @@
+// Gradient overlays stacked over the background, above the flat overlay
+// color and below the elements. Each entry of `bgSettings.overlays` is
+//
+//   { id, type: 'linear' | 'radial' | 'vignette', blend, opacity, ... }
+//
+// - linear: `angle` in degrees (0 runs left to right, 90 top to bottom) and
+//   `stops` [{ offset 0..1, color '#rrggbb', alpha 0..1 }]. The gradient
+//   spans the frame corner to corner along the angle, like CSS.
+// - radial: `cx`, `cy` (0..1 of the frame), `radius` (share of the frame
+//   width) and `stops`; the circle is stretched to the frame's aspect.
+// - vignette: `color`, `amount` (alpha at the corners) and `size` (how far
+//   in from the corners the darkening reaches, 0..1).
+//
+// The Konva attributes (stage and headless renderer) and the plain canvas
+// painter (background sampling) both come from overlayGeometry, so they draw
+// the same thing.
+
+import { rgba } from './color';
+
+export const OVERLAY_TYPES = ['linear', 'radial', 'vignette'];
+
+export const BLEND_MODES = [
+  { id: 'normal', label: 'Normal', op: 'source-over' },
+  { id: 'multiply', label: 'Multiply', op: 'multiply' },
+  { id: 'screen', label: 'Screen', op: 'screen' },
+  { id: 'overlay', label: 'Overlay', op: 'overlay' },
+  { id: 'color-dodge', label: 'Color Dodge', op: 'color-dodge' }
+];
+
+export function compositeOperation(blend) {
+  return (BLEND_MODES.find(m => m.id === blend) || BLEND_MODES[0]).op;
+}
+
+export function createOverlay(type, id) {
+  const base = { id, type, blend: 'normal', opacity: 1 };
+  if (type === 'radial') {
+    return { ...base, cx: 0.5, cy: 0.5, radius: 0.6, stops: [{ offset: 0, color: '#000000', alpha: 0 }, { offset: 1, color: '#000000', alpha: 0.7 }] };
+  }
+  if (type === 'vignette') return { ...base, color: '#000000', amount: 0.6, size: 0.5 };
+  // darkens the left side, where a title usually sits
+  return { ...base, angle: 0, stops: [{ offset: 0, color: '#000000', alpha: 0.8 }, { offset: 0.6, color: '#000000', alpha: 0 }] };
+}
+
+function colorStops(stops) {
+  return [...(stops || [])]
+    .sort((a, b) => a.offset - b.offset)
+    .map(s => [Math.max(0, Math.min(1, s.offset)), rgba(s.color, s.alpha)]);
+}
+
+// Shape of one overlay in frame pixels. Radial gradients are laid out in a
+// square `width` x `width` space and squashed by `scaleY` onto the frame,
+// which is what makes them elliptical.
+export function overlayGeometry(overlay, frame) {
+  const { width, height } = frame;
+  if (overlay.type === 'linear') {
+    const a = ((overlay.angle || 0) * Math.PI) / 180;
+    const dx = Math.cos(a);
+    const dy = Math.sin(a);
+    const half = Math.abs((width / 2) * dx) + Math.abs((height / 2) * dy);
+    return {
+      kind: 'linear',
+      start: { x: width / 2 - dx * half, y: height / 2 - dy * half },
+      end: { x: width / 2 + dx * half, y: height / 2 + dy * half },
+      stops: colorStops(overlay.stops)
+    };
+  }
+  const scaleY = height / width;
+  if (overlay.type === 'vignette') {
+    const corner = Math.hypot(width / 2, width / 2);
+    const size = Math.max(0, Math.min(1, overlay.size ?? 0.5));
+    return {
+      kind: 'radial',
+      center: { x: width / 2, y: width / 2 },
+      radius: corner,
+      scaleY,
+      stops: [[Math.max(0, 1 - size), rgba(overlay.color, 0)], [1, rgba(overlay.color, overlay.amount ?? 0.6)]]
+    };
+  }
+  return {
+    kind: 'radial',
+    center: { x: (overlay.cx ?? 0.5) * width, y: (overlay.cy ?? 0.5) * width },
+    radius: Math.max(1, (overlay.radius ?? 0.6) * width),
+    scaleY,
+    stops: colorStops(overlay.stops)
+  };
+}
+
+// Konva.Rect attributes covering the frame.
+export function overlayAttrs(overlay, frame) {
+  const g = overlayGeometry(overlay, frame);
+  const base = {
+    opacity: overlay.opacity ?? 1,
+    globalCompositeOperation: compositeOperation(overlay.blend),
+    listening: false
+  };
+  if (g.kind === 'linear') {
+    return {
+      ...base,
+      x: 0, y: 0, width: frame.width, height: frame.height,
+      fillLinearGradientStartPoint: g.start,
+      fillLinearGradientEndPoint: g.end,
+      fillLinearGradientColorStops: g.stops.flat()
+    };
+  }
+  return {
+    ...base,
+    x: 0, y: 0, width: frame.width, height: frame.width, scaleY: g.scaleY,
+    fillRadialGradientStartPoint: g.center,
+    fillRadialGradientStartRadius: 0,
+    fillRadialGradientEndPoint: g.center,
+    fillRadialGradientEndRadius: g.radius,
+    fillRadialGradientColorStops: g.stops.flat()
+  };
+}
+
+// Paints `overlays` onto a 2D context whose frame is `scale` times smaller
+// (or larger) than `frame`.
+export function paintOverlays(ctx, overlays, frame, scale = 1) {
+  for (const overlay of overlays || []) {
+    const g = overlayGeometry(overlay, frame);
+    ctx.save();
+    ctx.globalAlpha = overlay.opacity ?? 1;
+    ctx.globalCompositeOperation = compositeOperation(overlay.blend);
+    ctx.scale(scale, scale);
+    let fill;
+    if (g.kind === 'linear') {
+      fill = ctx.createLinearGradient(g.start.x, g.start.y, g.end.x, g.end.y);
+    } else {
+      ctx.scale(1, g.scaleY);
+      fill = ctx.createRadialGradient(g.center.x, g.center.y, 0, g.center.x, g.center.y, g.radius);
+    }
+    for (const [offset, color] of g.stops) fill.addColorStop(offset, color);
+    ctx.fillStyle = fill;
+    ctx.fillRect(0, 0, frame.width, g.kind === 'linear' ? frame.height : frame.width);
+    ctx.restore();
+  }
+}
+
+function isHex(v) { return typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v); }
+
+// Missing, or a number in min..max.
+function optionalIn(v, min, max) { return v === undefined || (Number.isFinite(v) && v >= min && v <= max); }
+
+// Problems with a settings.overlays value, for project validation. Ranges
+// are the ones the overlay panel offers.
+export function validateOverlays(list, at, errors) {
+  if (!Array.isArray(list)) {
+    errors.push(`${at} harus berupa array`);
+    return;
+  }
+  list.forEach((o, i) => {
+    const here = `${at}[${i}]`;
+    if (!o || typeof o !== 'object') { errors.push(`${here} harus berupa objek`); return; }
+    if (!OVERLAY_TYPES.includes(o.type)) errors.push(`${here}.type "${o.type}" tidak dikenal`);
+    if (o.blend !== undefined && !BLEND_MODES.some(m => m.id === o.blend)) errors.push(`${here}.blend "${o.blend}" tidak dikenal`);
+    if (!optionalIn(o.opacity, 0, 1)) errors.push(`${here}.opacity harus di antara 0 dan 1`);
+    if (o.type === 'vignette') {
+      if (!isHex(o.color)) errors.push(`${here}.color harus berupa warna #rrggbb`);
+      if (!optionalIn(o.amount, 0, 1)) errors.push(`${here}.amount harus di antara 0 dan 1`);
+      if (!optionalIn(o.size, 0, 1)) errors.push(`${here}.size harus di antara 0 dan 1`);
+      return;
+    }
+    if (!Array.isArray(o.stops) || o.stops.length < 2
+      || !o.stops.every(s => s && Number.isFinite(s.offset) && s.offset >= 0 && s.offset <= 1 && isHex(s.color) && optionalIn(s.alpha, 0, 1))) {
+      errors.push(`${here}.stops harus berupa minimal dua { offset 0..1, color #rrggbb, alpha 0..1 }`);
+    }
+    if (o.type === 'linear' && !optionalIn(o.angle, 0, 360)) errors.push(`${here}.angle harus di antara 0 dan 360`);
+    if (o.type === 'radial') {
+      if (!optionalIn(o.cx, 0, 1) || !optionalIn(o.cy, 0, 1)) errors.push(`${here}.cx dan .cy harus di antara 0 dan 1`);
+      if (!optionalIn(o.radius, 0.01, 1.5)) errors.push(`${here}.radius harus di antara 0,01 dan 1,5`);
+    }
+  });
+}
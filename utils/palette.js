@@ -0,0 +1,160 @@
+import { getContrastRatio, hslToRgb, rgbToHex, rgbToHsl } from './color';
+
+// Dominant colors of the background and colors that read well on it.
+// Suggestions are checked against the backdrop actually behind an element,
+// its darkest and lightest colors as measureTextContrast / measureBackdrop
+// report them, so a suggestion holds across the whole backdrop and not just
+// its average. WCAG thresholds: 4.5:1 for text, 3:1 for shapes and other
+// non-text accents.
+
+export const TEXT_MIN_RATIO = 4.5;
+export const ACCENT_MIN_RATIO = 3;
+
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+
+function dist2(a, b) {
+  return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+}
+
+// k-means over the opaque pixels of RGBA `data`. Seeds are picked by
+// farthest-point from the mean, so the result is the same on every run.
+// Returns `[{ rgb, hex, share }]`, most common first; near-identical
+// clusters are merged.
+export function extractPalette(data, k = 6, iterations = 8) {
+  const pixels = [];
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] >= 128) pixels.push([data[i], data[i + 1], data[i + 2]]);
+  }
+  if (!pixels.length) return [];
+  const mean = pixels.reduce((m, p) => [m[0] + p[0], m[1] + p[1], m[2] + p[2]], [0, 0, 0]).map(v => v / pixels.length);
+  let centers = [mean];
+  while (centers.length < k) {
+    let best = null;
+    let bestD = 0;
+    for (const p of pixels) {
+      const d = Math.min(...centers.map(c => dist2(p, c)));
+      if (d > bestD) { bestD = d; best = p; }
+    }
+    if (!best || bestD < 100) break;
+    centers.push(best.slice());
+  }
+
+  let counts = [];
+  for (let it = 0; it < iterations; it++) {
+    const sums = centers.map(() => [0, 0, 0]);
+    counts = centers.map(() => 0);
+    for (const p of pixels) {
+      let ci = 0;
+      let cd = Infinity;
+      centers.forEach((c, i) => {
+        const d = dist2(p, c);
+        if (d < cd) { cd = d; ci = i; }
+      });
+      sums[ci][0] += p[0]; sums[ci][1] += p[1]; sums[ci][2] += p[2];
+      counts[ci]++;
+    }
+    centers = centers.map((c, i) => (counts[i] ? sums[i].map(v => v / counts[i]) : c));
+  }
+
+  const clusters = [];
+  centers.forEach((c, i) => {
+    if (!counts[i]) return;
+    const near = clusters.find(x => dist2(x.rgb, c) < 400);
+    if (near) near.count += counts[i];
+    else clusters.push({ rgb: c, count: counts[i] });
+  });
+  return clusters
+    .sort((a, b) => b.count - a.count)
+    .map(({ rgb, count }) => {
+      const rounded = rgb.map(Math.round);
+      return { rgb: rounded, hex: rgbToHex(rounded), share: count / pixels.length };
+    });
+}
+
+// Lowest contrast of `rgb` against any of the `backdrop` colors.
+function worstContrast(rgb, backdrop) {
+  return Math.min(...backdrop.map(b => getContrastRatio(rgb, b)));
+}
+
+// `rgb` moved in lightness (hue and saturation kept) until it reaches
+// `minRatio` against every `backdrop` color, preferring the smallest change;
+// null when neither lighter nor darker gets there.
+function reachContrast(rgb, backdrop, minRatio) {
+  if (worstContrast(rgb, backdrop) >= minRatio) return rgb;
+  const [h, s, l] = rgbToHsl(rgb);
+  for (let step = 0.05; step <= 1; step += 0.05) {
+    for (const next of [l + step, l - step]) {
+      if (next < 0 || next > 1) continue;
+      const candidate = hslToRgb([h, s, next]);
+      if (worstContrast(candidate, backdrop) >= minRatio) return candidate;
+    }
+  }
+  return null;
+}
+
+function pickDistinct(candidates, count, key) {
+  const out = [];
+  for (const c of candidates) {
+    if (out.some(o => dist2(key(o), key(c)) < 1600)) continue;
+    out.push(c);
+    if (out.length === count) break;
+  }
+  return out;
+}
+
+// Fill/outline pairs for text over `backdrop` (rgb colors). Fills are the palette's
+// colors (made a little more vivid) and white/black, pushed lighter or darker
+// until they pass TEXT_MIN_RATIO. The outline is the dominant hue taken to
+// the opposite end of lightness, so it separates the letters from busy
+// patches too. Returns `[{ fill, stroke, ratio }]`, `ratio` against the
+// worst backdrop color, best contrast first.
+export function suggestTextColors(backdrop, palette, count = 4) {
+  const hue = palette.length ? rgbToHsl(palette[0].rgb)[0] : 0;
+  const bases = [
+    ...palette.map(p => {
+      const [h, s, l] = rgbToHsl(p.rgb);
+      return s > 0.15 ? hslToRgb([h, Math.max(s, 0.6), l]) : p.rgb;
+    }),
+    WHITE,
+    BLACK
+  ];
+  const candidates = [];
+  for (const base of bases) {
+    const fill = reachContrast(base, backdrop, TEXT_MIN_RATIO);
+    if (!fill) continue;
+    const [, , l] = rgbToHsl(fill);
+    const stroke = hslToRgb([hue, 0.35, l > 0.5 ? 0.08 : 0.94]);
+    candidates.push({ fill: rgbToHex(fill), stroke: rgbToHex(stroke), ratio: worstContrast(fill, backdrop), rgb: fill });
+  }
+  candidates.sort((a, b) => b.ratio - a.ratio);
+  return pickDistinct(candidates, count, c => c.rgb).map(({ rgb, ...rest }) => rest);
+}
+
+// Vivid colors for shapes and badges over `backdrop` (rgb colors): the palette's hues
+// and their complements at high saturation, adjusted to ACCENT_MIN_RATIO.
+// Complements come first since they stand out most against the photo.
+// Returns `[{ hex, ratio }]`.
+export function suggestAccents(backdrop, palette, count = 6) {
+  const hues = palette.filter(p => rgbToHsl(p.rgb)[1] > 0.1).map(p => rgbToHsl(p.rgb)[0]);
+  if (!hues.length) hues.push(...[45, 200, 350]);
+  const bases = [...hues.map(h => (h + 180) % 360), ...hues].map(h => hslToRgb([h, 0.9, 0.55]));
+  const candidates = [];
+  for (const base of bases) {
+    const rgb = reachContrast(base, backdrop, ACCENT_MIN_RATIO);
+    if (rgb) candidates.push({ hex: rgbToHex(rgb), ratio: worstContrast(rgb, backdrop), rgb });
+  }
+  return pickDistinct(candidates, count, c => c.rgb).map(({ rgb, ...rest }) => rest);
+}
+
+// The patch that gives `el` its main color `hex`: the fill for filled
+// shapes, the line color for strokes-only ones.
+export function colorPatch(el, hex) {
+  switch (el.type) {
+    case 'arrow': return { fill: hex, stroke: hex };
+    case 'line':
+    case 'ring': return { stroke: hex };
+    case 'text': return { fill: hex, gradient: null };
+    default: return { fill: hex };
+  }
+}
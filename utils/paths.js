@@ -0,0 +1,84 @@
+// Geometry of the point-based shapes. Arrows and lines keep their handle
+// points in `points` (flat [x0, y0, x1, y1, ...], local to the element's
+// x/y and rotation): start and end, plus a control point in the middle that
+// the curve passes through for the curved and sketch styles. Polygons keep
+// their vertices the same way; speech bubbles have a `tail` tip in box
+// coordinates. The editor edits these through handles in frame coordinates.
+
+export const PATH_STYLES = ['straight', 'curved', 'sketch'];
+export const BUBBLE_STYLES = ['speech', 'thought'];
+
+function rotate(x, y, deg) {
+  const r = (deg * Math.PI) / 180;
+  return { x: x * Math.cos(r) - y * Math.sin(r), y: x * Math.sin(r) + y * Math.cos(r) };
+}
+
+function toFrame(el, x, y) {
+  const p = rotate(x, y, el.rotation || 0);
+  return { x: el.x + p.x, y: el.y + p.y };
+}
+
+function toLocal(el, x, y) {
+  return rotate(x - el.x, y - el.y, -(el.rotation || 0));
+}
+
+// `[{ key, kind, x, y }]` in frame coordinates; kind is 'point', 'control'
+// (the middle point of a curve) or 'tail'.
+export function elementHandles(el) {
+  if (el.type === 'arrow' || el.type === 'line' || el.type === 'polygon') {
+    const n = el.points.length / 2;
+    const curved = el.type !== 'polygon' && n === 3;
+    return Array.from({ length: n }, (_, i) => ({
+      key: `p${i}`,
+      kind: curved && i === 1 ? 'control' : 'point',
+      ...toFrame(el, el.points[i * 2], el.points[i * 2 + 1])
+    }));
+  }
+  if (el.type === 'bubble') {
+    return [{ key: 'tail', kind: 'tail', ...toFrame(el, el.tail.x, el.tail.y) }];
+  }
+  return [];
+}
+
+// The element with handle `key` moved to frame position `pos`.
+export function moveHandle(el, key, pos) {
+  const p = toLocal(el, pos.x, pos.y);
+  if (key === 'tail') return { ...el, tail: p };
+  const i = Number(key.slice(1));
+  const points = el.points.slice();
+  points[i * 2] = p.x;
+  points[i * 2 + 1] = p.y;
+  return { ...el, points };
+}
+
+// Straight paths have two handle points, curves three; switching adds the
+// midpoint as the control point or drops it.
+export function setPathStyle(el, pathStyle) {
+  const pts = el.points;
+  const n = pts.length;
+  if (pathStyle === 'straight' && n === 6) {
+    return { ...el, pathStyle, points: [pts[0], pts[1], pts[4], pts[5]] };
+  }
+  if (pathStyle !== 'straight' && n === 4) {
+    return { ...el, pathStyle, points: [pts[0], pts[1], (pts[0] + pts[2]) / 2, (pts[1] + pts[3]) / 2, pts[2], pts[3]] };
+  }
+  return { ...el, pathStyle };
+}
+
+// Vertices of a regular polygon around (0, 0), first one pointing up.
+export function polygonPoints(sides, radius) {
+  const points = [];
+  for (let i = 0; i < sides; i++) {
+    const a = -Math.PI / 2 + (i * 2 * Math.PI) / sides;
+    points.push(Math.cos(a) * radius, Math.sin(a) * radius);
+  }
+  return points;
+}
+
+// Distance of the farthest vertex from the origin; the radius to keep when
+// the number of sides changes.
+export function polygonRadius(points) {
+  let r = 0;
+  for (let i = 0; i < points.length; i += 2) r = Math.max(r, Math.hypot(points[i], points[i + 1]));
+  return r;
+}
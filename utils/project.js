@@ -0,0 +1,343 @@
+import { DEFAULT_BG_SETTINGS } from './background';
+import { DEFAULT_CANVAS } from './frame';
+import { moveLegacyShadow, validateEffects } from './effects';
+import { FONT_FORMATS } from './fonts';
+import { BLEND_MODES, validateOverlays } from './overlays';
+
+// Project file format ("yt-thumb-project"). A project is one JSON document:
+//
+//   {
+//     "format": "yt-thumb-project",
+//     "version": 4,
+//     "canvas": { "width": 1280, "height": 720 },       // or 1080x1920, 1080x1080
+//     "background": {
+//       "image": { "src": "data:image/png;base64,..." }   // embedded
+//              | { "url": "https://..." }                 // referenced
+//              | { "asset": "…" }                       // from the asset library
+//              | null
+//     },
+//     "variants": [
+//       {
+//         "id": "…", "name": "Varian A",
+//         "settings": { brightness, contrast, saturation, blur, overlay,
+//                       overlayAlpha, overlays, bgColor, fit, cropX, cropY,
+//                       cropZoom },                // overlays: utils/overlays.js
+//         "elements": [ { "id", "type", "x", "y", ...type specific } ]
+//       }                                            // image "src" may be "asset:<id>"
+//     ],
+//     "activeVariant": "…",
+//     "fonts": [ { "family": "Bangers", "format": "truetype",
+//                  "src": "data:font/ttf;base64,..." } ],    // uploaded fonts
+//     "assets": [ { "id": "…", "name": "logo.png", "tags": ["logo"],
+//                   "src": "data:image/png;base64,..." } ],   // library assets used
+//     "guides": { "grid": true, "thirds": false, "safeZone": true, "zones": { "progress": true } },
+//     "savedAt": "2024-01-01T00:00:00.000Z"
+//   }
+//
+// Variants are the A/B versions of one thumbnail: they share the background
+// photo but each has its own background settings and elements. `elements` is
+// ordered back to front, each entry being exactly what the editor keeps in
+// state. Files older than PROJECT_VERSION are upgraded one version at a time
+// by MIGRATIONS before validation; files from a newer version are refused
+// rather than half-loaded.
+//
+// Library assets (utils/assets) are referenced by id. Autosaves carry only
+// the references; downloaded files embed the assets in `assets` so they open
+// on another machine, where they are added to that library.
+
+export const PROJECT_FORMAT = 'yt-thumb-project';
+export const PROJECT_VERSION = 4;
+
+// Image sources of the form `asset:<id>` point into the asset library.
+export const ASSET_PREFIX = 'asset:';
+
+export function assetSrc(id) {
+  return `${ASSET_PREFIX}${id}`;
+}
+
+// The asset id an image source points at, or null for other sources.
+export function assetIdOf(src) {
+  return typeof src === 'string' && src.startsWith(ASSET_PREFIX) ? src.slice(ASSET_PREFIX.length) : null;
+}
+
+// `background.image` for the editor's background source, and back.
+export function backgroundImage(src) {
+  if (!src) return null;
+  if (assetIdOf(src)) return { asset: assetIdOf(src) };
+  return src.startsWith('data:') ? { src } : { url: src };
+}
+
+export function backgroundSrc(image) {
+  if (!image) return null;
+  return image.src || image.url || (image.asset ? assetSrc(image.asset) : null);
+}
+
+export const ELEMENT_TYPES = ['text', 'rect', 'circle', 'arrow', 'line', 'polygon', 'bubble', 'ring', 'badge', 'group', 'image'];
+
+// Attributes that must be finite numbers when present, and the ones each
+// type can't be drawn without.
+const NUMBER_KEYS = [
+  'width', 'height', 'rotation', 'scaleX', 'scaleY', 'opacity', 'fontSize', 'lineHeight', 'letterSpacing',
+  'strokeWidth', 'cornerRadius', 'radius',
+  'innerRadius', 'outerRadius', 'numPoints', 'textSize', 'pointerLength', 'pointerWidth', 'stickerWidth'
+];
+const REQUIRED_NUMBERS = {
+  text: ['fontSize'],
+  rect: ['width', 'height'],
+  image: ['width', 'height'],
+  circle: ['radius'],
+  badge: ['innerRadius', 'outerRadius', 'numPoints']
+};
+
+export const DEFAULT_GUIDES = { grid: true, thirds: false, safeZone: true, zones: {} };
+
+export class ProjectFormatError extends Error {
+  constructor(message, details = []) {
+    super(details.length ? `${message}\n- ${details.join('\n- ')}` : message);
+    this.name = 'ProjectFormatError';
+    this.summary = message;
+    this.details = details;
+  }
+}
+
+// MIGRATIONS[n] turns a version n document into version n + 1.
+const MIGRATIONS = {
+  // Version 1: a single design; it becomes the only variant.
+  1: ({ elements, background, ...rest }) => ({
+    ...rest,
+    version: 2,
+    // a malformed background is passed on as is so validation reports it
+    background: isObject(background) ? { image: background.image ?? null } : background,
+    variants: [{ id: 'varian-a', name: 'Varian A', settings: background?.settings, elements }],
+    activeVariant: 'varian-a'
+  }),
+  // Version 2: images were embedded or referenced by URL only; asset
+  // references are new, so nothing needs converting.
+  2: (doc) => ({ ...doc, version: 3 }),
+  // Version 3: text and images kept a drop shadow in their own shadow*
+  // fields next to the effects stack; it moves into `effects`.
+  3: ({ variants, ...rest }) => ({
+    ...rest,
+    version: 4,
+    variants: Array.isArray(variants)
+      ? variants.map(v => (isObject(v) && Array.isArray(v.elements) ? { ...v, elements: v.elements.map(moveLegacyShadow) } : v))
+      : variants
+  })
+};
+
+// `variants` is the editor's list (`{ id, name, elements, bgSettings }`).
+// `assets` are the embedded library assets (utils/assets embedAssets).
+export function serializeProject({ canvas = DEFAULT_CANVAS, variants, activeVariant, guides, bgSrc, fonts = [], assets = [] }) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    canvas: { width: canvas.width, height: canvas.height },
+    background: { image: backgroundImage(bgSrc) },
+    variants: variants.map(v => ({ id: v.id, name: v.name, settings: v.bgSettings, elements: v.elements })),
+    activeVariant,
+    fonts: fonts.map(f => ({ family: f.family, format: f.format, src: f.src })),
+    assets: assets.map(a => ({ id: a.id, name: a.name, tags: a.tags, src: a.src })),
+    guides,
+    savedAt: new Date().toISOString()
+  };
+}
+
+// Looks a variant of a parsed project up by id or name; without `key` it is
+// the one that was open when the file was saved.
+export function projectVariant(doc, key) {
+  if (key === undefined || key === null || key === '') {
+    return doc.variants.find(v => v.id === doc.activeVariant) || doc.variants[0];
+  }
+  return doc.variants.find(v => v.id === key) || doc.variants.find(v => v.name === key) || null;
+}
+
+// A data URL whose body decodes: base64, or percent-encoded text.
+function isDataUrl(v) {
+  const match = typeof v === 'string' && /^data:([^,]*),/.exec(v);
+  if (!match) return false;
+  if (match[1].endsWith(';base64')) return true;
+  try {
+    decodeURIComponent(v.slice(match[0].length));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isObject(v) { return v !== null && typeof v === 'object' && !Array.isArray(v); }
+function isNumber(v) { return typeof v === 'number' && Number.isFinite(v); }
+
+export function migrateProject(doc) {
+  if (!isObject(doc)) throw new ProjectFormatError('File proyek harus berupa objek JSON.');
+  let version = doc.version;
+  if (!Number.isInteger(version) || version < 1) throw new ProjectFormatError('File proyek tidak memiliki nomor versi yang valid.');
+  if (version > PROJECT_VERSION) {
+    throw new ProjectFormatError(`File proyek versi ${version} dibuat oleh editor yang lebih baru (didukung hingga versi ${PROJECT_VERSION}).`);
+  }
+  let out = doc;
+  while (version < PROJECT_VERSION) {
+    out = MIGRATIONS[version](out);
+    version = out.version;
+  }
+  return out;
+}
+
+// Appends problems with an element list to `errors`; `ids` collects the ids
+// seen so duplicates are caught across nested groups.
+export function validateElements(list, path, errors, ids) {
+  list.forEach((el, i) => {
+    const at = `${path}[${i}]`;
+    if (!isObject(el)) { errors.push(`${at} harus berupa objek`); return; }
+    if (typeof el.id !== 'string' || !el.id) errors.push(`${at}.id harus berupa string`);
+    else if (ids.has(el.id)) errors.push(`${at}.id "${el.id}" duplikat`);
+    else ids.add(el.id);
+    if (!ELEMENT_TYPES.includes(el.type)) errors.push(`${at}.type "${el.type}" tidak dikenal`);
+    if (!isNumber(el.x) || !isNumber(el.y)) errors.push(`${at}.x dan .y harus berupa angka`);
+    for (const key of NUMBER_KEYS) {
+      if (el[key] !== undefined && !isNumber(el[key])) errors.push(`${at}.${key} harus berupa angka`);
+    }
+    for (const key of REQUIRED_NUMBERS[el.type] || []) {
+      if (el[key] === undefined) errors.push(`${at}.${key} harus berupa angka`);
+    }
+    if (isNumber(el.opacity) && (el.opacity < 0 || el.opacity > 1)) errors.push(`${at}.opacity harus di antara 0 dan 1`);
+    if (isNumber(el.fontSize) && el.fontSize <= 0) errors.push(`${at}.fontSize harus lebih dari 0`);
+    if (el.blendMode !== undefined && !BLEND_MODES.some(m => m.id === el.blendMode)) errors.push(`${at}.blendMode "${el.blendMode}" tidak dikenal`);
+    if (el.crop !== undefined && (!isObject(el.crop) || !['x', 'y', 'width', 'height'].every(k => isNumber(el.crop[k])))) {
+      errors.push(`${at}.crop harus berisi angka x, y, width dan height`);
+    }
+    if (['arrow', 'line', 'polygon'].includes(el.type) && (!Array.isArray(el.points) || el.points.length < 4 || el.points.length % 2 || !el.points.every(isNumber))) {
+      errors.push(`${at}.points harus berupa array pasangan angka (minimal 2 titik)`);
+    }
+    if ((el.type === 'bubble' || el.type === 'ring') && (!isNumber(el.width) || !isNumber(el.height))) errors.push(`${at}.width dan .height harus berupa angka`);
+    if (el.type === 'bubble' && (!isObject(el.tail) || !isNumber(el.tail.x) || !isNumber(el.tail.y))) errors.push(`${at}.tail harus berisi angka x dan y`);
+    if (el.type === 'text') {
+      if (el.runs !== undefined && (!Array.isArray(el.runs) || !el.runs.every(r => isObject(r) && Number.isInteger(r.from) && Number.isInteger(r.to)))) {
+        errors.push(`${at}.runs harus berupa array { from, to, ... } dengan indeks kata`);
+      }
+      if (el.gradient != null && (!isObject(el.gradient) || typeof el.gradient.from !== 'string' || typeof el.gradient.to !== 'string')) {
+        errors.push(`${at}.gradient harus berisi warna "from" dan "to"`);
+      }
+    }
+    if (el.effects !== undefined) validateEffects(el.effects, `${at}.effects`, errors);
+    if (el.type === 'image' && (typeof el.src !== 'string' || !el.src)) errors.push(`${at}.src harus berupa data URL atau URL gambar`);
+    if (el.type === 'group') {
+      if (!Array.isArray(el.children)) errors.push(`${at}.children harus berupa array`);
+      else validateElements(el.children, `${at}.children`, errors, ids);
+    }
+  });
+}
+
+// Returns a list of human-readable problems; empty means the document is a
+// valid current-version project.
+export function validateProject(doc) {
+  const errors = [];
+  if (!isObject(doc)) return ['dokumen harus berupa objek'];
+  if (doc.format !== PROJECT_FORMAT) errors.push(`format harus "${PROJECT_FORMAT}"`);
+  if (doc.version !== PROJECT_VERSION) errors.push(`version harus ${PROJECT_VERSION}`);
+
+  if (doc.canvas !== undefined) {
+    const { width, height } = isObject(doc.canvas) ? doc.canvas : {};
+    const valid = n => Number.isInteger(n) && n >= 16 && n <= 4096;
+    if (!valid(width) || !valid(height)) errors.push('canvas.width dan .height harus bilangan bulat 16–4096');
+  }
+
+  const bg = doc.background;
+  if (!isObject(bg)) {
+    errors.push('background harus berupa objek');
+  } else {
+    if (bg.image != null) {
+      if (!isObject(bg.image) || !['src', 'url', 'asset'].some(k => typeof bg.image[k] === 'string')) {
+        errors.push('background.image harus berisi "src" (data URL), "url" atau "asset"');
+      } else if (typeof bg.image.src === 'string' && !bg.image.src.startsWith('data:image/')) {
+        errors.push('background.image.src harus berupa data URL gambar');
+      }
+    }
+  }
+
+  if (!Array.isArray(doc.variants) || !doc.variants.length) {
+    errors.push('variants harus berupa array yang tidak kosong');
+  } else {
+    const variantIds = new Set();
+    doc.variants.forEach((v, i) => {
+      const at = `variants[${i}]`;
+      if (!isObject(v)) { errors.push(`${at} harus berupa objek`); return; }
+      if (typeof v.id !== 'string' || !v.id) errors.push(`${at}.id harus berupa string`);
+      else if (variantIds.has(v.id)) errors.push(`${at}.id "${v.id}" duplikat`);
+      else variantIds.add(v.id);
+      if (typeof v.name !== 'string') errors.push(`${at}.name harus berupa string`);
+      if (v.settings !== undefined && !isObject(v.settings)) errors.push(`${at}.settings harus berupa objek`);
+      if (isObject(v.settings)) {
+        for (const [k, value] of Object.entries(v.settings)) {
+          const expected = typeof DEFAULT_BG_SETTINGS[k];
+          if (expected !== 'undefined' && typeof value !== expected) errors.push(`${at}.settings.${k} harus bertipe ${expected}`);
+        }
+        if (v.settings.overlays !== undefined) validateOverlays(v.settings.overlays, `${at}.settings.overlays`, errors);
+      }
+      // element ids only need to be unique within their variant; clones keep them
+      if (!Array.isArray(v.elements)) errors.push(`${at}.elements harus berupa array`);
+      else validateElements(v.elements, `${at}.elements`, errors, new Set());
+    });
+  }
+
+  if (doc.fonts !== undefined) {
+    if (!Array.isArray(doc.fonts)) errors.push('fonts harus berupa array');
+    else {
+      doc.fonts.forEach((f, i) => {
+        if (!isObject(f) || typeof f.family !== 'string' || !f.family) errors.push(`fonts[${i}].family harus berupa string`);
+        else if (!Object.values(FONT_FORMATS).includes(f.format)) errors.push(`fonts[${i}].format harus salah satu dari ${Object.values(FONT_FORMATS).join(', ')}`);
+        else if (!isDataUrl(f.src)) errors.push(`fonts[${i}].src harus berupa data URL yang bisa dibaca`);
+      });
+    }
+  }
+
+  if (doc.assets !== undefined) {
+    if (!Array.isArray(doc.assets)) errors.push('assets harus berupa array');
+    else {
+      doc.assets.forEach((a, i) => {
+        if (!isObject(a) || typeof a.id !== 'string' || !a.id) errors.push(`assets[${i}].id harus berupa string`);
+        else if (typeof a.src !== 'string' || !a.src.startsWith('data:image/')) errors.push(`assets[${i}].src harus berupa data URL gambar`);
+      });
+    }
+  }
+
+  if (doc.guides !== undefined) {
+    if (!isObject(doc.guides)) errors.push('guides harus berupa objek');
+    else {
+      for (const key of ['grid', 'thirds', 'safeZone']) {
+        if (doc.guides[key] !== undefined && typeof doc.guides[key] !== 'boolean') errors.push(`guides.${key} harus berupa boolean`);
+      }
+      const { zones } = doc.guides;
+      if (zones !== undefined && (!isObject(zones) || !Object.values(zones).every(v => typeof v === 'boolean'))) {
+        errors.push('guides.zones harus berupa objek berisi boolean');
+      }
+    }
+  }
+  return errors;
+}
+
+// Parses, migrates and validates a project file's text. Throws
+// ProjectFormatError with the list of problems when the file can't be used.
+export function parseProject(input) {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch (err) {
+      throw new ProjectFormatError(`File proyek bukan JSON yang valid: ${err.message}`);
+    }
+  }
+  const migrated = migrateProject(doc);
+  const errors = validateProject(migrated);
+  if (errors.length) throw new ProjectFormatError('File proyek tidak valid:', errors);
+  const variants = migrated.variants.map(v => ({ ...v, settings: { ...DEFAULT_BG_SETTINGS, ...(v.settings || {}) } }));
+  return {
+    ...migrated,
+    canvas: { ...DEFAULT_CANVAS, ...(migrated.canvas || {}) },
+    background: { image: migrated.background.image || null },
+    variants,
+    activeVariant: variants.some(v => v.id === migrated.activeVariant) ? migrated.activeVariant : variants[0].id,
+    fonts: migrated.fonts || [],
+    assets: migrated.assets || [],
+    guides: { ...DEFAULT_GUIDES, ...(migrated.guides || {}) }
+  };
+}
@@ -0,0 +1,107 @@
+import { renderBackground } from './background';
+import { renderImageElement } from './imageElement';
+import { assetSrc, backgroundSrc, projectVariant } from './project';
+import { effectShapeAttrs, effectsSceneFunc } from './effects';
+import { overlayAttrs } from './overlays';
+import { createMeasurer } from './richText';
+import { badgeAttrs, boxHitFunc, bubbleAttrs, groupAttrs, imageAttrs, imageSceneFunc, pathAttrs, ringAttrs, shapeAttrs, textAttrs } from './shapes';
+
+// Headless counterpart of the editor stage: builds the same Konva scene from
+// a parsed project document without React or a DOM. Konva and the canvas
+// implementation are passed in so this module stays free of Node-only
+// imports (the API route hands it `konva` plus `canvas`).
+
+function collectSources(elements, out = new Set()) {
+  for (const el of elements) {
+    if (el.hidden) continue;
+    if (el.type === 'image' && el.src) out.add(el.src);
+    if (el.type === 'group') collectSources(el.children, out);
+  }
+  return out;
+}
+
+function buildNode(Konva, el, ctx) {
+  switch (el.type) {
+    case 'text': {
+      const { group, box, highlights, segments } = textAttrs(el, ctx.measure);
+      const node = new Konva.Group(group);
+      node.add(new Konva.Rect(box));
+      for (const h of highlights) node.add(new Konva.Rect(h));
+      for (const t of segments) node.add(new Konva.Text(t));
+      return node;
+    }
+    case 'rect': return new Konva.Rect(shapeAttrs(el));
+    case 'circle': return new Konva.Circle(shapeAttrs(el));
+    case 'arrow': return new Konva.Arrow(pathAttrs(el));
+    case 'line':
+    case 'polygon': return new Konva.Line(pathAttrs(el));
+    case 'bubble': return new Konva.Shape(bubbleAttrs(el));
+    case 'ring': return new Konva.Shape(ringAttrs(el));
+    case 'badge': {
+      const { group, star, text } = badgeAttrs(el);
+      const node = new Konva.Group(group);
+      node.add(new Konva.Star(star));
+      node.add(new Konva.Text(text));
+      return node;
+    }
+    case 'image': {
+      const img = ctx.images.get(el.src);
+      const bitmap = img ? renderImageElement(img, el, ctx.createCanvas) : null;
+      return new Konva.Shape({ ...imageAttrs(el), sceneFunc: imageSceneFunc(bitmap), hitFunc: boxHitFunc });
+    }
+    case 'group': {
+      const node = new Konva.Group(groupAttrs(el));
+      for (const child of el.children) {
+        if (!child.hidden) addNode(Konva, node, child, ctx);
+      }
+      return node;
+    }
+    default:
+      return null;
+  }
+}
+
+// Adds the element's node to `parent` under the editor's node id, between
+// its effect shapes if it has any (see utils/effects).
+function addNode(Konva, parent, el, ctx) {
+  const node = buildNode(Konva, el, ctx);
+  if (!node) return;
+  const nodeId = `node-${el.id}`;
+  node.id(nodeId);
+  const effects = el.effects && el.effects.length ? el.effects : null;
+  if (effects) parent.add(new Konva.Shape({ ...effectShapeAttrs(), sceneFunc: effectsSceneFunc(Konva, effects, 'behind', nodeId) }));
+  parent.add(node);
+  if (effects) parent.add(new Konva.Shape({ ...effectShapeAttrs(), sceneFunc: effectsSceneFunc(Konva, effects, 'above', nodeId) }));
+}
+
+// `doc` is the output of parseProject and `variant` one of its variants
+// (default: the one saved as open). `loadImage(src)` resolves to something
+// drawable by the canvas implementation; asset references the document
+// embeds are handed to it as their data URLs. Returns the rendered canvas.
+export async function renderProject(doc, { Konva, createCanvas, loadImage, pixelRatio = 1, variant = projectVariant(doc) }) {
+  const { settings, elements } = variant;
+  const bgSrc = backgroundSrc(doc.background.image);
+  const sources = [...collectSources(elements)];
+  const embedded = new Map((doc.assets || []).map(a => [assetSrc(a.id), a.src]));
+  const load = src => loadImage(embedded.get(src) || src);
+  const [bgImg, ...loaded] = await Promise.all([bgSrc ? load(bgSrc) : null, ...sources.map(load)]);
+  const ctx = { createCanvas, measure: createMeasurer(createCanvas), images: new Map(sources.map((src, i) => [src, loaded[i]])) };
+
+  const { width, height } = doc.canvas;
+  const stage = new Konva.Stage({ width, height });
+  const layer = new Konva.Layer();
+  stage.add(layer);
+  layer.add(new Konva.Rect({ x: 0, y: 0, width, height, fill: settings.bgColor }));
+  if (bgImg) {
+    const { canvas, rect } = renderBackground(bgImg, settings, width, height, pixelRatio, createCanvas);
+    layer.add(new Konva.Image({ image: canvas, ...rect }));
+  }
+  layer.add(new Konva.Rect({ x: 0, y: 0, width, height, fill: settings.overlay, opacity: settings.overlayAlpha }));
+  for (const overlay of settings.overlays || []) layer.add(new Konva.Rect(overlayAttrs(overlay, doc.canvas)));
+  for (const el of elements) {
+    if (!el.hidden) addNode(Konva, layer, el, ctx);
+  }
+  const canvas = stage.toCanvas({ pixelRatio });
+  stage.destroy();
+  return canvas;
+}
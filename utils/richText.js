@@ -0,0 +1,224 @@
+// Text layout for text elements, shared by the editor and the headless
+// renderer so both wrap, fit and style words identically. Konva.Text can't
+// color single words, so a text element is laid out here into lines of
+// words and drawn as one Konva.Text per same-styled run of words (see
+// textAttrs in utils/shapes).
+//
+// Styling fields on a text element, on top of the Konva text attributes:
+//   runs:          [{ from, to, fill?, stroke?, highlight? }]  word indices,
+//                  inclusive; later runs win where they overlap
+//   gradient:      { from, to, angle } linear fill across the box, or null
+//   letterSpacing, lineHeight, align ('left' | 'center' | 'right'),
+//   uppercase:     draw the text in capitals, keep what was typed
+//   autoFit:       pick the largest fontSize whose lines fill the box
+
+const MIN_FIT_SIZE = 6;
+const MAX_FIT_SIZE = 600;
+
+export const TEXT_ALIGNS = ['left', 'center', 'right'];
+
+// Word indices count every whitespace-separated word of `text`, across lines.
+export function splitWords(text) {
+  return String(text ?? '').split(/\s+/).filter(Boolean);
+}
+
+// Same font string Konva builds, so measurements match what it draws.
+export function fontString(el, fontSize = el.fontSize) {
+  const family = String(el.fontFamily || 'Arial').split(',').map(f => {
+    const name = f.trim();
+    return name.includes(' ') && !/["']/.test(name) ? `"${name}"` : name;
+  }).join(', ');
+  return `${el.fontStyle || 'normal'} ${el.fontVariant || 'normal'} ${fontSize}px ${family}`;
+}
+
+// `measure(text, font)` returns the width in px. Results are cached per font;
+// `measure.clear()` drops them (needed once a web font finishes loading).
+export function createMeasurer(createCanvas) {
+  const ctx = createCanvas(1, 1).getContext('2d');
+  const cache = new Map();
+  const measure = (text, font) => {
+    const key = `${font}\u0000${text}`;
+    let width = cache.get(key);
+    if (width === undefined) {
+      if (cache.size > 5000) cache.clear();
+      ctx.font = font;
+      width = ctx.measureText(text).width;
+      cache.set(key, width);
+    }
+    return width;
+  };
+  measure.clear = () => cache.clear();
+  return measure;
+}
+
+let browserMeasurer = null;
+export function defaultMeasurer() {
+  if (!browserMeasurer) {
+    browserMeasurer = createMeasurer((w, h) => {
+      const c = document.createElement('canvas');
+      c.width = w; c.height = h;
+      return c;
+    });
+  }
+  return browserMeasurer;
+}
+
+// Greedy word wrap at one font size. Words wider than the box are broken
+// between characters, like Konva does. Lines past the box height are
+// dropped (the first line always stays) and reported as `overflow`.
+function wrap(el, fontSize, measure) {
+  const font = fontString(el, fontSize);
+  const spacing = el.letterSpacing || 0;
+  const widthOf = t => measure(t, font) + spacing * [...t].length;
+  const maxWidth = el.width > 0 ? el.width : Infinity;
+  const spaceWidth = widthOf(' ');
+  const text = el.uppercase ? String(el.text ?? '').toUpperCase() : String(el.text ?? '');
+  const lines = [];
+  let broken = false;
+  let index = 0;
+
+  for (const paragraph of text.split('\n')) {
+    let line = { items: [], width: 0 };
+    const push = (item, gap) => {
+      line.width += (gap ? spaceWidth : 0) + item.width;
+      line.items.push({ ...item, gap });
+    };
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const width = widthOf(word);
+      if (line.items.length && line.width + spaceWidth + width <= maxWidth) {
+        push({ text: word, index, width }, true);
+      } else if (width <= maxWidth) {
+        if (line.items.length) lines.push(line);
+        line = { items: [], width: 0 };
+        push({ text: word, index, width }, false);
+      } else {
+        broken = true;
+        if (line.items.length) lines.push(line);
+        line = { items: [], width: 0 };
+        let piece = '';
+        for (const ch of word) {
+          if (piece && widthOf(piece + ch) > maxWidth) {
+            push({ text: piece, index, width: widthOf(piece) }, false);
+            lines.push(line);
+            line = { items: [], width: 0 };
+            piece = '';
+          }
+          piece += ch;
+        }
+        push({ text: piece, index, width: widthOf(piece) }, false);
+      }
+      index++;
+    }
+    lines.push(line);
+  }
+
+  const lineHeightPx = fontSize * (el.lineHeight || 1);
+  const maxLines = el.height > 0 ? Math.max(1, Math.floor(el.height / lineHeightPx + 1e-6)) : Infinity;
+  const overflow = lines.length > maxLines;
+  return { lines: overflow ? lines.slice(0, maxLines) : lines, lineHeightPx, broken, overflow, spaceWidth };
+}
+
+function fitFontSize(el, measure) {
+  let lo = MIN_FIT_SIZE;
+  let hi = Math.min(MAX_FIT_SIZE, Math.max(MIN_FIT_SIZE, el.height || MAX_FIT_SIZE));
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    const { broken, overflow } = wrap(el, mid, measure);
+    if (broken || overflow) hi = mid - 1;
+    else lo = mid;
+  }
+  return lo;
+}
+
+// Returns `{ fontSize, lineHeightPx, spaceWidth, overflow, lines }` where each
+// line is `{ x, y, width, items: [{ text, index, width, gap, x }] }` in
+// box-local pixels. An auto-fitted block is centered vertically in the box.
+export function layoutText(el, measure = defaultMeasurer()) {
+  const autoFit = el.autoFit && el.width > 0 && el.height > 0;
+  const fontSize = autoFit ? fitFontSize(el, measure) : (el.fontSize || 12);
+  const { lines, lineHeightPx, overflow, spaceWidth } = wrap(el, fontSize, measure);
+  const boxWidth = el.width > 0 ? el.width : Math.max(0, ...lines.map(l => l.width));
+  const top = autoFit ? Math.max(0, (el.height - lines.length * lineHeightPx) / 2) : 0;
+
+  return {
+    fontSize,
+    lineHeightPx,
+    spaceWidth,
+    overflow,
+    lines: lines.map((line, i) => {
+      const x = el.align === 'center' ? (boxWidth - line.width) / 2 : el.align === 'right' ? boxWidth - line.width : 0;
+      let cursor = 0;
+      const items = line.items.map(item => {
+        cursor += item.gap ? spaceWidth : 0;
+        const placed = { ...item, x: cursor };
+        cursor += item.width;
+        return placed;
+      });
+      return { x, y: top + i * lineHeightPx, width: line.width, items };
+    })
+  };
+}
+
+// Style of word `index` from the element's runs.
+export function wordStyle(runs, index) {
+  let style = {};
+  for (const run of runs || []) {
+    if (index >= run.from && index <= run.to) {
+      const { from, to, ...rest } = run;
+      style = { ...style, ...rest };
+    }
+  }
+  return style;
+}
+
+// Runs covering `styles`, one style per word: adjacent equal styles merged,
+// unstyled words left out.
+function runsFromStyles(styles) {
+  const out = [];
+  styles.forEach((style, i) => {
+    if (!Object.keys(style).length) return;
+    const prev = out[out.length - 1];
+    const { from: _f, to: _t, ...prevStyle } = prev || {};
+    if (prev && prev.to === i - 1 && JSON.stringify(prevStyle) === JSON.stringify(style)) prev.to = i;
+    else out.push({ from: i, to: i, ...style });
+  });
+  return out;
+}
+
+// Sets (or, with a null value, clears) style keys on words `from`..`to` and
+// returns the runs rewritten without overlaps, adjacent equal runs merged.
+export function applyWordStyle(runs = [], from, to, patch) {
+  const last = Math.max(to, ...runs.map(r => r.to));
+  const styles = [];
+  for (let i = 0; i <= last; i++) {
+    let style = wordStyle(runs, i);
+    if (i >= from && i <= to) {
+      style = { ...style, ...patch };
+      for (const k of Object.keys(style)) if (style[k] === null || style[k] === undefined) delete style[k];
+    }
+    styles.push(style);
+  }
+  return runsFromStyles(styles);
+}
+
+// Moves the runs along when the text changes from `before` to `after`, so
+// styled words stay styled. Words before and after the edited stretch keep
+// their style; inside it, words take the style of the old word at the same
+// position (editing a word keeps its color) and inserted words get none.
+export function remapRuns(runs, before, after) {
+  if (!runs?.length) return runs;
+  const oldWords = splitWords(before);
+  const newWords = splitWords(after);
+  const shortest = Math.min(oldWords.length, newWords.length);
+  let head = 0;
+  while (head < shortest && oldWords[head] === newWords[head]) head++;
+  let tail = 0;
+  while (tail < shortest - head && oldWords[oldWords.length - 1 - tail] === newWords[newWords.length - 1 - tail]) tail++;
+  const oldMiddle = oldWords.length - head - tail;
+  const styles = newWords.map((_, i) => {
+    if (i < head) return wordStyle(runs, i);
+    if (i >= newWords.length - tail) return wordStyle(runs, i - newWords.length + oldWords.length);
+    return i - head < oldMiddle ? wordStyle(runs, i) : {};
+  });
+  return runsFromStyles(styles);
+}
@@ -0,0 +1,124 @@
+// Overlap tests between elements and the frame's safe zones. An element is
+// tested as its rotated box (four corners in frame pixels, the `quad`), not
+// its axis-aligned client rect, so a tilted title that only clips a zone with
+// its bounding box doesn't count. Zones are axis-aligned rects from
+// safeZonesFor. Tests use the separating axis theorem: two convex shapes are
+// apart exactly when their projections on one of the edge normals are.
+
+// Corners of `node`'s own box in `stage` coordinates. For text the invisible
+// layout box is left out, so only the glyphs and highlight boxes count.
+export function nodeQuad(node, stage) {
+  let box;
+  const children = node.getChildren ? node.getChildren() : [];
+  if (children.some(c => c.hasName('text-box'))) {
+    const parts = children.filter(c => !c.hasName('text-box') && c.isVisible());
+    if (!parts.length) return null;
+    const rects = parts.map(c => c.getClientRect({ relativeTo: node, skipShadow: true }));
+    const x1 = Math.min(...rects.map(r => r.x));
+    const y1 = Math.min(...rects.map(r => r.y));
+    const x2 = Math.max(...rects.map(r => r.x + r.width));
+    const y2 = Math.max(...rects.map(r => r.y + r.height));
+    box = { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+  } else {
+    box = node.getClientRect({ skipTransform: true, skipShadow: true });
+  }
+  const t = node.getAbsoluteTransform(stage);
+  return [
+    t.point({ x: box.x, y: box.y }),
+    t.point({ x: box.x + box.width, y: box.y }),
+    t.point({ x: box.x + box.width, y: box.y + box.height }),
+    t.point({ x: box.x, y: box.y + box.height })
+  ];
+}
+
+export function quadBounds(quad) {
+  const xs = quad.map(p => p.x);
+  const ys = quad.map(p => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+function rectQuad(r) {
+  return [{ x: r.x, y: r.y }, { x: r.x + r.width, y: r.y }, { x: r.x + r.width, y: r.y + r.height }, { x: r.x, y: r.y + r.height }];
+}
+
+function project(points, axis) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const p of points) {
+    const d = p.x * axis.x + p.y * axis.y;
+    if (d < min) min = d;
+    if (d > max) max = d;
+  }
+  return [min, max];
+}
+
+// The zone's axes plus the quad's two edge normals, as unit vectors.
+function separatingAxes(quad) {
+  const axes = [{ x: 1, y: 0 }, { x: 0, y: 1 }];
+  for (let i = 0; i < 2; i++) {
+    const a = quad[i];
+    const b = quad[i + 1];
+    const len = Math.hypot(b.x - a.x, b.y - a.y);
+    if (len > 1e-6) axes.push({ x: -(b.y - a.y) / len, y: (b.x - a.x) / len });
+  }
+  return axes;
+}
+
+// True when the quad and `rect` share some area; touching edges don't count.
+export function quadIntersectsRect(quad, rect) {
+  const corners = rectQuad(rect);
+  return separatingAxes(quad).every(axis => {
+    const [a0, a1] = project(quad, axis);
+    const [b0, b1] = project(corners, axis);
+    return a0 < b1 - 0.5 && b0 < a1 - 0.5;
+  });
+}
+
+// `{ [id]: { quad, zones } }` for the visible top-level `elements` whose node
+// on `stage` overlaps one of `zones`.
+export function findZoneHits(stage, elements, zones) {
+  const hits = {};
+  if (!stage || !zones.length) return hits;
+  for (const el of elements) {
+    if (el.hidden) continue;
+    const node = stage.findOne(`#node-${el.id}`);
+    const quad = node && nodeQuad(node, stage);
+    if (!quad) continue;
+    const touched = zones.filter(z => quadIntersectsRect(quad, z));
+    if (touched.length) hits[el.id] = { quad, zones: touched };
+  }
+  return hits;
+}
+
+function outside(bounds, frame) {
+  return Math.max(0, -bounds.x) + Math.max(0, bounds.x + bounds.width - frame.width)
+    + Math.max(0, -bounds.y) + Math.max(0, bounds.y + bounds.height - frame.height);
+}
+
+// The shortest move `{ dx, dy }` that takes `quad` clear of every zone, with
+// `margin` pixels to spare, without pushing it further out of `frame` than it
+// already is. Moves are tried along each separating axis in both directions,
+// so a rotated box slides off along its own edge when that is shorter.
+// Returns null when no single move clears all zones.
+export function nudgeOutOfZones(quad, zones, frame, margin = 12) {
+  const candidates = [];
+  for (const zone of zones) {
+    if (!quadIntersectsRect(quad, zone)) continue;
+    const corners = rectQuad(zone);
+    for (const axis of separatingAxes(quad)) {
+      const [a0, a1] = project(quad, axis);
+      const [b0, b1] = project(corners, axis);
+      for (const d of [b1 - a0 + margin, -(a1 - b0 + margin)]) {
+        candidates.push({ dx: Math.round(axis.x * d) || 0, dy: Math.round(axis.y * d) || 0 });
+      }
+    }
+  }
+  const before = outside(quadBounds(quad), frame);
+  candidates.sort((a, b) => Math.hypot(a.dx, a.dy) - Math.hypot(b.dx, b.dy));
+  return candidates.find(({ dx, dy }) => {
+    const moved = quad.map(p => ({ x: p.x + dx, y: p.y + dy }));
+    return !zones.some(z => quadIntersectsRect(moved, z)) && outside(quadBounds(moved), frame) <= before + 0.5;
+  }) || null;
+}
@@ -0,0 +1,71 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ProjectFormatError } from './project';
+
+// Server-side fonts for the render API. node-canvas only knows the fonts
+// installed on the machine, so any .ttf/.otf dropped into `fonts/` at the
+// project root is registered under the family name before the first "-" of
+// its file name (`Anton-Regular.ttf` -> "Anton"). Put the faces the editor's
+// font stacks name there (Impact/Anton for titles) to get identical output.
+
+const FONT_DIR = path.join(process.cwd(), 'fonts');
+
+function registerFolderFonts(registerFont) {
+  let files = [];
+  try {
+    files = fs.readdirSync(FONT_DIR);
+  } catch {
+    return; // no folder: system fonts only
+  }
+  for (const file of files) {
+    if (!/\.(ttf|otf)$/i.test(file)) continue;
+    const base = file.replace(/\.(ttf|otf)$/i, '');
+    const family = base.split('-')[0];
+    const weight = /bold|black|heavy/i.test(base) ? 'bold' : 'normal';
+    const style = /italic/i.test(base) ? 'italic' : 'normal';
+    registerFont(path.join(FONT_DIR, file), { family, weight, style });
+  }
+}
+
+function fontData(font) {
+  const comma = font.src.indexOf(',');
+  const body = font.src.slice(comma + 1);
+  try {
+    return font.src.slice(0, comma).endsWith(';base64')
+      ? Buffer.from(body, 'base64')
+      : Buffer.from(decodeURIComponent(body));
+  } catch (err) {
+    throw new ProjectFormatError('Font yang disematkan tidak bisa dibaca.', [`fonts "${font.family}": ${err.message}`]);
+  }
+}
+
+let queue = Promise.resolve();
+
+// Fonts uploaded in the editor travel inside the project as data URLs.
+// registerFont needs a file and registers process-wide, so renders take
+// turns: each writes its fonts to its own temp folder, runs `render`, then
+// deregisters everything and removes the folder, so no font (or family
+// name) carries over to the next document. node-canvas can't read
+// WOFF/WOFF2; those are skipped and the text falls back to the stack's
+// other fonts.
+export function withEmbeddedFonts(fonts, { registerFont, deregisterAllFonts }, render) {
+  const run = queue.then(async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'yt-thumb-fonts-'));
+    try {
+      registerFolderFonts(registerFont);
+      fonts.forEach((font, i) => {
+        if (font.format === 'woff' || font.format === 'woff2') return;
+        const file = path.join(dir, `${i}.${font.format === 'opentype' ? 'otf' : 'ttf'}`);
+        fs.writeFileSync(file, fontData(font));
+        registerFont(file, { family: font.family });
+      });
+      return await render();
+    } finally {
+      deregisterAllFonts();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+  queue = run.catch(() => {});
+  return run;
+}
@@ -0,0 +1,363 @@
+// Konva attributes for each element type. Both the editor (react-konva, see
+// components/ElementNode) and the headless renderer (utils/render) build
+// their nodes from these, so a thumbnail looks the same whichever path drew
+// it. Anything that changes how an element is drawn belongs here.
+
+import { compositeOperation } from './overlays';
+import { layoutText, wordStyle } from './richText';
+
+// Document fields that mean something to the editor but not to Konva.
+const EDITOR_ONLY = ['type', 'label', 'hidden', 'locked', 'draggable', 'children', 'src'];
+
+export function shapeAttrs(el) {
+  const attrs = { ...el };
+  for (const k of EDITOR_ONLY) delete attrs[k];
+  delete attrs.blendMode;
+  delete attrs.effects;
+  if (el.blendMode) attrs.globalCompositeOperation = compositeOperation(el.blendMode);
+  return attrs;
+}
+
+// Konva.Text attributes every run of a text element inherits.
+const TEXT_STYLE_KEYS = [
+  'fontFamily', 'fontStyle', 'fontVariant', 'textDecoration', 'fill', 'stroke', 'strokeWidth', 'lineJoin',
+  'fillAfterStrokeEnabled'
+];
+
+// Gradient end points across the whole box, so every run continues the
+// same gradient instead of restarting it.
+function gradientPoints(gradient, width, height) {
+  const a = ((gradient.angle ?? 90) * Math.PI) / 180;
+  const dx = Math.cos(a);
+  const dy = Math.sin(a);
+  const half = Math.abs((width / 2) * dx) + Math.abs((height / 2) * dy);
+  return {
+    start: { x: width / 2 - dx * half, y: height / 2 - dy * half },
+    end: { x: width / 2 + dx * half, y: height / 2 + dy * half }
+  };
+}
+
+// A text element becomes a group: `box` (transparent, the hit area and the
+// transformer's bounds), highlight rects behind the words, then one
+// single-line Konva.Text per run of identically styled words. `measure`
+// comes from utils/richText (createMeasurer / defaultMeasurer).
+export function textAttrs(el, measure) {
+  const layout = layoutText(el, measure);
+  const { fontSize, lineHeightPx } = layout;
+  const width = el.width > 0 ? el.width : Math.max(0, ...layout.lines.map(l => l.width));
+  const height = el.height > 0 ? el.height : layout.lines.length * lineHeightPx;
+  const base = {};
+  for (const k of TEXT_STYLE_KEYS) if (el[k] !== undefined) base[k] = el[k];
+  const gradient = el.gradient ? gradientPoints(el.gradient, width, height) : null;
+  const padX = fontSize * 0.12;
+
+  const segments = [];
+  const highlights = [];
+  for (const line of layout.lines) {
+    let run = null;
+    let mark = null;
+    for (const item of line.items) {
+      const style = wordStyle(el.runs, item.index);
+      const key = `${style.fill || ''}|${style.stroke || ''}`;
+      const x = line.x + item.x;
+      if (run && run.key === key) {
+        run.text += (item.gap ? ' ' : '') + item.text;
+      } else {
+        // the space before a new run stays with the previous one
+        if (run && item.gap) run.text += ' ';
+        run = { key, style, x, y: line.y, text: item.text };
+        segments.push(run);
+      }
+      if (style.highlight && mark && mark.fill === style.highlight) {
+        mark.width = x + item.width + padX - mark.x;
+      } else {
+        mark = style.highlight ? {
+          fill: style.highlight,
+          x: x - padX,
+          y: line.y + lineHeightPx / 2 - fontSize * 0.6,
+          width: item.width + padX * 2,
+          height: fontSize * 1.2,
+          cornerRadius: fontSize * 0.12,
+          listening: false
+        } : null;
+        if (mark) highlights.push(mark);
+      }
+    }
+  }
+
+  return {
+    group: { x: el.x, y: el.y, rotation: el.rotation || 0, opacity: el.opacity ?? 1 },
+    box: { width, height, fill: 'transparent', name: 'text-box' },
+    highlights,
+    segments: segments.map(seg => {
+      const attrs = {
+        ...base,
+        text: seg.text,
+        x: seg.x,
+        y: seg.y,
+        fontSize,
+        letterSpacing: el.letterSpacing || 0,
+        lineHeight: el.lineHeight || 1,
+        listening: false
+      };
+      if (seg.style.stroke) attrs.stroke = seg.style.stroke;
+      if (seg.style.fill) {
+        attrs.fill = seg.style.fill;
+      } else if (gradient) {
+        attrs.fillPriority = 'linear-gradient';
+        attrs.fillLinearGradientStartPoint = { x: gradient.start.x - seg.x, y: gradient.start.y - seg.y };
+        attrs.fillLinearGradientEndPoint = { x: gradient.end.x - seg.x, y: gradient.end.y - seg.y };
+        attrs.fillLinearGradientColorStops = [0, el.gradient.from, 1, el.gradient.to];
+      }
+      return attrs;
+    }),
+    overflow: layout.overflow
+  };
+}
+
+// Small seeded PRNG (mulberry32) so a sketchy shape wobbles the same way on
+// every render, in the editor and in the headless renderer alike.
+function seededRandom(seed) {
+  let h = 0;
+  for (const ch of String(seed)) h = (Math.imul(h, 31) + ch.charCodeAt(0)) | 0;
+  return () => {
+    h = (h + 0x6d2b79f5) | 0;
+    let t = Math.imul(h ^ (h >>> 15), 1 | h);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Point at `t` (0..1) along a path's handle points: a line for two, for
+// three the quadratic curve that passes through the middle one.
+function pathPoint(pts, t) {
+  if (pts.length < 6) return { x: pts[0] + (pts[2] - pts[0]) * t, y: pts[1] + (pts[3] - pts[1]) * t };
+  const cx = 2 * pts[2] - (pts[0] + pts[4]) / 2;
+  const cy = 2 * pts[3] - (pts[1] + pts[5]) / 2;
+  const u = 1 - t;
+  return { x: u * u * pts[0] + 2 * u * t * cx + t * t * pts[4], y: u * u * pts[1] + 2 * u * t * cy + t * t * pts[5] };
+}
+
+// The path resampled with a little sideways wobble; the ends stay put so an
+// arrow head still lands where it was aimed.
+function sketchPoints(el) {
+  const rand = seededRandom(el.id);
+  const wobble = Math.max(2, (el.strokeWidth || 4) * 0.5);
+  const steps = 8;
+  const out = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    const p = pathPoint(el.points, t);
+    const a = pathPoint(el.points, Math.max(0, t - 0.01));
+    const b = pathPoint(el.points, Math.min(1, t + 0.01));
+    const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    const off = i === 0 || i === steps ? 0 : (rand() - 0.5) * 2 * wobble;
+    out.push(p.x - ((b.y - a.y) / len) * off, p.y + ((b.x - a.x) / len) * off);
+  }
+  return out;
+}
+
+// Konva.Arrow (arrows) and Konva.Line (lines, polygons) attributes. Curves
+// go through their control point via Konva's tension.
+export function pathAttrs(el) {
+  const attrs = shapeAttrs(el);
+  delete attrs.pathStyle;
+  attrs.hitStrokeWidth = Math.max(20, el.strokeWidth || 0);
+  if (el.type === 'polygon') return { ...attrs, closed: true, lineJoin: 'round' };
+  if (el.type === 'line') attrs.lineCap = 'round';
+  if (el.pathStyle === 'curved' && el.points.length === 6) attrs.tension = 0.5;
+  if (el.pathStyle === 'sketch') {
+    attrs.points = sketchPoints(el);
+    attrs.tension = 0.4;
+    attrs.lineCap = 'round';
+    attrs.lineJoin = 'round';
+  }
+  return attrs;
+}
+
+function speechScene(el) {
+  return (ctx, shape) => {
+    const rx = shape.width() / 2;
+    const ry = shape.height() / 2;
+    // the tail leaves the ellipse where it faces the tip
+    const a = Math.atan2((el.tail.y - ry) / ry, (el.tail.x - rx) / rx);
+    const spread = 0.22;
+    const steps = 48;
+    ctx.beginPath();
+    for (let i = 0; i <= steps; i++) {
+      const t = a + spread + (i / steps) * (2 * Math.PI - 2 * spread);
+      const x = rx + Math.cos(t) * rx;
+      const y = ry + Math.sin(t) * ry;
+      if (i) ctx.lineTo(x, y);
+      else ctx.moveTo(x, y);
+    }
+    ctx.lineTo(el.tail.x, el.tail.y);
+    ctx.closePath();
+    ctx.fillStrokeShape(shape);
+  };
+}
+
+function thoughtScene(el) {
+  return (ctx, shape) => {
+    const w = shape.width();
+    const h = shape.height();
+    const rx = w / 2;
+    const ry = h / 2;
+    const bumps = 9;
+    ctx.beginPath();
+    for (let i = 0; i <= bumps; i++) {
+      const t = (i / bumps) * 2 * Math.PI;
+      const x = rx + Math.cos(t) * rx * 0.9;
+      const y = ry + Math.sin(t) * ry * 0.9;
+      if (!i) {
+        ctx.moveTo(x, y);
+      } else {
+        const m = t - Math.PI / bumps;
+        ctx.quadraticCurveTo(rx + Math.cos(m) * rx * 1.15, ry + Math.sin(m) * ry * 1.15, x, y);
+      }
+    }
+    ctx.closePath();
+    // shrinking circles from the cloud's edge to the tip
+    const a = Math.atan2((el.tail.y - ry) / ry, (el.tail.x - rx) / rx);
+    const ex = rx + Math.cos(a) * rx;
+    const ey = ry + Math.sin(a) * ry;
+    const base = Math.min(w, h) * 0.09;
+    for (let i = 0; i < 3; i++) {
+      const f = (i + 1) / 3;
+      const r = base * (1 - i * 0.3);
+      const cx = ex + (el.tail.x - ex) * f;
+      const cy = ey + (el.tail.y - ey) * f;
+      ctx.moveTo(cx + r, cy);
+      ctx.arc(cx, cy, r, 0, 2 * Math.PI);
+    }
+    ctx.fillStrokeShape(shape);
+  };
+}
+
+// Speech bubbles are an ellipse filling the box with a pointed tail to
+// `tail`, thought bubbles a cloud with a trail of circles toward it. Each is
+// drawn as one path so fill and outline have no seams between the parts.
+// `sceneKey` lists what the draw function reads besides the box, so the
+// effects cache (utils/effects) can tell a rebuilt function from a new shape.
+export function bubbleAttrs(el) {
+  return {
+    x: el.x,
+    y: el.y,
+    width: el.width,
+    height: el.height,
+    rotation: el.rotation || 0,
+    opacity: el.opacity ?? 1,
+    fill: el.fill,
+    stroke: el.stroke,
+    strokeWidth: el.strokeWidth || 0,
+    lineJoin: 'round',
+    sceneFunc: el.bubbleStyle === 'thought' ? thoughtScene(el) : speechScene(el),
+    sceneKey: [el.bubbleStyle, el.tail.x, el.tail.y]
+  };
+}
+
+// Highlight rings: an ellipse outline filling the box or, with `sketch`, a
+// marker-style loop that runs past its start and slightly inward.
+export function ringAttrs(el) {
+  return {
+    x: el.x,
+    y: el.y,
+    width: el.width,
+    height: el.height,
+    rotation: el.rotation || 0,
+    opacity: el.opacity ?? 1,
+    stroke: el.stroke,
+    strokeWidth: el.strokeWidth || 0,
+    lineCap: 'round',
+    lineJoin: 'round',
+    hitStrokeWidth: Math.max(20, el.strokeWidth || 0),
+    sceneKey: [el.id, !!el.sketch],
+    sceneFunc: (ctx, shape) => {
+      const rx = shape.width() / 2;
+      const ry = shape.height() / 2;
+      const rand = seededRandom(el.id);
+      const phase = rand() * 2 * Math.PI;
+      const start = el.sketch ? -2.2 + rand() * 0.4 : 0;
+      const turn = el.sketch ? 2.25 * Math.PI : 2 * Math.PI;
+      const steps = 72;
+      ctx.beginPath();
+      for (let i = 0; i <= steps; i++) {
+        const t = start + (i / steps) * turn;
+        const k = el.sketch ? 1 + 0.03 * Math.sin(2 * t + phase) - 0.06 * (i / steps) : 1;
+        const x = rx + Math.cos(t) * rx * k;
+        const y = ry + Math.sin(t) * ry * k;
+        if (i) ctx.lineTo(x, y);
+        else ctx.moveTo(x, y);
+      }
+      if (!el.sketch) ctx.closePath();
+      ctx.strokeShape(shape);
+    }
+  };
+}
+
+export function badgeAttrs(el) {
+  return {
+    group: { x: el.x, y: el.y, rotation: el.rotation || 0 },
+    star: {
+      numPoints: el.numPoints,
+      innerRadius: el.innerRadius,
+      outerRadius: el.outerRadius,
+      fill: el.fill,
+      stroke: el.stroke,
+      strokeWidth: el.strokeWidth,
+      opacity: el.opacity
+    },
+    text: {
+      text: el.text,
+      fill: el.textFill,
+      fontStyle: '800',
+      fontSize: el.textSize,
+      width: el.outerRadius * 2,
+      height: el.outerRadius * 2,
+      x: -el.outerRadius,
+      y: -el.outerRadius,
+      align: 'center',
+      verticalAlign: 'middle'
+    }
+  };
+}
+
+export function groupAttrs(el) {
+  return {
+    x: el.x,
+    y: el.y,
+    rotation: el.rotation || 0,
+    scaleX: el.scaleX || 1,
+    scaleY: el.scaleY || 1,
+    opacity: el.opacity ?? 1
+  };
+}
+
+export function imageAttrs(el) {
+  return {
+    x: el.x,
+    y: el.y,
+    width: el.width,
+    height: el.height,
+    rotation: el.rotation || 0,
+    opacity: el.opacity ?? 1,
+    globalCompositeOperation: compositeOperation(el.blendMode)
+  };
+}
+
+// sceneFunc/hitFunc for image elements: the baked bitmap may reach past the
+// box (sticker outline) but hits and the transformer use the box itself.
+export function imageSceneFunc(bitmap) {
+  return (ctx, shape) => {
+    if (!bitmap) return;
+    const { canvas, pad } = bitmap;
+    ctx.drawImage(canvas, -pad, -pad, shape.width() + pad * 2, shape.height() + pad * 2);
+  };
+}
+
+export function boxHitFunc(ctx, shape) {
+  ctx.beginPath();
+  ctx.rect(0, 0, shape.width(), shape.height());
+  ctx.closePath();
+  ctx.fillStrokeShape(shape);
+}
@@ -0,0 +1,77 @@
+// Small promise wrapper around IndexedDB. localStorage tops out around 5MB,
+// which one embedded photo can exceed, so everything persistent lives here.
+
+const DB_NAME = 'yt-thumb';
+const DB_VERSION = 2;
+const KV_STORE = 'kv';
+const ASSET_STORE = 'assets'; // version 2: the asset library, keyed by id
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB tidak tersedia di browser ini.'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(KV_STORE)) db.createObjectStore(KV_STORE);
+      if (!db.objectStoreNames.contains(ASSET_STORE)) db.createObjectStore(ASSET_STORE, { keyPath: 'id' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+function run(storeName, mode, fn) {
+  return openDb().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  }));
+}
+
+export function kvGet(key) {
+  return run(KV_STORE, 'readonly', store => store.get(key));
+}
+
+export function kvSet(key, value) {
+  return run(KV_STORE, 'readwrite', store => store.put(value, key));
+}
+
+export function kvDelete(key) {
+  return run(KV_STORE, 'readwrite', store => store.delete(key));
+}
+
+// Asset records (see utils/assets) carry their image as a Blob, which
+// IndexedDB stores natively.
+export function assetGet(id) {
+  return run(ASSET_STORE, 'readonly', store => store.get(id));
+}
+
+export function assetList() {
+  return run(ASSET_STORE, 'readonly', store => store.getAll());
+}
+
+export function assetPut(asset) {
+  return run(ASSET_STORE, 'readwrite', store => store.put(asset));
+}
+
+export function assetDelete(id) {
+  return run(ASSET_STORE, 'readwrite', store => store.delete(id));
+}
+
+// `{ usage, quota }` in bytes for the whole origin, or null where the
+// browser doesn't say.
+export async function storageEstimate() {
+  if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage: usage || 0, quota: quota || 0 };
+}
@@ -0,0 +1,267 @@
+import { DEFAULT_BG_SETTINGS } from './background';
+import { DEFAULT_BRAND_KIT, brandProjectFonts, brandTextStyle } from './brandKit';
+import { primaryFamily } from './fonts';
+import { DEFAULT_CANVAS } from './frame';
+import { moveLegacyShadow, scaleEffects } from './effects';
+import { scaleElement } from './geometry';
+import { ProjectFormatError, validateElements } from './project';
+
+// Templates are whole designs kept as data: the look of the background, the
+// elements with placeholder text, and the uploaded fonts they use.
+//
+//   { id, name, canvas: { width, height }, settings: { overlay, ... },
+//     elements: [ ...same shape as a project's elements ], fonts: [...] }
+//
+// `settings` only holds the look of the background (adjustments, overlay,
+// fill color); how the photo is fitted and cropped belongs to the photo and
+// is never taken from a template. A template pack is a file holding several
+// templates, for sharing them between machines; it embeds the library images
+// (utils/assets) they use the way project files embed their assets.
+
+export const TEMPLATE_PACK_FORMAT = 'yt-thumb-templates';
+export const TEMPLATE_PACK_VERSION = 2;
+
+const PHOTO_KEYS = ['fit', 'cropX', 'cropY', 'cropZoom'];
+
+// What "style only" copies onto existing text. Sizes, effect sizes
+// included, scale with the font so a thin outline on a small title stays
+// thin on a big one.
+const TEXT_STYLE_KEYS = ['fontFamily', 'fontStyle', 'fill', 'stroke', 'gradient', 'lineHeight', 'uppercase'];
+const TEXT_SIZE_KEYS = ['strokeWidth', 'letterSpacing'];
+
+function title(id, kit, attrs) {
+  return {
+    id, type: 'text', x: 80, y: 400, rotation: 0, draggable: true,
+    ...brandTextStyle(kit), fontStyle: 'bold',
+    align: 'left', width: 1000, autoFit: true,
+    ...attrs
+  };
+}
+
+// The built-in templates in the colors, title font and text style of a
+// brand kit (utils/brandKit).
+export function builtinTemplates(kit = DEFAULT_BRAND_KIT) {
+  const { roles } = kit;
+  const fonts = brandProjectFonts(kit).filter(f => f.family === kit.fonts[0].family);
+  return [
+    {
+      id: 'kuning-tegas',
+      name: 'Kuning Tegas',
+      canvas: DEFAULT_CANVAS,
+      settings: { overlay: '#000000', overlayAlpha: 0.35, saturation: 0.1, contrast: 0.15, brightness: -0.05 },
+      elements: [
+        {
+          id: 'kotak', type: 'rect', x: 60, y: 380, width: 1060, height: 220, rotation: 0, draggable: true,
+          fill: roles.accent, opacity: 0.9, stroke: roles.outline, strokeWidth: 0, cornerRadius: 16
+        },
+        title('judul', kit, { y: 400, height: 180, text: 'JANGAN LEWATKAN INI', fontSize: 140, fill: roles.onAccent, stroke: roles.text })
+      ],
+      fonts
+    },
+    {
+      id: 'neon',
+      name: 'Neon',
+      canvas: DEFAULT_CANVAS,
+      settings: { overlay: '#000000', overlayAlpha: 0.25 },
+      elements: [
+        title('judul', kit, { height: 195, text: 'RAHASIA VIRAL', fontSize: 150, fill: roles.highlight, stroke: roles.pop }),
+        {
+          id: 'panah', type: 'arrow', x: 950, y: 540, rotation: -20, draggable: true,
+          points: [0, 0, -180, -80], pointerLength: 26, pointerWidth: 26,
+          fill: roles.marker, stroke: roles.marker, strokeWidth: 18, opacity: 1
+        }
+      ],
+      fonts
+    },
+    {
+      id: 'bersih',
+      name: 'Bersih',
+      canvas: DEFAULT_CANVAS,
+      settings: { overlay: '#000000', overlayAlpha: 0.2, saturation: -0.1 },
+      elements: [
+        title('judul', kit, { height: 172, text: 'TIPS YOUTUBE', fontSize: 132 })
+      ],
+      fonts
+    }
+  ];
+}
+
+export const BUILTIN_TEMPLATES = builtinTemplates();
+
+export function isBuiltinTemplate(id) {
+  return BUILTIN_TEMPLATES.some(t => t.id === id);
+}
+
+function lookSettings(settings) {
+  const out = {};
+  for (const [k, v] of Object.entries(settings || {})) {
+    if (!PHOTO_KEYS.includes(k)) out[k] = v;
+  }
+  return out;
+}
+
+function usedFamilies(elements, out = new Set()) {
+  for (const el of elements) {
+    if (el.type === 'text') out.add(primaryFamily(el.fontFamily));
+    if (el.type === 'group') usedFamilies(el.children, out);
+  }
+  return out;
+}
+
+// Snapshot of a design as a template. Only the uploaded fonts its text
+// actually uses travel with it.
+export function createTemplate(id, name, { canvas, bgSettings, elements, fonts = [] }) {
+  const families = usedFamilies(elements);
+  return {
+    id,
+    name,
+    canvas: { width: canvas.width, height: canvas.height },
+    settings: lookSettings(bgSettings),
+    elements,
+    fonts: fonts.filter(f => families.has(f.family))
+  };
+}
+
+function withNewIds(el, newId) {
+  const copy = { ...el, id: newId() };
+  if (el.type === 'group') copy.children = el.children.map(c => withNewIds(c, newId));
+  return copy;
+}
+
+// The template's elements for a canvas of `canvas` size, with fresh ids.
+// A template made for another size is scaled uniformly and centered.
+export function templateElements(template, canvas, newId) {
+  const from = template.canvas || DEFAULT_CANVAS;
+  const s = Math.min(canvas.width / from.width, canvas.height / from.height);
+  const ox = (canvas.width - from.width * s) / 2;
+  const oy = (canvas.height - from.height * s) / 2;
+  return template.elements.map(el => {
+    const fresh = withNewIds(el, newId);
+    if (s === 1 && ox === 0 && oy === 0) return fresh;
+    return { ...scaleElement(fresh, s, s), x: ox + el.x * s, y: oy + el.y * s };
+  });
+}
+
+// Background settings after applying the template: its look on top of the
+// defaults, the current photo framing kept.
+export function templateSettings(template, current) {
+  const photo = {};
+  for (const k of PHOTO_KEYS) photo[k] = current[k];
+  return { ...DEFAULT_BG_SETTINGS, ...template.settings, ...photo };
+}
+
+function textLeaves(elements) {
+  return elements.flatMap(el => (el.type === 'group' ? textLeaves(el.children) : el.type === 'text' ? [el] : []));
+}
+
+// "Style only": existing text keeps its content, position and size but
+// takes the template's text styles. Both sides are ranked by font size, so
+// the biggest text gets the template's title style, the next its second
+// text style and so on; extra text reuses the last (smallest) style.
+export function restyleText(elements, template) {
+  const styles = textLeaves(template.elements).filter(el => el.fontSize > 0).sort((a, b) => b.fontSize - a.fontSize);
+  if (!styles.length) return elements;
+  const ranked = textLeaves(elements).sort((a, b) => b.fontSize - a.fontSize);
+  const styleFor = new Map(ranked.map((el, i) => [el.id, styles[Math.min(i, styles.length - 1)]]));
+  const apply = el => {
+    if (el.type === 'group') return { ...el, children: el.children.map(apply) };
+    const style = styleFor.get(el.id);
+    if (!style) return el;
+    const next = { ...el };
+    for (const k of TEXT_STYLE_KEYS) next[k] = style[k];
+    for (const k of TEXT_SIZE_KEYS) next[k] = ((style[k] || 0) / style.fontSize) * el.fontSize;
+    next.effects = scaleEffects(style.effects || [], el.fontSize / style.fontSize);
+    return next;
+  };
+  return elements.map(apply);
+}
+
+// Templates from before version 2 of the pack format (and ones kept in the
+// browser since then) may still have drop shadows in the old shadow* fields.
+export function upgradeTemplate(t) {
+  return isObject(t) && Array.isArray(t.elements) ? { ...t, elements: t.elements.map(moveLegacyShadow) } : t;
+}
+
+// Adds `incoming` to the user's templates; one with an id already there
+// replaces it, copies of the built-ins are skipped.
+export function mergeTemplates(list, incoming) {
+  const out = list.slice();
+  for (const t of incoming) {
+    if (isBuiltinTemplate(t.id)) continue;
+    const at = out.findIndex(x => x.id === t.id);
+    if (at >= 0) out[at] = t;
+    else out.push(t);
+  }
+  return out;
+}
+
+export function serializeTemplatePack(templates, assets = []) {
+  return {
+    format: TEMPLATE_PACK_FORMAT,
+    version: TEMPLATE_PACK_VERSION,
+    templates,
+    assets,
+    savedAt: new Date().toISOString()
+  };
+}
+
+function isObject(v) { return v !== null && typeof v === 'object' && !Array.isArray(v); }
+
+function validateTemplate(t, at, errors) {
+  if (!isObject(t)) { errors.push(`${at} harus berupa objek`); return; }
+  if (typeof t.id !== 'string' || !t.id) errors.push(`${at}.id harus berupa string`);
+  if (typeof t.name !== 'string') errors.push(`${at}.name harus berupa string`);
+  if (t.canvas !== undefined) {
+    const { width, height } = isObject(t.canvas) ? t.canvas : {};
+    const valid = n => Number.isInteger(n) && n >= 16 && n <= 4096;
+    if (!valid(width) || !valid(height)) errors.push(`${at}.canvas.width dan .height harus bilangan bulat 16–4096`);
+  }
+  if (t.settings !== undefined && !isObject(t.settings)) errors.push(`${at}.settings harus berupa objek`);
+  if (isObject(t.settings)) {
+    for (const [k, value] of Object.entries(t.settings)) {
+      const expected = typeof DEFAULT_BG_SETTINGS[k];
+      if (expected !== 'undefined' && typeof value !== expected) errors.push(`${at}.settings.${k} harus bertipe ${expected}`);
+    }
+  }
+  if (!Array.isArray(t.elements)) errors.push(`${at}.elements harus berupa array`);
+  else validateElements(t.elements, `${at}.elements`, errors, new Set());
+  if (t.fonts !== undefined && (!Array.isArray(t.fonts) || !t.fonts.every(f => isObject(f) && typeof f.family === 'string' && typeof f.src === 'string' && f.src.startsWith('data:')))) {
+    errors.push(`${at}.fonts harus berupa array { family, src } dengan data URL`);
+  }
+}
+
+// Parses a template pack file's text into `{ templates, assets }`, `assets`
+// being the embedded images for importEmbeddedAssets. Throws
+// ProjectFormatError with the problems found.
+export function parseTemplatePack(input) {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch (err) {
+      throw new ProjectFormatError(`File template bukan JSON yang valid: ${err.message}`);
+    }
+  }
+  if (!isObject(doc) || doc.format !== TEMPLATE_PACK_FORMAT) {
+    throw new ProjectFormatError(`Bukan file template (format harus "${TEMPLATE_PACK_FORMAT}").`);
+  }
+  if (doc.version > TEMPLATE_PACK_VERSION) {
+    throw new ProjectFormatError(`File template versi ${doc.version} dibuat oleh editor yang lebih baru (didukung hingga versi ${TEMPLATE_PACK_VERSION}).`);
+  }
+  const errors = [];
+  const listed = Array.isArray(doc.templates) ? doc.templates.map(upgradeTemplate) : doc.templates;
+  if (!Array.isArray(listed)) errors.push('templates harus berupa array');
+  else listed.forEach((t, i) => validateTemplate(t, `templates[${i}]`, errors));
+  const assets = doc.assets === undefined ? [] : doc.assets;
+  if (!Array.isArray(assets) || !assets.every(a => isObject(a) && typeof a.id === 'string' && typeof a.src === 'string' && a.src.startsWith('data:'))) {
+    errors.push('assets harus berupa array { id, src } dengan data URL');
+  }
+  if (errors.length) throw new ProjectFormatError('File template tidak valid:', errors);
+  const templates = listed.map(t => ({
+    ...t,
+    canvas: { ...DEFAULT_CANVAS, ...(t.canvas || {}) },
+    settings: lookSettings(t.settings),
+    fonts: t.fonts || []
+  }));
+  return { templates, assets };
+}
@@ -0,0 +1,156 @@
+// Picking a background from a video file: seeking, grabbing frames and
+// ranking them. Browser only.
+//
+// Sharpness is the variance of the Laplacian of the frame's luminance: crisp
+// edges give large second derivatives, motion blur and defocus smear them
+// out. It only means something relative to other frames of the same video,
+// so candidates are compared against the sharper frames of the scan.
+
+const ANALYSIS_WIDTH = 240;
+export const FRAME_STEP = 1 / 30; // browsers don't expose the frame rate
+const BLUR_RATIO = 0.5; // below this share of the 75th percentile counts as blurred
+const DARK_LIMIT = 0.06; // fades and black frames
+const SIGNATURE_SIZE = 16; // width of the grid frames are compared on
+const DUPLICATE_LIMIT = 0.03; // mean luminance difference (0..1) of near-duplicates
+
+// A detached <video> for `src` once its size and duration are known.
+// Recordings without a duration in their header (webm from MediaRecorder,
+// mostly) report Infinity until the browser has read to the end, so those
+// are seeked far past the end first; one that still has none is rejected.
+export function loadVideo(src) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.onloadeddata = () => {
+      video.onloadeddata = null;
+      if (Number.isFinite(video.duration)) { resolve(video); return; }
+      video.addEventListener('seeked', () => {
+        if (!Number.isFinite(video.duration)) reject(new Error('Durasi video tidak diketahui; simpan ulang sebagai MP4 lalu coba lagi.'));
+        else seekVideo(video, 0).then(() => resolve(video), reject);
+      }, { once: true });
+      video.currentTime = Number.MAX_SAFE_INTEGER;
+    };
+    video.onerror = () => reject(new Error('Video tidak bisa dibaca browser ini.'));
+    video.src = src;
+  });
+}
+
+export function seekVideo(video, time) {
+  const t = Math.max(0, Math.min(video.duration || 0, time));
+  if (Math.abs(video.currentTime - t) < 1e-3 && video.readyState >= 2) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const done = () => { cleanup(); resolve(); };
+    const fail = () => { cleanup(); reject(new Error('Gagal mencari posisi video.')); };
+    const cleanup = () => {
+      video.removeEventListener('seeked', done);
+      video.removeEventListener('error', fail);
+    };
+    video.addEventListener('seeked', done);
+    video.addEventListener('error', fail);
+    video.currentTime = t;
+  });
+}
+
+// The current frame drawn `width` pixels wide; full resolution by default.
+export function grabFrame(video, width = video.videoWidth) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round((width * video.videoHeight) / video.videoWidth));
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+// `{ sharpness, brightness }` of a frame canvas; brightness is mean
+// luminance 0..1.
+export function frameQuality(canvas) {
+  const { width, height } = canvas;
+  const data = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+  const lum = new Float32Array(width * height);
+  let total = 0;
+  for (let i = 0; i < lum.length; i++) {
+    lum[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    total += lum[i];
+  }
+  let sum = 0;
+  let sumSq = 0;
+  let n = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const lap = lum[i - 1] + lum[i + 1] + lum[i - width] + lum[i + width] - 4 * lum[i];
+      sum += lap;
+      sumSq += lap * lap;
+      n++;
+    }
+  }
+  const mean = n ? sum / n : 0;
+  return { sharpness: n ? sumSq / n - mean * mean : 0, brightness: total / lum.length / 255 };
+}
+
+// Luminance (0..1) of the frame on a SIGNATURE_SIZE-wide grid, to tell
+// near-identical frames apart from each other.
+function frameSignature(canvas) {
+  const small = document.createElement('canvas');
+  small.width = SIGNATURE_SIZE;
+  small.height = Math.max(1, Math.round((SIGNATURE_SIZE * canvas.height) / canvas.width));
+  const ctx = small.getContext('2d');
+  ctx.drawImage(canvas, 0, 0, small.width, small.height);
+  const data = ctx.getImageData(0, 0, small.width, small.height).data;
+  const out = new Float32Array(small.width * small.height);
+  for (let i = 0; i < out.length; i++) {
+    out[i] = (0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]) / 255;
+  }
+  return out;
+}
+
+function isNearDuplicate(a, b) {
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff += Math.abs(a[i] - b[i]);
+  return diff / a.length < DUPLICATE_LIMIT;
+}
+
+// 1 for mid-tones, falling off towards black and blown-out white.
+function exposureScore(brightness) {
+  if (brightness < 0.3) return Math.max(0, brightness / 0.3);
+  if (brightness > 0.75) return Math.max(0, (1 - brightness) / 0.25);
+  return 1;
+}
+
+// Scores frames `{ sharpness, brightness }` and drops blurred and black
+// ones; the rest come back best first with `score` 0..1.
+export function rankFrames(frames) {
+  if (!frames.length) return [];
+  const sorted = frames.map(f => f.sharpness).sort((a, b) => a - b);
+  const reference = sorted[Math.floor((sorted.length - 1) * 0.75)] || 1;
+  const best = sorted[sorted.length - 1] || 1;
+  return frames
+    .filter(f => f.sharpness >= reference * BLUR_RATIO && f.brightness >= DARK_LIMIT)
+    .map(f => ({ ...f, score: (f.sharpness / best) * 0.7 + exposureScore(f.brightness) * 0.3 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// Samples `samples` evenly spaced frames of `video` and returns the best
+// `count`, at least a sample apart and not near-duplicates of each other
+// (a static shot sampled twice), as `{ time, thumb, sharpness, brightness,
+// score }` (thumb is a small JPEG data URL). `onProgress(done,
+// total)` is called after each sample; `isCancelled()` stops the scan.
+export async function findCandidateFrames(video, { count = 12, samples = 48, onProgress, isCancelled } = {}) {
+  const frames = [];
+  for (let i = 0; i < samples; i++) {
+    if (isCancelled?.()) return [];
+    const time = ((i + 0.5) / samples) * video.duration;
+    await seekVideo(video, time);
+    const canvas = grabFrame(video, ANALYSIS_WIDTH);
+    frames.push({ time, thumb: canvas.toDataURL('image/jpeg', 0.7), signature: frameSignature(canvas), ...frameQuality(canvas) });
+    onProgress?.(i + 1, samples);
+  }
+  const gap = (video.duration / samples) * 1.5;
+  const picked = [];
+  for (const f of rankFrames(frames)) {
+    if (picked.length >= count) break;
+    if (picked.every(p => Math.abs(p.time - f.time) >= gap && !isNearDuplicate(p.signature, f.signature))) picked.push(f);
+  }
+  return picked.map(({ signature, ...f }) => f);
+}